@@ -0,0 +1,193 @@
+import { dirname, join, relative } from "node:path";
+import type { FlightDirection } from "./fr24api.ts";
+import {
+  isFlightDataFile,
+  MANIFEST_FILE_NAME,
+  parseArgs,
+  readFlightFile,
+} from "./cliUtils.ts";
+import { getFlightDirection } from "../src/directions.js";
+
+// Builds or updates the dataset manifest that the visualisation uses to find
+// the flight data files. Usage:
+//
+//   deno run --allow-read --allow-write script/buildManifest.ts <data directory> \
+//     --airport HKG [--id hkg-2025-02-21] [--manifest data/manifest.json]
+
+export type DatasetBounds = {
+  west: number;
+  south: number;
+  east: number;
+  north: number;
+};
+
+export type DatasetFile = {
+  name: string;
+  // Start and end of the flights in the file, used for loading the files in chronological order
+  startTime: string;
+  endTime: string;
+  // Directions of the flights in the file
+  directions: FlightDirection[];
+};
+
+export type Dataset = {
+  id: string;
+  airport: string;
+  // Directory of the data files, relative to the manifest file
+  path: string;
+  startTime: string;
+  endTime: string;
+  flightCount: number;
+  // Number of arriving and departing flights
+  directionCounts: Record<FlightDirection, number>;
+  bounds: DatasetBounds;
+  files: DatasetFile[];
+};
+
+export type Manifest = {
+  version: 1;
+  generatedAt: string;
+  datasets: Dataset[];
+};
+
+export async function describeDataDirectory(
+  dataDirectory: string,
+  manifestPath: string
+) {
+  const files: DatasetFile[] = [];
+  let flightCount = 0;
+  const directionCounts: Record<FlightDirection, number> = {
+    inbound: 0,
+    outbound: 0,
+  };
+  let startTime: string | null = null;
+  let endTime: string | null = null;
+  const bounds: DatasetBounds = {
+    west: Infinity,
+    south: Infinity,
+    east: -Infinity,
+    north: -Infinity,
+  };
+
+  const fileNames: string[] = [];
+  for await (const entry of Deno.readDir(dataDirectory)) {
+    if (entry.isFile && isFlightDataFile(entry.name)) {
+      fileNames.push(entry.name);
+    }
+  }
+  fileNames.sort();
+
+  for (const fileName of fileNames) {
+    const flights = await readFlightFile(join(dataDirectory, fileName));
+
+    const flightsWithTracks = flights.filter(
+      (flight) => flight.tracks && flight.tracks.length > 0
+    );
+    if (flightsWithTracks.length === 0) {
+      console.warn(`Skipping ${fileName}, it has no track points`);
+      continue;
+    }
+
+    flightCount += flightsWithTracks.length;
+    let fileStartTime: string | null = null;
+    let fileEndTime: string | null = null;
+    const fileDirections = new Set<FlightDirection>();
+
+    for (const flight of flightsWithTracks) {
+      const direction = getFlightDirection(flight) as FlightDirection;
+      fileDirections.add(direction);
+      directionCounts[direction]++;
+
+      const first = flight.tracks[0].timestamp;
+      const last = flight.tracks[flight.tracks.length - 1].timestamp;
+      if (!fileStartTime || new Date(first) < new Date(fileStartTime)) {
+        fileStartTime = first;
+      }
+      if (!fileEndTime || new Date(last) > new Date(fileEndTime)) {
+        fileEndTime = last;
+      }
+
+      for (const point of flight.tracks) {
+        bounds.west = Math.min(bounds.west, point.lon);
+        bounds.east = Math.max(bounds.east, point.lon);
+        bounds.south = Math.min(bounds.south, point.lat);
+        bounds.north = Math.max(bounds.north, point.lat);
+      }
+    }
+
+    files.push({
+      name: fileName,
+      startTime: fileStartTime!,
+      endTime: fileEndTime!,
+      directions: Array.from(fileDirections).sort(),
+    });
+    if (!startTime || new Date(fileStartTime!) < new Date(startTime)) {
+      startTime = fileStartTime;
+    }
+    if (!endTime || new Date(fileEndTime!) > new Date(endTime)) {
+      endTime = fileEndTime;
+    }
+  }
+
+  if (!startTime || !endTime) {
+    throw new Error(`No flight data found in ${dataDirectory}`);
+  }
+
+  return {
+    path: relative(dirname(manifestPath), dataDirectory) || ".",
+    startTime,
+    endTime,
+    flightCount,
+    directionCounts,
+    bounds,
+    files,
+  };
+}
+
+async function readManifest(manifestPath: string): Promise<Manifest> {
+  try {
+    return JSON.parse(await Deno.readTextFile(manifestPath)) as Manifest;
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) {
+      return { version: 1, generatedAt: "", datasets: [] };
+    }
+    throw error;
+  }
+}
+
+if (import.meta.main) {
+  const { options, positional } = parseArgs(Deno.args);
+  const dataDirectory = positional[0] ?? "data";
+  const airport = options.airport?.toUpperCase();
+  const manifestPath = options.manifest ?? join("data", MANIFEST_FILE_NAME);
+
+  if (!airport) {
+    console.error(
+      "Usage: buildManifest.ts <data directory> --airport <IATA> [--id <dataset id>] [--manifest <path>]"
+    );
+    Deno.exit(1);
+  }
+
+  const description = await describeDataDirectory(dataDirectory, manifestPath);
+  const id =
+    options.id ??
+    `${airport.toLowerCase()}-${description.startTime.slice(0, 10)}`;
+  const dataset: Dataset = { id, airport, ...description };
+
+  // Replace a previous version of the same dataset, keep the others
+  const manifest = await readManifest(manifestPath);
+  manifest.datasets = [
+    ...manifest.datasets.filter((existing) => existing.id !== id),
+    dataset,
+  ].sort(
+    (a, b) =>
+      a.airport.localeCompare(b.airport) ||
+      a.startTime.localeCompare(b.startTime)
+  );
+  manifest.generatedAt = new Date().toISOString();
+
+  await Deno.writeTextFile(manifestPath, JSON.stringify(manifest, null, 2));
+  console.log(
+    `Wrote dataset ${id} with ${dataset.flightCount} flights in ${dataset.files.length} files to ${manifestPath}`
+  );
+}
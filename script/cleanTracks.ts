@@ -0,0 +1,126 @@
+import { join } from "node:path";
+import { encodeFlightPack, isFlightPack } from "../src/flightPack.js";
+import {
+  addCleaningReport,
+  cleanTracks,
+  createCleaningReport,
+  DEFAULT_CLEANING_OPTIONS,
+  formatCleaningReport,
+  hasCleaningFixes,
+} from "../src/trackCleaning.js";
+import {
+  CLEANING_REPORT_FILE_NAME,
+  isFlightDataFile,
+  parseArgs,
+  readFlightFile,
+} from "./cliUtils.ts";
+import type { FlightTrack } from "./cliUtils.ts";
+import type { FlightPosition } from "./fr24api.ts";
+
+// Cleans the tracks of a directory of flight data files (see src/trackCleaning.js):
+// sorts and dedupes the points by timestamp, drops impossible jumps and
+// optionally trims the taxiing on the ground. Usage:
+//
+//   deno run --allow-read --allow-write script/cleanTracks.ts <input directory> <output directory> \
+//     [--max-speed 1000] [--trim-ground true]
+//
+// JSON and packed files are written in the same format and with the same names.
+// A report of the fixes is written to <output directory>/cleaning-report.json,
+// which the other scripts skip like the manifest. Afterwards
+// add the output directory to the manifest with buildManifest.ts, and load it
+// with ?cleaning=off to skip cleaning again in the browser.
+
+type CleaningOptions = typeof DEFAULT_CLEANING_OPTIONS;
+type CleaningReport = ReturnType<typeof createCleaningReport>;
+
+export async function cleanDirectory(
+  inputDirectory: string,
+  outputDirectory: string,
+  options: Partial<CleaningOptions> = {}
+) {
+  const total: CleaningReport = createCleaningReport();
+  const flights: { id: string; file: string; report: CleaningReport }[] = [];
+  let fileCount = 0;
+
+  await Deno.mkdir(outputDirectory, { recursive: true });
+  for await (const entry of Deno.readDir(inputDirectory)) {
+    if (!entry.isFile || !isFlightDataFile(entry.name)) {
+      continue;
+    }
+
+    const cleaned: FlightTrack[] = [];
+    for (const flight of await readFlightFile(
+      join(inputDirectory, entry.name)
+    )) {
+      const { tracks, report } = cleanTracks(flight.tracks ?? [], options);
+      addCleaningReport(total, report);
+      if (hasCleaningFixes(report)) {
+        flights.push({ id: flight.fr24_id, file: entry.name, report });
+      }
+      if (tracks.length > 0) {
+        cleaned.push({ ...flight, tracks: tracks as FlightPosition[] });
+      } else {
+        console.warn(`Dropping flight ${flight.fr24_id}, no valid points left`);
+      }
+    }
+
+    const outputPath = join(outputDirectory, entry.name);
+    if (isFlightPack(entry.name)) {
+      await Deno.writeFile(outputPath, encodeFlightPack(cleaned));
+    } else {
+      await Deno.writeTextFile(outputPath, JSON.stringify(cleaned));
+    }
+    fileCount++;
+  }
+
+  return { fileCount, total, flights };
+}
+
+if (import.meta.main) {
+  const { options, positional } = parseArgs(Deno.args);
+  const [inputDirectory, outputDirectory] = positional;
+  const maxSpeedKnots = Number(
+    options["max-speed"] ?? DEFAULT_CLEANING_OPTIONS.maxSpeedKnots
+  );
+
+  if (!inputDirectory || !outputDirectory || !(maxSpeedKnots > 0)) {
+    console.error(
+      "Usage: cleanTracks.ts <input directory> <output directory> [--max-speed <knots>] [--trim-ground true]"
+    );
+    Deno.exit(1);
+  }
+
+  const cleaningOptions = {
+    maxSpeedKnots,
+    trimGround: options["trim-ground"] === "true",
+  };
+  const result = await cleanDirectory(
+    inputDirectory,
+    outputDirectory,
+    cleaningOptions
+  );
+
+  const reportPath = join(outputDirectory, CLEANING_REPORT_FILE_NAME);
+  await Deno.writeTextFile(
+    reportPath,
+    JSON.stringify(
+      {
+        inputDirectory,
+        outputDirectory,
+        options: { ...DEFAULT_CLEANING_OPTIONS, ...cleaningOptions },
+        fileCount: result.fileCount,
+        total: result.total,
+        // Only the flights that needed fixes
+        flights: result.flights,
+      },
+      null,
+      2
+    )
+  );
+  console.log(
+    `Cleaned ${result.fileCount} files, ${
+      result.flights.length
+    } flights needed fixes: ${formatCleaningReport(result.total)}`
+  );
+  console.log(`Wrote report to ${reportPath}`);
+}
@@ -0,0 +1,51 @@
+import type { FlightDirection, FlightPosition } from "./fr24api.ts";
+import { decodeFlightPack, isFlightPack } from "../src/flightPack.js";
+
+// Helpers shared by the command line scripts: argument parsing and reading the
+// flight data files of a data directory.
+
+export const MANIFEST_FILE_NAME = "manifest.json";
+// Written by cleanTracks.ts next to the cleaned files
+export const CLEANING_REPORT_FILE_NAME = "cleaning-report.json";
+
+export type FlightTrack = {
+  fr24_id: string;
+  tracks: FlightPosition[];
+  // Missing from flights collected before arrivals were supported, which are all departures
+  direction?: FlightDirection;
+};
+
+// Reads the flights of a JSON data file or a packed flight file
+export async function readFlightFile(path: string): Promise<FlightTrack[]> {
+  if (isFlightPack(path)) {
+    return decodeFlightPack(await Deno.readFile(path)) as FlightTrack[];
+  }
+  const flights = JSON.parse(await Deno.readTextFile(path));
+  if (!Array.isArray(flights)) {
+    throw new Error(
+      `${path} is not a flight data file, expected an array of flights`
+    );
+  }
+  return flights as FlightTrack[];
+}
+
+export function isFlightDataFile(fileName: string) {
+  return (
+    (fileName.endsWith(".json") || isFlightPack(fileName)) &&
+    fileName !== MANIFEST_FILE_NAME &&
+    fileName !== CLEANING_REPORT_FILE_NAME
+  );
+}
+
+export function parseArgs(args: string[]) {
+  const options: Record<string, string> = {};
+  const positional: string[] = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { options, positional };
+}
@@ -0,0 +1,123 @@
+import { basename, extname, join } from "node:path";
+import {
+  createEmptyCriteria,
+  createFlightFilter,
+} from "../src/flightFilters.js";
+import {
+  exportFlights,
+  FLIGHT_EXPORT_FORMATS,
+  getFlightExportFormat,
+} from "../src/flightExport.js";
+import { cleanTracks } from "../src/trackCleaning.js";
+import { getCallsign } from "../src/trackUtils.js";
+import { isFlightDataFile, parseArgs, readFlightFile } from "./cliUtils.ts";
+import type { FlightPosition } from "./fr24api.ts";
+
+// Exports the flights of a directory of flight data files as CZML, KML or
+// GeoJSON (see src/flightExport.js), like the flight path downloads of the page.
+// Usage:
+//
+//   deno run --allow-read --allow-write script/exportFlights.ts <data directory> <output file> \
+//     [--format czml|kml|geojson] [--name <name>] [--callsign CPA,HKE] \
+//     [--direction outbound|inbound] [--max-altitude <feet>] [--cleaning off]
+//
+// The format defaults to the extension of the output file. The tracks are
+// cleaned like in the browser, pass --cleaning off for a dataset cleaned by
+// cleanTracks.ts. The filters match the filters of the page.
+
+type ExportedFlight = {
+  fr24Id: string;
+  callsign: string;
+  direction?: string;
+  tracks: FlightPosition[];
+  maxAltitude: number;
+};
+
+export async function readDirectoryFlights(
+  dataDirectory: string,
+  { cleaning = true } = {}
+) {
+  const flights: ExportedFlight[] = [];
+  const fileNames: string[] = [];
+  for await (const entry of Deno.readDir(dataDirectory)) {
+    if (entry.isFile && isFlightDataFile(entry.name)) {
+      fileNames.push(entry.name);
+    }
+  }
+
+  // Sorted, so the exported file is the same on every run
+  for (const fileName of fileNames.sort()) {
+    for (const flight of await readFlightFile(join(dataDirectory, fileName))) {
+      const tracks = cleaning
+        ? (cleanTracks(flight.tracks ?? []).tracks as FlightPosition[])
+        : (flight.tracks ?? []);
+      if (tracks.length < 2) {
+        console.warn(`Skipping flight ${flight.fr24_id}, not enough points`);
+        continue;
+      }
+      flights.push({
+        fr24Id: flight.fr24_id,
+        callsign: getCallsign(tracks),
+        direction: flight.direction,
+        tracks,
+        maxAltitude: Math.max(...tracks.map((track) => track.alt)),
+      });
+    }
+  }
+  return flights.sort(
+    (a, b) =>
+      Date.parse(a.tracks[0].timestamp) - Date.parse(b.tracks[0].timestamp)
+  );
+}
+
+if (import.meta.main) {
+  const { options, positional } = parseArgs(Deno.args);
+  const [dataDirectory, outputPath] = positional;
+  const formatId = options.format ?? extname(outputPath ?? "").slice(1);
+
+  if (!dataDirectory || !outputPath || !(formatId in FLIGHT_EXPORT_FORMATS)) {
+    console.error(
+      `Usage: exportFlights.ts <data directory> <output file> [--format ${Object.keys(
+        FLIGHT_EXPORT_FORMATS
+      ).join(
+        "|"
+      )}] [--name <name>] [--callsign <prefixes>] [--direction outbound|inbound] [--max-altitude <feet>] [--cleaning off]`
+    );
+    Deno.exit(1);
+  }
+
+  const criteria = {
+    ...createEmptyCriteria(),
+    callsignPrefixes: (options.callsign ?? "")
+      .split(",")
+      .map((prefix) => prefix.trim())
+      .filter(Boolean),
+    directions: options.direction ? [options.direction] : null,
+    maxAltitude: options["max-altitude"]
+      ? Number(options["max-altitude"])
+      : null,
+  };
+  // The departure time filter is not offered, so the timezone is not used
+  const filter = createFlightFilter(criteria, "UTC") as (
+    flight: ExportedFlight
+  ) => boolean;
+
+  const flights = (
+    await readDirectoryFlights(dataDirectory, {
+      cleaning: options.cleaning !== "off",
+    })
+  ).filter(filter);
+  const format = getFlightExportFormat(formatId) as {
+    id: string;
+    label: string;
+  };
+  await Deno.writeTextFile(
+    outputPath,
+    exportFlights(flights, format.id, {
+      name: options.name ?? basename(dataDirectory),
+    })
+  );
+  console.log(
+    `Exported ${flights.length} flights as ${format.label} to ${outputPath}`
+  );
+}
@@ -30,59 +30,145 @@ export type FlightData = {
   source: string;
 };
 
-export async function fetchActiveFlights(timestamp: number, airport = "HKG") {
-  const airports = `outbound:${airport}`;
-  const limit = 10000;
+// Arriving or departing flights of an airport, as in the `airports` filter of the API
+export type FlightDirection = "inbound" | "outbound";
+
+export const FLIGHT_DIRECTIONS: FlightDirection[] = ["inbound", "outbound"];
+
+export type RequestOptions = {
+  // Base URL of the API, e.g. a local mock (see mockFr24Server.ts) for testing
+  apiUrl: string;
+  // Minimum time between the starts of two requests
+  minIntervalMs: number;
+  // Retries of a request that failed with HTTP 429, a 5xx status or a network error
+  maxRetries: number;
+  // Wait before the first retry, doubled for every further retry
+  initialBackoffMs: number;
+  maxBackoffMs: number;
+};
+
+const requestOptions: RequestOptions = {
+  apiUrl: env.FR24_API_URL ?? "https://fr24api.flightradar24.com",
+  // The scripts used to sleep 30 seconds between requests, which stayed within the API limits
+  minIntervalMs: 30_000,
+  maxRetries: 5,
+  initialBackoffMs: 10_000,
+  maxBackoffMs: 300_000,
+};
+
+let nextRequestTime = 0;
+
+export function configureRequests(options: Partial<RequestOptions>) {
+  Object.assign(requestOptions, options);
+}
 
-  const url = `https://fr24api.flightradar24.com/api/historic/flight-positions/light?timestamp=${timestamp}&airports=${encodeURIComponent(
-    airports
-  )}&limit=${limit}`;
-  const response = await fetch(url, {
-    cache: "default",
-    credentials: "include",
-    headers: {
-      Authorization: `Bearer ${env.PROD_KEY}`,
-      Accept: "application/json",
-      "accept-version": "v1",
-    },
-    method: "GET",
-  });
-
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+export class HttpError extends Error {
+  constructor(readonly status: number) {
+    super(`HTTP error! status: ${status}`);
   }
+}
 
-  try {
-    return (await response.json()) as {
-      data: FlightData[];
-    };
-  } catch {
-    throw new Error("Failed to parse response JSON");
+function isRetryable(error: unknown) {
+  if (error instanceof HttpError) {
+    return error.status === 429 || error.status >= 500;
   }
+  // Network errors
+  return error instanceof TypeError;
 }
 
-export async function fetchFlightTrack(flightId: string) {
-  const response = await fetch(
-    `https://fr24api.flightradar24.com/api/flight-tracks?flight_id=${flightId}`,
-    {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        "Accept-Version": "v1",
-        Authorization: `Bearer ${env.PROD_KEY}`,
-      },
-    }
-  );
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+// Waits until the rate limit allows the next request
+async function waitForRateLimit() {
+  const now = Date.now();
+  const wait = nextRequestTime - now;
+  nextRequestTime =
+    Math.max(now, nextRequestTime) + requestOptions.minIntervalMs;
+  if (wait > 0) {
+    await sleep(wait);
   }
+}
 
-  try {
-    return (await response.json()) as [
-      { fr24_id: string; tracks: FlightPosition[] }
-    ];
-  } catch {
-    throw new Error("Failed to parse response JSON");
+// Seconds or an HTTP date in the Retry-After header of a 429 response
+function getRetryAfterMs(response: Response) {
+  const retryAfter = response.headers.get("Retry-After");
+  if (!retryAfter) {
+    return null;
   }
+  const seconds = Number(retryAfter);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Fetches JSON from the API, respecting the rate limit and retrying failed requests with exponential backoff
+async function fetchJson<T>(path: string): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    await waitForRateLimit();
+
+    let retryAfterMs: number | null = null;
+    try {
+      const response = await fetch(`${requestOptions.apiUrl}${path}`, {
+        method: "GET",
+        headers: {
+          Authorization: `Bearer ${env.PROD_KEY}`,
+          Accept: "application/json",
+          "Accept-Version": "v1",
+        },
+      });
+
+      if (!response.ok) {
+        retryAfterMs = getRetryAfterMs(response);
+        await response.body?.cancel();
+        throw new HttpError(response.status);
+      }
+
+      try {
+        return (await response.json()) as T;
+      } catch {
+        throw new Error("Failed to parse response JSON");
+      }
+    } catch (error) {
+      if (attempt >= requestOptions.maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const backoffMs = Math.min(
+        requestOptions.initialBackoffMs * 2 ** attempt,
+        requestOptions.maxBackoffMs
+      );
+      const waitMs = Math.max(backoffMs, retryAfterMs ?? 0);
+      console.warn(
+        `${(error as Error).message} for ${path}, retrying in ${Math.round(
+          waitMs / 1000
+        )} s (${attempt + 1}/${requestOptions.maxRetries})`
+      );
+      await sleep(waitMs);
+    }
+  }
+}
+
+export function fetchActiveFlights(
+  timestamp: number,
+  airport = "HKG",
+  direction: FlightDirection = "outbound"
+) {
+  const airports = `${direction}:${airport}`;
+  const limit = 10000;
+
+  return fetchJson<{ data: FlightData[] }>(
+    `/api/historic/flight-positions/light?timestamp=${timestamp}&airports=${encodeURIComponent(
+      airports
+    )}&limit=${limit}`
+  );
+}
+
+export function fetchFlightTrack(flightId: string) {
+  return fetchJson<[{ fr24_id: string; tracks: FlightPosition[] }]>(
+    `/api/flight-tracks?flight_id=${encodeURIComponent(flightId)}`
+  );
 }
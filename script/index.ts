@@ -1,49 +1,331 @@
-import { fetchActiveFlights, fetchFlightTrack } from "./fr24api.ts";
-
-async function getTrack(fr24_id: string) {
-  const data = await fetchFlightTrack(fr24_id);
-  Deno.writeTextFile(`data/${fr24_id}.json`, JSON.stringify(data));
-}
-
-// const ids = (await Deno.readTextFile("ids.txt")).split("\n");
-// for (const id of ids.slice(180, 280)) {
-//   console.log("Getting fr id: ", id);
-//   await getTrack(id);
-//   await new Promise((resolve) => setTimeout(resolve, 30_000));
-// }
-
-async function getFlightRadarIdsForTimestamp({
-  timestamp,
-  airport = "HKG",
-}: {
-  timestamp: number;
-  airport?: string;
-}) {
-  const data = await fetchActiveFlights(timestamp, airport);
-  return new Set(data.data.map((flight) => flight.fr24_id));
-}
-
-// Read on of the id files and console log the lat-lon points of the path.
-// Put each lat-lon on its own line
-Deno.readTextFile("data/3930f673.json").then((data) => {
-  const flight = JSON.parse(data);
+import { dirname, join } from "node:path";
+import {
+  configureRequests,
+  fetchActiveFlights,
+  fetchFlightTrack,
+  FLIGHT_DIRECTIONS,
+  type FlightDirection,
+} from "./fr24api.ts";
+import { parseArgs } from "./cliUtils.ts";
+
+// Collects flight data from the FR24 API. Usage:
+//
+//   deno run --allow-read --allow-write --allow-net script/index.ts <command> ...
+//
+// Commands:
+//
+//   collect-ids <ids file> --airport HKG --from 2025-02-20 [--to 2025-02-21] [--step-minutes 60]
+//     Collects the ids of the flights arriving at and departing from the airport
+//     between the start of --from and the end of --to (UTC dates, or ISO timestamps).
+//   fetch-tracks <ids file> <output directory> [--limit 100]
+//     Fetches the track of every collected flight into <output directory>/<id>.json.
+//   resume <ids file> <output directory>
+//     Finishes an interrupted id collection, then fetches the missing tracks.
+//   print-track <data file>
+//     Prints the lat-lon points of a flight, one point per line.
+//
+// Request options of all commands:
+//
+//   --min-interval <ms>  Minimum time between requests (default 30000)
+//   --max-retries <n>    Retries on HTTP 429, 5xx and network errors (default 5)
+//   --backoff <ms>       Wait before the first retry, doubled for each retry (default 10000)
+//   --api-url <url>      Base URL of the API, e.g. http://localhost:8787 for mockFr24Server.ts
+//
+// Work is saved after every request, so an interrupted command can be run again
+// (or resumed) and continues where it stopped. The ids file lists one flight per
+// line as the id and the direction separated by a tab. Lines without a direction
+// are departures, as only departures were collected before. The progress of the
+// id collection is kept in <ids file>.state.json, and each command writes a
+// summary report next to the ids file.
+
+type CollectState = {
+  airport: string;
+  from: string;
+  to: string;
+  stepMinutes: number;
+  // Epoch seconds of the timestamps whose flights have been collected
+  completedTimestamps: number[];
+};
+
+type Report = {
+  command: string;
+  startedAt: string;
+  finishedAt: string;
+  [key: string]: unknown;
+};
+
+const DEFAULT_STEP_MINUTES = 60;
+
+function printUsage() {
+  console.error(
+    [
+      "Usage:",
+      "  index.ts collect-ids <ids file> --airport <IATA> --from <date> [--to <date>] [--step-minutes <minutes>]",
+      "  index.ts fetch-tracks <ids file> <output directory> [--limit <count>]",
+      "  index.ts resume <ids file> <output directory>",
+      "  index.ts print-track <data file>",
+      "Request options: [--min-interval <ms>] [--max-retries <n>] [--backoff <ms>] [--api-url <url>]",
+    ].join("\n")
+  );
+}
+
+// Parses a date (start of the day in UTC) or an ISO timestamp
+function parseTime(value: string, endOfDay = false) {
+  const isDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const time = Date.parse(
+    isDate ? `${value}T${endOfDay ? "23:59:59" : "00:00:00"}Z` : value
+  );
+  if (isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return time;
+}
+
+async function exists(path: string) {
+  try {
+    await Deno.stat(path);
+    return true;
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Writes through a temporary file, so a crash never leaves a partially written file behind
+async function writeFileAtomic(path: string, contents: string) {
+  const temporaryPath = `${path}.tmp`;
+  await Deno.writeTextFile(temporaryPath, contents);
+  await Deno.rename(temporaryPath, path);
+}
+
+async function readIds(idsFile: string) {
+  const ids = new Map<string, FlightDirection>();
+  if (!(await exists(idsFile))) {
+    return ids;
+  }
+  for (const line of (await Deno.readTextFile(idsFile)).split("\n")) {
+    const [id, direction = "outbound"] = line.trim().split("\t");
+    if (id) {
+      ids.set(id, direction as FlightDirection);
+    }
+  }
+  return ids;
+}
+
+async function writeIds(idsFile: string, ids: Map<string, FlightDirection>) {
+  const lines = Array.from(ids, ([id, direction]) => `${id}\t${direction}`);
+  await writeFileAtomic(idsFile, lines.join("\n") + "\n");
+}
+
+async function readState(idsFile: string): Promise<CollectState | null> {
+  const statePath = `${idsFile}.state.json`;
+  if (!(await exists(statePath))) {
+    return null;
+  }
+  return JSON.parse(await Deno.readTextFile(statePath)) as CollectState;
+}
+
+async function writeReport(idsFile: string, report: Report) {
+  const reportPath = `${idsFile}.${report.command}-report.json`;
+  await writeFileAtomic(reportPath, JSON.stringify(report, null, 2));
+  console.log(`Wrote report to ${reportPath}`);
+}
+
+export async function collectIds(idsFile: string, state: CollectState) {
+  const startedAt = new Date().toISOString();
+  const statePath = `${idsFile}.state.json`;
+  const ids = await readIds(idsFile);
+  const idsBefore = ids.size;
+  const completed = new Set(state.completedTimestamps);
+
+  const timestamps: number[] = [];
+  const end = parseTime(state.to, true);
+  for (
+    let time = parseTime(state.from);
+    time <= end;
+    time += state.stepMinutes * 60_000
+  ) {
+    timestamps.push(Math.floor(time / 1000));
+  }
+
+  await Deno.mkdir(dirname(idsFile), { recursive: true });
+  let requested = 0;
+  for (const timestamp of timestamps) {
+    if (completed.has(timestamp)) {
+      continue;
+    }
+
+    for (const direction of FLIGHT_DIRECTIONS) {
+      const data = await fetchActiveFlights(
+        timestamp,
+        state.airport,
+        direction
+      );
+      data.data.forEach((flight) => ids.set(flight.fr24_id, direction));
+    }
+    requested++;
+
+    // Save the ids before marking the timestamp done, so a crash in between only repeats it
+    await writeIds(idsFile, ids);
+    completed.add(timestamp);
+    state.completedTimestamps = Array.from(completed).sort((a, b) => a - b);
+    await writeFileAtomic(statePath, JSON.stringify(state, null, 2));
+    console.log(
+      `Collected ${new Date(timestamp * 1000).toISOString()} (${
+        completed.size
+      }/${timestamps.length}), ${ids.size} ids`
+    );
+  }
+
+  const directionCounts = { inbound: 0, outbound: 0 };
+  ids.forEach((direction) => directionCounts[direction]++);
+  await writeReport(idsFile, {
+    command: "collect-ids",
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    airport: state.airport,
+    from: state.from,
+    to: state.to,
+    timestamps: timestamps.length,
+    requestedTimestamps: requested,
+    skippedTimestamps: timestamps.length - requested,
+    newIds: ids.size - idsBefore,
+    totalIds: ids.size,
+    directionCounts,
+  });
+  console.log(
+    `Collected ${ids.size} ids (${ids.size - idsBefore} new, ${
+      directionCounts.inbound
+    } arrivals, ${directionCounts.outbound} departures)`
+  );
+}
+
+export async function fetchTracks(
+  idsFile: string,
+  outputDirectory: string,
+  limit = Infinity
+) {
+  const startedAt = new Date().toISOString();
+  const ids = await readIds(idsFile);
+  await Deno.mkdir(outputDirectory, { recursive: true });
+
+  let fetched = 0;
+  let skipped = 0;
+  const failed: { id: string; error: string }[] = [];
+
+  for (const [id, direction] of ids) {
+    if (fetched >= limit) {
+      break;
+    }
+
+    const path = join(outputDirectory, `${id}.json`);
+    if (await exists(path)) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const data = await fetchFlightTrack(id);
+      // Tag each flight with whether it arrives at or departs from the airport
+      await writeFileAtomic(
+        path,
+        JSON.stringify(data.map((flight) => ({ ...flight, direction })))
+      );
+      fetched++;
+      console.log(`Fetched ${id} (${fetched + skipped}/${ids.size})`);
+    } catch (error) {
+      // Keep going, failed ids are fetched again by the next run
+      console.error(`Failed to fetch ${id}:`, error);
+      failed.push({ id, error: (error as Error).message });
+    }
+  }
+
+  await writeReport(idsFile, {
+    command: "fetch-tracks",
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    outputDirectory,
+    totalIds: ids.size,
+    fetched,
+    skipped,
+    failed,
+    remaining: ids.size - fetched - skipped,
+  });
+  console.log(
+    `Fetched ${fetched} tracks, skipped ${skipped} already on disk, ${failed.length} failed`
+  );
+  return failed.length === 0;
+}
+
+async function printTrack(dataFile: string) {
+  const flight = JSON.parse(await Deno.readTextFile(dataFile));
   console.log(
-    flight[0].tracks.map((point) => `${point.lat}, ${point.lon}`).join("\n")
+    flight[0].tracks
+      .map(
+        (point: { lat: number; lon: number }) => `${point.lat}, ${point.lon}`
+      )
+      .join("\n")
   );
-  // for (const point of flight.data) {
-  //   console.log(`${point.latitude}, ${point.longitude}`);
-  // }
-});
-
-// let ids = new Set<string>();
-// for (let i = 0; i < 24; i++) {
-//   const timestamp = Math.floor(Date.now() / 1000) - i * 3600;
-//   console.log(
-//     `Getting ids for timestamp: ${timestamp}, current ids: ${ids.size}`
-//   );
-//   const newIds = await getFlightRadarIdsForTimestamp({ timestamp });
-//   await new Promise((resolve) => setTimeout(resolve, 30_000));
-//   ids = new Set([...ids, ...newIds]);
-// }
-// const idsString = Array.from(ids).join("\n");
-// await Deno.writeTextFile("ids.txt", idsString);
+}
+
+if (import.meta.main) {
+  const [command, ...args] = Deno.args;
+  const { options, positional } = parseArgs(args);
+
+  configureRequests({
+    ...(options["api-url"] && { apiUrl: options["api-url"] }),
+    ...(options["min-interval"] && {
+      minIntervalMs: Number(options["min-interval"]),
+    }),
+    ...(options["max-retries"] && {
+      maxRetries: Number(options["max-retries"]),
+    }),
+    ...(options.backoff && { initialBackoffMs: Number(options.backoff) }),
+  });
+
+  const [idsFile, outputDirectory] = positional;
+  let succeeded = true;
+
+  if (command === "collect-ids" && idsFile && options.airport && options.from) {
+    // Continue a previous collection of the same range
+    const previous = await readState(idsFile);
+    const state: CollectState = {
+      airport: options.airport.toUpperCase(),
+      from: options.from,
+      to: options.to ?? options.from,
+      stepMinutes: Number(options["step-minutes"] ?? DEFAULT_STEP_MINUTES),
+      completedTimestamps: [],
+    };
+    if (
+      previous &&
+      previous.airport === state.airport &&
+      previous.stepMinutes === state.stepMinutes
+    ) {
+      state.completedTimestamps = previous.completedTimestamps;
+    }
+    await collectIds(idsFile, state);
+  } else if (command === "fetch-tracks" && idsFile && outputDirectory) {
+    succeeded = await fetchTracks(
+      idsFile,
+      outputDirectory,
+      options.limit ? Number(options.limit) : Infinity
+    );
+  } else if (command === "resume" && idsFile && outputDirectory) {
+    const state = await readState(idsFile);
+    if (state) {
+      await collectIds(idsFile, state);
+    }
+    succeeded = await fetchTracks(idsFile, outputDirectory);
+  } else if (command === "print-track" && positional[0]) {
+    await printTrack(positional[0]);
+  } else {
+    printUsage();
+    Deno.exit(1);
+  }
+
+  if (!succeeded) {
+    Deno.exit(1);
+  }
+}
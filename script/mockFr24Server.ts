@@ -0,0 +1,161 @@
+import { parseArgs } from "./cliUtils.ts";
+import type { FlightData, FlightPosition } from "./fr24api.ts";
+
+// A local mock of the FR24 API endpoints used by index.ts, for trying out the
+// data collection without an API key or quota. Flights are generated from their
+// ids, so every run returns the same data. Usage:
+//
+//   deno run --allow-net script/mockFr24Server.ts [--port 8787] [--fail-every 5] [--error-every 7]
+//   deno run --allow-read --allow-write --allow-net script/index.ts collect-ids /tmp/ids.tsv \
+//     --airport HKG --from 2025-02-20 --api-url http://localhost:8787 --min-interval 0 --backoff 100
+//
+// --fail-every answers every nth request with HTTP 429 and --error-every with
+// HTTP 503, to exercise the retries.
+
+// Position of the airport the generated flights arrive at or depart from
+const AIRPORT = { lat: 22.308, lon: 113.918 };
+const FLIGHTS_PER_HOUR = 3;
+const FLIGHT_DURATION_SECONDS = 2 * 3600;
+const POINT_INTERVAL_SECONDS = 60;
+
+// Flights in the air at a timestamp. Ids encode the hour, the direction and the index within the hour.
+function getActiveFlightIds(timestamp: number, direction: string) {
+  const hour = Math.floor(timestamp / 3600);
+  const ids: string[] = [];
+  // Flights of this and the previous hour are in the air, as they take two hours
+  for (const flightHour of [hour - 1, hour]) {
+    for (let i = 0; i < FLIGHTS_PER_HOUR; i++) {
+      ids.push(`${direction === "inbound" ? "a" : "d"}${flightHour}-${i}`);
+    }
+  }
+  return ids;
+}
+
+function parseFlightId(id: string) {
+  const match = /^([ad])(\d+)-(\d+)$/.exec(id);
+  if (!match) {
+    return null;
+  }
+  return {
+    inbound: match[1] === "a",
+    startTime: Number(match[2]) * 3600 + Number(match[3]) * 600,
+    // Spread the flights around the airport
+    bearing:
+      ((Number(match[2]) * 47 + Number(match[3]) * 113) % 360) *
+      (Math.PI / 180),
+  };
+}
+
+function createTracks(id: string): FlightPosition[] {
+  const flight = parseFlightId(id)!;
+  const tracks: FlightPosition[] = [];
+  const pointCount = FLIGHT_DURATION_SECONDS / POINT_INTERVAL_SECONDS;
+  for (let i = 0; i <= pointCount; i++) {
+    // Distance from the airport in degrees, growing for departures and shrinking for arrivals
+    const progress = i / pointCount;
+    const distance = 10 * (flight.inbound ? 1 - progress : progress);
+    const heading =
+      (flight.bearing * 180) / Math.PI + (flight.inbound ? 180 : 0);
+    tracks.push({
+      timestamp: new Date(
+        (flight.startTime + i * POINT_INTERVAL_SECONDS) * 1000
+      )
+        .toISOString()
+        .replace(".000Z", "Z"),
+      lat: AIRPORT.lat + distance * Math.cos(flight.bearing),
+      lon: AIRPORT.lon + distance * Math.sin(flight.bearing),
+      alt: Math.round(35_000 * Math.sin(Math.PI * progress)),
+      gspeed: 450,
+      vspeed: 0,
+      track: Math.round(heading) % 360,
+      squawk: "1234",
+      callsign: `MCK${id.replace(/\D/g, "").slice(-4)}`,
+      source: "ADSB",
+    });
+  }
+  return tracks;
+}
+
+function json(
+  body: unknown,
+  status = 200,
+  headers: Record<string, string> = {}
+) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+}
+
+export type MockOptions = {
+  // Answer every nth request with HTTP 429 and a Retry-After of a second, 0 for never
+  failEvery?: number;
+  // Answer every nth request with HTTP 503, 0 for never
+  errorEvery?: number;
+};
+
+// Creates the request handler of the mock, also used by the tests of fr24api.ts
+export function createMockHandler({
+  failEvery = 0,
+  errorEvery = 0,
+}: MockOptions = {}) {
+  let requestCount = 0;
+
+  return (request: Request) => {
+    requestCount++;
+    const url = new URL(request.url);
+
+    if (failEvery > 0 && requestCount % failEvery === 0) {
+      return json({ message: "Too many requests" }, 429, {
+        "Retry-After": "1",
+      });
+    }
+    if (errorEvery > 0 && requestCount % errorEvery === 0) {
+      return json({ message: "Service unavailable" }, 503);
+    }
+
+    if (url.pathname === "/api/historic/flight-positions/light") {
+      const timestamp = Number(url.searchParams.get("timestamp"));
+      const [direction] = (url.searchParams.get("airports") ?? "").split(":");
+      const data: FlightData[] = getActiveFlightIds(timestamp, direction)
+        .filter((id) => {
+          const flight = parseFlightId(id)!;
+          return (
+            flight.startTime <= timestamp &&
+            timestamp <= flight.startTime + FLIGHT_DURATION_SECONDS
+          );
+        })
+        .map((id) => {
+          const tracks = createTracks(id);
+          const point = tracks[Math.floor(tracks.length / 2)];
+          return { fr24_id: id, hex: "000000", ...point };
+        });
+      return json({ data });
+    }
+
+    if (url.pathname === "/api/flight-tracks") {
+      const id = url.searchParams.get("flight_id") ?? "";
+      if (!parseFlightId(id)) {
+        return json({ message: "Flight not found" }, 404);
+      }
+      return json([{ fr24_id: id, tracks: createTracks(id) }]);
+    }
+
+    return json({ message: "Not found" }, 404);
+  };
+}
+
+if (import.meta.main) {
+  const { options } = parseArgs(Deno.args);
+  const port = Number(options.port ?? 8787);
+  const handler = createMockHandler({
+    failEvery: Number(options["fail-every"] ?? 0),
+    errorEvery: Number(options["error-every"] ?? 0),
+  });
+
+  Deno.serve({ port }, (request) => {
+    const url = new URL(request.url);
+    console.log(`${request.method} ${url.pathname}${url.search}`);
+    return handler(request);
+  });
+}
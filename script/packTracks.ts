@@ -0,0 +1,91 @@
+import { join } from "node:path";
+import { encodeFlightPack } from "../src/flightPack.js";
+import { isFlightDataFile, parseArgs, readFlightFile } from "./cliUtils.ts";
+import type { FlightTrack } from "./cliUtils.ts";
+
+// Converts JSON flight data files into packed flight files (see src/flightPack.js).
+// Flights are sorted by start time and split into files of a fixed number of
+// flights, so the viewer can still load the beginning of the day first. Usage:
+//
+//   deno run --allow-read --allow-write script/packTracks.ts <input directory> <output directory> \
+//     [--flights-per-file 50]
+//
+// Afterwards add the output directory to the manifest with buildManifest.ts.
+
+const DEFAULT_FLIGHTS_PER_FILE = 50;
+
+function getStartTime(flight: FlightTrack) {
+  return new Date(flight.tracks[0].timestamp).getTime();
+}
+
+export async function packDirectory(
+  inputDirectory: string,
+  outputDirectory: string,
+  flightsPerFile = DEFAULT_FLIGHTS_PER_FILE
+) {
+  const flights: FlightTrack[] = [];
+  let inputBytes = 0;
+
+  for await (const entry of Deno.readDir(inputDirectory)) {
+    // Only JSON files are packed, packed files in the input directory are left alone
+    if (
+      !entry.isFile ||
+      !entry.name.endsWith(".json") ||
+      !isFlightDataFile(entry.name)
+    ) {
+      continue;
+    }
+    const path = join(inputDirectory, entry.name);
+    inputBytes += (await Deno.stat(path)).size;
+    for (const flight of await readFlightFile(path)) {
+      if (flight.tracks && flight.tracks.length > 0) {
+        flights.push(flight);
+      } else {
+        console.warn(
+          `Skipping flight ${flight.fr24_id}, it has no track points`
+        );
+      }
+    }
+  }
+  flights.sort((a, b) => getStartTime(a) - getStartTime(b));
+
+  await Deno.mkdir(outputDirectory, { recursive: true });
+  let outputBytes = 0;
+  const fileCount = Math.ceil(flights.length / flightsPerFile);
+  for (let i = 0; i < fileCount; i++) {
+    const chunk = flights.slice(i * flightsPerFile, (i + 1) * flightsPerFile);
+    const bytes = encodeFlightPack(chunk);
+    const fileName = `flights-${String(i).padStart(4, "0")}.fpak`;
+    await Deno.writeFile(join(outputDirectory, fileName), bytes);
+    outputBytes += bytes.length;
+  }
+
+  return { flightCount: flights.length, fileCount, inputBytes, outputBytes };
+}
+
+if (import.meta.main) {
+  const { options, positional } = parseArgs(Deno.args);
+  const [inputDirectory, outputDirectory] = positional;
+  const flightsPerFile = Number(
+    options["flights-per-file"] ?? DEFAULT_FLIGHTS_PER_FILE
+  );
+
+  if (!inputDirectory || !outputDirectory || !(flightsPerFile > 0)) {
+    console.error(
+      "Usage: packTracks.ts <input directory> <output directory> [--flights-per-file <count>]"
+    );
+    Deno.exit(1);
+  }
+
+  const result = await packDirectory(
+    inputDirectory,
+    outputDirectory,
+    flightsPerFile
+  );
+  console.log(
+    `Packed ${result.flightCount} flights into ${result.fileCount} files, ` +
+      `${(result.inputBytes / 1e6).toFixed(1)} MB -> ${(
+        result.outputBytes / 1e6
+      ).toFixed(1)} MB`
+  );
+}
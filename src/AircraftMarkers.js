@@ -0,0 +1,342 @@
+/**
+ * AircraftMarkers class
+ *
+ * Marks where each flight in the air is at the current animation time, at the
+ * head of its trail. Markers are either aircraft icons turned to the heading of
+ * the flight, or plain dots. Each marker is labelled with the callsign. When the
+ * camera is far away the labels would overlap, so only one label is shown per
+ * cell of a screen-space grid.
+ */
+import { interpolateTrack } from "./trackUtils.js";
+
+export const MARKER_STYLES = {
+  icon: { id: "icon", label: "Icons with heading" },
+  point: { id: "point", label: "Dots" },
+  none: { id: "none", label: "Off" },
+};
+
+export const HEADING_SOURCES = {
+  // The `track` field of the track data, the direction the aircraft moves over the ground
+  track: { id: "track", label: "Track" },
+  // The direction of the drawn path, which also follows the simplified path
+  velocity: { id: "velocity", label: "Velocity" },
+};
+
+export const DEFAULT_MARKER_STYLE_ID = "icon";
+export const DEFAULT_HEADING_SOURCE_ID = "track";
+
+const ICON_SIZE = 24;
+// Size of the screen-space grid cells that can each show one label, in pixels
+const LABEL_CELL_WIDTH = 90;
+const LABEL_CELL_HEIGHT = 24;
+// Fraction of the flight duration to look ahead for the velocity direction
+const VELOCITY_LOOKAHEAD = 0.001;
+
+const scratchTime = new Cesium.JulianDate();
+const scratchAhead = new Cesium.Cartesian3();
+const scratchUp = new Cesium.Cartesian3();
+const scratchEast = new Cesium.Cartesian3();
+const scratchNorth = new Cesium.Cartesian3();
+const scratchWindow = new Cesium.Cartesian2();
+
+/**
+ * Draws an aircraft icon pointing up
+ * @returns {HTMLCanvasElement} The icon
+ */
+function createAircraftIcon() {
+  const canvas = document.createElement("canvas");
+  canvas.width = ICON_SIZE * 2;
+  canvas.height = ICON_SIZE * 2;
+  const context = canvas.getContext("2d");
+  context.scale(2, 2);
+
+  // Fuselage, wings and tailplane of a 24 x 24 aircraft
+  context.beginPath();
+  context.moveTo(12, 1);
+  context.lineTo(14, 4);
+  context.lineTo(14, 9);
+  context.lineTo(23, 14);
+  context.lineTo(23, 16);
+  context.lineTo(14, 13.5);
+  context.lineTo(13.5, 19);
+  context.lineTo(17, 21.5);
+  context.lineTo(17, 23);
+  context.lineTo(12, 21.5);
+  context.lineTo(7, 23);
+  context.lineTo(7, 21.5);
+  context.lineTo(10.5, 19);
+  context.lineTo(10, 13.5);
+  context.lineTo(1, 16);
+  context.lineTo(1, 14);
+  context.lineTo(10, 9);
+  context.lineTo(10, 4);
+  context.closePath();
+
+  context.fillStyle = "white";
+  context.strokeStyle = "rgba(0, 0, 0, 0.8)";
+  context.lineWidth = 1;
+  context.fill();
+  context.stroke();
+  return canvas;
+}
+
+/**
+ * Gets a marker style by id
+ * @param {string} id - Id of the marker style
+ * @returns {Object} The marker style
+ */
+export function getMarkerStyle(id) {
+  const style = MARKER_STYLES[id];
+  if (!style) {
+    throw new Error(`Unknown aircraft marker style: ${id}`);
+  }
+  return style;
+}
+
+/**
+ * Gets a heading source by id
+ * @param {string} id - Id of the heading source
+ * @returns {Object} The heading source
+ */
+export function getHeadingSource(id) {
+  const source = HEADING_SOURCES[id];
+  if (!source) {
+    throw new Error(`Unknown heading source: ${id}`);
+  }
+  return source;
+}
+
+export class AircraftMarkers {
+  /**
+   * Creates a new AircraftMarkers instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flights
+   */
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.scene = viewer.cesiumViewer.scene;
+    this.style = getMarkerStyle(DEFAULT_MARKER_STYLE_ID);
+    this.headingSource = getHeadingSource(DEFAULT_HEADING_SOURCE_ID);
+
+    this.billboards = this.scene.primitives.add(
+      new Cesium.BillboardCollection({ scene: this.scene }),
+    );
+    this.points = this.scene.primitives.add(
+      new Cesium.PointPrimitiveCollection(),
+    );
+    this.labels = this.scene.primitives.add(
+      new Cesium.LabelCollection({ scene: this.scene }),
+    );
+    this.icon = createAircraftIcon();
+    // Marker primitives of each flight, keyed by the flight details
+    this.markersByFlight = new Map();
+
+    this.scene.preUpdate.addEventListener((scene, time) => this.update(time));
+  }
+
+  /**
+   * Sets how the aircraft are marked
+   * @param {string} styleId - Id of the marker style, see MARKER_STYLES
+   */
+  setStyle(styleId) {
+    this.style = getMarkerStyle(styleId);
+  }
+
+  /**
+   * Sets how the heading of the aircraft icons is found
+   * @param {string} sourceId - Id of the heading source, see HEADING_SOURCES
+   */
+  setHeadingSource(sourceId) {
+    this.headingSource = getHeadingSource(sourceId);
+  }
+
+  /**
+   * Gets the marker primitives of a flight, creating them when first needed
+   * @param {Object} flight - The flight details
+   * @returns {Object} The billboard, point and label of the flight
+   */
+  getMarker(flight) {
+    if (!this.markersByFlight.has(flight)) {
+      const options = { show: false, id: flight.entity };
+      this.markersByFlight.set(flight, {
+        billboard: this.billboards.add({
+          ...options,
+          image: this.icon,
+          width: ICON_SIZE,
+          height: ICON_SIZE,
+        }),
+        point: this.points.add({
+          ...options,
+          pixelSize: 7,
+          color: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 1,
+        }),
+        label: this.labels.add({
+          ...options,
+          text: flight.callsign || flight.fr24Id,
+          font: "12px sans-serif",
+          fillColor: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+          horizontalOrigin: Cesium.HorizontalOrigin.LEFT,
+          verticalOrigin: Cesium.VerticalOrigin.CENTER,
+          pixelOffset: new Cesium.Cartesian2(ICON_SIZE / 2 + 2, 0),
+        }),
+      });
+    }
+    return this.markersByFlight.get(flight);
+  }
+
+  /**
+   * Moves the markers to the current animation time. Called before every frame.
+   * @param {Cesium.JulianDate} time - The current animation time
+   */
+  update(time) {
+    const airborne = [];
+    this.viewer.flights.forEach((flight) => {
+      const position =
+        this.style.id !== "none" &&
+        flight.visible &&
+        this.isAirborne(flight, time)
+          ? flight.entity.position.getValue(time)
+          : null;
+      if (!position) {
+        this.hideMarker(flight);
+        return;
+      }
+
+      const marker = this.getMarker(flight);
+      marker.billboard.show = this.style.id === "icon";
+      marker.point.show = this.style.id === "point";
+      if (this.style.id === "icon") {
+        marker.billboard.position = position;
+        this.orientIcon(marker.billboard, flight, time, position);
+      } else {
+        marker.point.position = position;
+      }
+      marker.label.position = position;
+      airborne.push({ flight, marker, position });
+    });
+
+    this.declutterLabels(airborne);
+  }
+
+  /**
+   * Checks if a flight is in the air at an animation time
+   * @param {Object} flight - The flight details
+   * @param {Cesium.JulianDate} time - The animation time
+   * @returns {boolean} True between the first and last sample of the flight
+   */
+  isAirborne(flight, time) {
+    return (
+      !Cesium.JulianDate.lessThan(time, flight.sampleTimes[0]) &&
+      !Cesium.JulianDate.greaterThan(
+        time,
+        flight.sampleTimes[flight.sampleTimes.length - 1],
+      )
+    );
+  }
+
+  /**
+   * Hides the marker of a flight, if it has one
+   * @param {Object} flight - The flight details
+   */
+  hideMarker(flight) {
+    const marker = this.markersByFlight.get(flight);
+    if (marker) {
+      marker.billboard.show = false;
+      marker.point.show = false;
+      marker.label.show = false;
+    }
+  }
+
+  /**
+   * Turns an aircraft icon to the heading of the flight. The icon points up
+   * along its aligned axis, which is north for the track heading and the
+   * direction of movement for the velocity heading.
+   * @param {Cesium.Billboard} billboard - The icon
+   * @param {Object} flight - The flight details
+   * @param {Cesium.JulianDate} time - The current animation time
+   * @param {Cesium.Cartesian3} position - The current position of the flight
+   */
+  orientIcon(billboard, flight, time, position) {
+    if (this.headingSource.id === "velocity") {
+      const duration = Cesium.JulianDate.secondsDifference(
+        flight.sampleTimes[flight.sampleTimes.length - 1],
+        flight.sampleTimes[0],
+      );
+      const ahead = flight.entity.position.getValue(
+        Cesium.JulianDate.addSeconds(
+          time,
+          duration * VELOCITY_LOOKAHEAD,
+          scratchTime,
+        ),
+        scratchAhead,
+      );
+      // Keep the previous direction at the end of the flight
+      if (ahead && !Cesium.Cartesian3.equals(ahead, position)) {
+        billboard.alignedAxis = Cesium.Cartesian3.normalize(
+          Cesium.Cartesian3.subtract(ahead, position, scratchAhead),
+          scratchAhead,
+        );
+        billboard.rotation = 0;
+      }
+      return;
+    }
+
+    const point = interpolateTrack(
+      flight.tracks,
+      this.viewer.getFlightRealTime(flight, time),
+    );
+    if (!point) {
+      return;
+    }
+    const up = this.scene.globe.ellipsoid.geodeticSurfaceNormal(
+      position,
+      scratchUp,
+    );
+    const east = Cesium.Cartesian3.normalize(
+      Cesium.Cartesian3.cross(Cesium.Cartesian3.UNIT_Z, up, scratchEast),
+      scratchEast,
+    );
+    billboard.alignedAxis = Cesium.Cartesian3.cross(up, east, scratchNorth);
+    // Billboards rotate counterclockwise, headings clockwise from north
+    billboard.rotation = -Cesium.Math.toRadians(point.track);
+  }
+
+  /**
+   * Shows the labels of the markers that do not overlap. The selected and
+   * followed flights are labelled first, then the flights in drawing order.
+   * @param {Object[]} airborne - The flights with markers, their markers and positions
+   */
+  declutterLabels(airborne) {
+    const priorityFlights = [
+      this.viewer.getSelectedFlight(),
+      this.viewer.followedFlight,
+    ];
+    const sorted = [
+      ...airborne.filter(({ flight }) => priorityFlights.includes(flight)),
+      ...airborne.filter(({ flight }) => !priorityFlights.includes(flight)),
+    ];
+
+    const occupiedCells = new Set();
+    sorted.forEach(({ marker, position }) => {
+      const windowPosition = Cesium.SceneTransforms.wgs84ToWindowCoordinates(
+        this.scene,
+        position,
+        scratchWindow,
+      );
+      if (!windowPosition) {
+        marker.label.show = false;
+        return;
+      }
+
+      const cell = `${Math.floor(windowPosition.x / LABEL_CELL_WIDTH)}:${Math.floor(
+        windowPosition.y / LABEL_CELL_HEIGHT,
+      )}`;
+      marker.label.show = !occupiedCells.has(cell);
+      occupiedCells.add(cell);
+    });
+  }
+}
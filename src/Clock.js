@@ -16,6 +16,8 @@ export class Clock {
     this.clockElement = clockElement;
     this.timezone = timezone;
     this.updateInterval = null;
+    // Shown instead of the date, e.g. while comparing days
+    this.dateLabel = null;
 
     // Set timezone label dynamically
     this.setTimezoneLabel();
@@ -56,7 +58,7 @@ export class Clock {
     // Format and display the time
     if (realWorldTime) {
       const timeString = this.formatTime(realWorldTime);
-      const dateString = this.formatDate(realWorldTime);
+      const dateString = this.getDisplayDate(realWorldTime);
       this.displayTime(timeString, dateString);
     } else {
       this.displayTime("--:--:--", "---- -- --");
@@ -133,6 +135,25 @@ export class Clock {
     return `${dayWithSuffix} of ${month} ${year}`;
   }
 
+  /**
+   * Shows a label instead of the date, e.g. the compared days when the days are
+   * aligned by time of day and the date of the timeline is not meaningful
+   * @param {string|null} label - The label, or null to show the date again
+   */
+  setDateLabel(label) {
+    this.dateLabel = label;
+    this.updateClock();
+  }
+
+  /**
+   * Gets the date line of the clock
+   * @param {Date} date - The current real-world time
+   * @returns {string} The date label if set, otherwise the formatted date
+   */
+  getDisplayDate(date) {
+    return this.dateLabel || this.formatDate(date);
+  }
+
   /**
    * Updates the clock display elements
    * @param {string} timeString - The time string to display
@@ -0,0 +1,63 @@
+/**
+ * DensityControls class
+ *
+ * Toggles for the flight density heatmap and the route corridors, a selector
+ * for the altitude band of the heatmap and a summary of what is shown.
+ */
+import { ALTITUDE_BANDS, DEFAULT_ALTITUDE_BAND_ID } from "./densityGrid.js";
+
+export class DensityControls {
+  /**
+   * Creates a new DensityControls instance
+   * @param {DensityLayer} densityLayer - The layer drawing the heatmap and corridors
+   * @param {HTMLElement} controlsElement - The HTML element containing the toggles and selector
+   */
+  constructor(densityLayer, controlsElement) {
+    this.densityLayer = densityLayer;
+    this.heatmapInput = controlsElement.querySelector(".density-heatmap");
+    this.corridorsInput = controlsElement.querySelector(".density-corridors");
+    this.altitudeBandSelect = controlsElement.querySelector(
+      ".density-altitude-band",
+    );
+    this.summaryElement = controlsElement.querySelector(".density-summary");
+
+    Object.values(ALTITUDE_BANDS).forEach((band) => {
+      const option = document.createElement("option");
+      option.value = band.id;
+      option.textContent = band.label;
+      this.altitudeBandSelect.appendChild(option);
+    });
+    this.altitudeBandSelect.value = DEFAULT_ALTITUDE_BAND_ID;
+
+    this.heatmapInput.addEventListener("change", () => {
+      this.densityLayer.setHeatmapVisible(this.heatmapInput.checked);
+      this.renderSummary(this.densityLayer.summary);
+    });
+    this.corridorsInput.addEventListener("change", () => {
+      this.densityLayer.setCorridorsVisible(this.corridorsInput.checked);
+      this.renderSummary(this.densityLayer.summary);
+    });
+    this.altitudeBandSelect.addEventListener("change", () => {
+      this.densityLayer.setAltitudeBand(this.altitudeBandSelect.value);
+    });
+    this.densityLayer.onUpdated((summary) => this.renderSummary(summary));
+  }
+
+  /**
+   * Shows the busiest cell of the heatmap and the busiest corridor
+   * @param {Object} summary - The grid and corridors of the layer
+   */
+  renderSummary({ grid, corridors }) {
+    const lines = [];
+    if (this.heatmapInput.checked && grid) {
+      lines.push(`Busiest cell: ${grid.maxCount} flights`);
+    }
+    if (this.corridorsInput.checked && corridors.length > 0) {
+      const busiest = corridors[0];
+      lines.push(
+        `${corridors.length} corridors, busiest ${busiest.region.name} (${busiest.flightCount})`,
+      );
+    }
+    this.summaryElement.textContent = lines.join(" · ");
+  }
+}
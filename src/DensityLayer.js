@@ -0,0 +1,296 @@
+/**
+ * DensityLayer class
+ *
+ * An analytical layer drawn alongside the animated paths. The heatmap bins the
+ * track samples of the shown flights into a grid (see densityGrid.js) and drapes
+ * it over the globe as an imagery layer. The route corridors cluster the flights
+ * by where they are heading to or coming from (see routeCorridors.js) and draw
+ * the centreline of each corridor, wider the more flights use it, labelled with
+ * its flight count. Both are computed from the flights that pass the filters,
+ * and only while they are shown.
+ */
+import {
+  binTrackSamples,
+  DEFAULT_ALTITUDE_BAND_ID,
+  getAltitudeBand,
+} from "./densityGrid.js";
+import { findRouteCorridors } from "./routeCorridors.js";
+import { DIRECTIONS } from "./directions.js";
+import { feetToMeters } from "./conversionUtils.js";
+
+// Colour ramp of the heatmap from the quietest to the busiest cells, as RGB
+const HEATMAP_RAMP = [
+  [0, 0, 255],
+  [0, 212, 255],
+  [255, 255, 0],
+  [255, 0, 0],
+];
+const HEATMAP_ALPHA = 0.8;
+
+const CORRIDOR_COLORS = {
+  [DIRECTIONS.outbound.id]: Cesium.Color.fromCssColorString("#ffb000"),
+  [DIRECTIONS.inbound.id]: Cesium.Color.fromCssColorString("#c77dff"),
+};
+const CORRIDOR_MIN_WIDTH = 2;
+const CORRIDOR_MAX_WIDTH = 12;
+
+export class DensityLayer {
+  /**
+   * Creates a new DensityLayer instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flights
+   */
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.heatmapVisible = false;
+    this.corridorsVisible = false;
+    this.altitudeBand = getAltitudeBand(DEFAULT_ALTITUDE_BAND_ID);
+
+    this.heatmapLayer = null;
+    // Counts the heatmap updates, so an older image finishing late is dropped
+    this.heatmapVersion = 0;
+    this.corridors = new Cesium.CustomDataSource("Route corridors");
+    this.corridors.show = false;
+    viewer.cesiumViewer.dataSources.add(this.corridors);
+
+    // Whether the flights changed since the heatmap or corridors were last computed
+    this.heatmapDirty = true;
+    this.corridorsDirty = true;
+    this.updatedCallbacks = [];
+    this.summary = { grid: null, corridors: [] };
+    this.refreshTimeout = null;
+
+    viewer.onFilterChanged(() => this.scheduleRefresh());
+  }
+
+  /**
+   * Shows or hides the heatmap
+   * @param {boolean} visible - Whether the heatmap is shown
+   */
+  setHeatmapVisible(visible) {
+    this.heatmapVisible = visible;
+    if (this.heatmapLayer) {
+      this.heatmapLayer.show = visible;
+    }
+    if (visible && this.heatmapDirty) {
+      this.updateHeatmap();
+    }
+  }
+
+  /**
+   * Shows or hides the route corridors
+   * @param {boolean} visible - Whether the corridors are shown
+   */
+  setCorridorsVisible(visible) {
+    this.corridorsVisible = visible;
+    this.corridors.show = visible;
+    if (visible && this.corridorsDirty) {
+      this.updateCorridors();
+    }
+  }
+
+  /**
+   * Limits the heatmap to an altitude band
+   * @param {string} bandId - Id of the altitude band (see densityGrid.js)
+   */
+  setAltitudeBand(bandId) {
+    this.altitudeBand = getAltitudeBand(bandId);
+    this.heatmapDirty = true;
+    if (this.heatmapVisible) {
+      this.updateHeatmap();
+    }
+  }
+
+  /**
+   * Recomputes the shown parts of the layer, e.g. after more flights have
+   * loaded or the filters have changed. Hidden parts are computed when shown.
+   */
+  refresh() {
+    this.heatmapDirty = true;
+    this.corridorsDirty = true;
+    if (this.heatmapVisible) {
+      this.updateHeatmap();
+    }
+    if (this.corridorsVisible) {
+      this.updateCorridors();
+    }
+  }
+
+  /**
+   * Refreshes the layer shortly, so typing into the filters does not recompute it on every key
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = setTimeout(() => {
+      this.refreshTimeout = null;
+      this.refresh();
+    }, 300);
+  }
+
+  /**
+   * Registers a callback that is called when the heatmap or corridors are recomputed
+   * @param {Function} callback - Called with the summary: the grid and the corridors
+   */
+  onUpdated(callback) {
+    this.updatedCallbacks.push(callback);
+  }
+
+  /**
+   * Calls the update callbacks with the current summary
+   */
+  notifyUpdated() {
+    this.updatedCallbacks.forEach((callback) => callback(this.summary));
+  }
+
+  /**
+   * Bins the shown flights and replaces the heatmap imagery layer. Callers do
+   * not wait for it, so a failing image only removes the heatmap with a warning.
+   * @returns {Promise<void>} A promise that resolves when the layer is replaced
+   */
+  async updateHeatmap() {
+    this.heatmapDirty = false;
+    const version = ++this.heatmapVersion;
+    const grid = binTrackSamples(this.viewer.getVisibleFlights(), {
+      altitudeBand: this.altitudeBand,
+    });
+    this.summary = { ...this.summary, grid };
+    this.notifyUpdated();
+
+    const provider = grid
+      ? await Cesium.SingleTileImageryProvider.fromUrl(
+          drawHeatmap(grid).toDataURL(),
+          {
+            rectangle: Cesium.Rectangle.fromDegrees(
+              grid.west,
+              grid.south,
+              grid.east,
+              grid.north,
+            ),
+          },
+        ).catch((error) => {
+          console.warn("Could not create the density heatmap imagery:", error);
+          return null;
+        })
+      : null;
+    if (version !== this.heatmapVersion) {
+      return;
+    }
+
+    const imageryLayers = this.viewer.cesiumViewer.imageryLayers;
+    if (this.heatmapLayer) {
+      imageryLayers.remove(this.heatmapLayer, true);
+      this.heatmapLayer = null;
+    }
+    if (provider) {
+      this.heatmapLayer = imageryLayers.addImageryProvider(provider);
+      this.heatmapLayer.alpha = HEATMAP_ALPHA;
+      this.heatmapLayer.show = this.heatmapVisible;
+    }
+  }
+
+  /**
+   * Clusters the shown flights and redraws the route corridors
+   */
+  updateCorridors() {
+    this.corridorsDirty = false;
+    const corridors = findRouteCorridors(this.viewer.getVisibleFlights());
+    this.summary = { ...this.summary, corridors };
+    this.notifyUpdated();
+
+    this.corridors.entities.removeAll();
+    const maxCount = corridors.length > 0 ? corridors[0].flightCount : 0;
+    corridors.forEach((corridor) => {
+      const color = CORRIDOR_COLORS[corridor.direction];
+      const positions = corridor.path.map((point) =>
+        Cesium.Cartesian3.fromDegrees(
+          point.lon,
+          point.lat,
+          feetToMeters(point.alt),
+        ),
+      );
+      this.corridors.entities.add({
+        polyline: {
+          positions,
+          width:
+            CORRIDOR_MIN_WIDTH +
+            ((CORRIDOR_MAX_WIDTH - CORRIDOR_MIN_WIDTH) * corridor.flightCount) /
+              maxCount,
+          material: color.withAlpha(0.6),
+          arcType: Cesium.ArcType.NONE,
+        },
+      });
+
+      // Departures end and arrivals start at the far end of the corridor
+      const remoteEnd =
+        corridor.direction === DIRECTIONS.inbound.id
+          ? positions[0]
+          : positions[positions.length - 1];
+      const directionLabel =
+        corridor.direction === DIRECTIONS.inbound.id
+          ? "arrivals"
+          : "departures";
+      this.corridors.entities.add({
+        position: remoteEnd,
+        label: {
+          text: `${corridor.region.name}\n${corridor.flightCount} ${directionLabel}`,
+          font: "12px sans-serif",
+          fillColor: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+          verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+          pixelOffset: new Cesium.Cartesian2(0, -6),
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+      });
+    });
+  }
+}
+
+/**
+ * Draws the heatmap of a grid, one pixel per cell. Counts are coloured on a
+ * logarithmic scale, so the quieter corridors stay visible next to the busiest.
+ * @param {Object} grid - The grid returned by binTrackSamples
+ * @returns {HTMLCanvasElement} The heatmap image, north up
+ */
+function drawHeatmap(grid) {
+  const canvas = document.createElement("canvas");
+  canvas.width = grid.columns;
+  canvas.height = grid.rows;
+  const context = canvas.getContext("2d");
+  const image = context.createImageData(grid.columns, grid.rows);
+  const maxLog = Math.log1p(grid.maxCount);
+
+  for (let row = 0; row < grid.rows; row++) {
+    for (let column = 0; column < grid.columns; column++) {
+      const count = grid.counts[row * grid.columns + column];
+      if (count === 0) {
+        continue;
+      }
+      const value = maxLog > 0 ? Math.log1p(count) / maxLog : 1;
+      const [red, green, blue] = getRampColor(value);
+      // Image rows run from the north, grid rows from the south
+      const offset = ((grid.rows - 1 - row) * grid.columns + column) * 4;
+      image.data[offset] = red;
+      image.data[offset + 1] = green;
+      image.data[offset + 2] = blue;
+      image.data[offset + 3] = Math.round(255 * (0.35 + 0.65 * value));
+    }
+  }
+
+  context.putImageData(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Gets the colour of a value on the heatmap colour ramp
+ * @param {number} value - Value from 0 to 1
+ * @returns {number[]} The colour as RGB
+ */
+function getRampColor(value) {
+  const position = value * (HEATMAP_RAMP.length - 1);
+  const index = Math.min(Math.floor(position), HEATMAP_RAMP.length - 2);
+  const fraction = position - index;
+  return HEATMAP_RAMP[index].map((channel, i) =>
+    Math.round(channel + (HEATMAP_RAMP[index + 1][i] - channel) * fraction),
+  );
+}
@@ -0,0 +1,173 @@
+/**
+ * DeparturesBoard class
+ *
+ * An airport-style departures board following the real-world time of the
+ * animation. It lists the shown departures leaving around the current time,
+ * with their departure time in the airport's timezone, callsign and inferred
+ * destination (see destinations.js). Clicking a row selects the flight, which
+ * highlights it on the globe and opens its side panel.
+ */
+import { DIRECTIONS } from "./directions.js";
+import { inferDestination } from "./destinations.js";
+
+// The board covers departures from this long before the current time...
+const WINDOW_BEFORE_MINUTES = 15;
+// ...up to this long after it
+const WINDOW_AFTER_MINUTES = 60;
+// Flights leaving within this long are boarding
+const BOARDING_MINUTES = 15;
+const MAX_ROWS = 12;
+
+export class DeparturesBoard {
+  /**
+   * Creates a new DeparturesBoard instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flights
+   * @param {Timeline} timeline - The Timeline instance to follow
+   * @param {HTMLElement} boardElement - The HTML element containing the board
+   * @param {Clock} clock - The Clock instance, used for formatting times in the airport's timezone
+   */
+  constructor(viewer, timeline, boardElement, clock) {
+    this.viewer = viewer;
+    this.timeline = timeline;
+    this.clock = clock;
+    this.rowsElement = boardElement.querySelector(".departures-rows");
+    this.emptyElement = boardElement.querySelector(".departures-empty");
+    // Inferred destinations by FR24 id, the tracks of a flight don't change
+    this.destinations = new Map();
+    // Key of the rendered rows, so the board is only rebuilt when they change
+    this.renderedKey = null;
+
+    this.viewer.onFlightSelected(() => this.update());
+    this.updateInterval = setInterval(() => this.update(), 500);
+  }
+
+  /**
+   * Lists the departures around the current real-world time
+   */
+  update() {
+    const currentTime = this.timeline.getCurrentRealTime();
+    const departures = currentTime ? this.getDepartures(currentTime) : [];
+    const selectedFlight = this.viewer.getSelectedFlight();
+
+    const rows = departures.map((flight) => ({
+      flight,
+      status: this.getStatus(flight, currentTime),
+      selected: flight === selectedFlight,
+    }));
+    const key = rows
+      .map(({ flight, status, selected }) =>
+        [flight.fr24Id, status, selected].join(":"),
+      )
+      .join(",");
+    if (key === this.renderedKey) {
+      return;
+    }
+    this.renderedKey = key;
+    this.render(rows);
+  }
+
+  /**
+   * Gets the shown departures leaving in the window around a time
+   * @param {Date} currentTime - The current real-world time
+   * @returns {Object[]} The flights ordered by departure time
+   */
+  getDepartures(currentTime) {
+    const from = currentTime.getTime() - WINDOW_BEFORE_MINUTES * 60_000;
+    const to = currentTime.getTime() + WINDOW_AFTER_MINUTES * 60_000;
+    return this.viewer
+      .getVisibleFlights()
+      .filter(
+        (flight) =>
+          flight.direction === DIRECTIONS.outbound.id &&
+          flight.realStartTime.getTime() >= from &&
+          flight.realStartTime.getTime() <= to,
+      )
+      .sort((a, b) => a.realStartTime - b.realStartTime)
+      .slice(0, MAX_ROWS);
+  }
+
+  /**
+   * Gets the status of a departure at a time
+   * @param {Object} flight - The flight details
+   * @param {Date} currentTime - The current real-world time
+   * @returns {string} "Departed", "Boarding" or an empty string
+   */
+  getStatus(flight, currentTime) {
+    const minutesToDeparture = (flight.realStartTime - currentTime) / 60_000;
+    if (minutesToDeparture <= 0) {
+      return "Departed";
+    }
+    return minutesToDeparture <= BOARDING_MINUTES ? "Boarding" : "";
+  }
+
+  /**
+   * Gets the inferred destination of a flight, inferring it on first use
+   * @param {Object} flight - The flight details
+   * @returns {Object|null} The destination, see inferDestination
+   */
+  getDestination(flight) {
+    if (!this.destinations.has(flight.fr24Id)) {
+      this.destinations.set(flight.fr24Id, inferDestination(flight));
+    }
+    return this.destinations.get(flight.fr24Id);
+  }
+
+  /**
+   * Formats the destination of a flight for the board
+   * @param {Object} flight - The flight details
+   * @returns {{text: string, title: string}} The city and code, and the airport name as a tooltip
+   */
+  formatDestination(flight) {
+    const destination = this.getDestination(flight);
+    if (!destination) {
+      return { text: "Unknown", title: "No airport near the end of the track" };
+    }
+    const { airport, confident } = destination;
+    // Tracks ending in the air or away from the airport are marked with a question mark
+    return {
+      text: `${airport.city} ${airport.code}${confident ? "" : "?"}`,
+      title: confident
+        ? airport.name
+        : `${airport.name}, the track ends ${Math.round(destination.distanceMeters / 1000)} km away`,
+    };
+  }
+
+  /**
+   * Replaces the rows of the board
+   * @param {Object[]} rows - The flights with their status and whether they are selected
+   */
+  render(rows) {
+    this.rowsElement.replaceChildren(
+      ...rows.map(({ flight, status, selected }) => {
+        const destination = this.formatDestination(flight);
+        const row = document.createElement("tr");
+        row.classList.toggle("selected", selected);
+        row.classList.toggle("departed", status === "Departed");
+        row.append(
+          createCell(this.clock.formatTime(flight.realStartTime).slice(0, 5)),
+          createCell(flight.callsign || String(flight.fr24Id)),
+          createCell(destination.text, destination.title),
+          createCell(status),
+        );
+        row.addEventListener("click", () => this.viewer.selectFlight(flight));
+        return row;
+      }),
+    );
+    this.emptyElement.classList.toggle("hidden", rows.length > 0);
+  }
+}
+
+/**
+ * Creates a cell of the board
+ * @param {string} text - The text of the cell
+ * @param {string} title - Optional tooltip of the cell
+ * @returns {HTMLTableCellElement} The cell
+ */
+function createCell(text, title = "") {
+  const cell = document.createElement("td");
+  cell.textContent = text;
+  if (title) {
+    cell.title = title;
+  }
+  return cell;
+}
@@ -0,0 +1,77 @@
+/**
+ * ExportControls class
+ *
+ * Lets the user export the animation as a video or a PNG frame sequence, and
+ * shows the progress of a running export.
+ */
+import { EXPORT_FORMATS } from "./FrameExporter.js";
+
+export class ExportControls {
+  /**
+   * Creates a new ExportControls instance
+   * @param {FrameExporter} exporter - The FrameExporter instance
+   * @param {HTMLElement} controlsElement - The HTML element containing the export inputs
+   */
+  constructor(exporter, controlsElement) {
+    this.exporter = exporter;
+    this.formatSelect = controlsElement.querySelector(".export-format");
+    this.fpsSelect = controlsElement.querySelector(".export-fps");
+    this.durationInput = controlsElement.querySelector(".export-duration");
+    this.startButton = controlsElement.querySelector(".export-start");
+    this.cancelButton = controlsElement.querySelector(".export-cancel");
+    this.statusElement = controlsElement.querySelector(".export-status");
+
+    Object.values(EXPORT_FORMATS).forEach((format) => {
+      const option = document.createElement("option");
+      option.value = format.id;
+      option.textContent = format.label;
+      this.formatSelect.appendChild(option);
+    });
+
+    this.startButton.addEventListener("click", () => this.start());
+    this.cancelButton.addEventListener("click", () => this.exporter.cancel());
+    this.updateButtons();
+  }
+
+  /**
+   * Starts an export with the chosen options
+   */
+  async start() {
+    const durationSeconds = parseFloat(this.durationInput.value);
+    if (!(durationSeconds > 0)) {
+      this.statusElement.textContent = "Enter the length of the video";
+      return;
+    }
+
+    this.statusElement.textContent = "Preparing export…";
+    const exportPromise = this.exporter.export({
+      format: this.formatSelect.value,
+      fps: parseInt(this.fpsSelect.value),
+      durationSeconds,
+      onProgress: ({ exported, frameCount }) => {
+        this.statusElement.textContent = `Exported frame ${exported}/${frameCount}`;
+      },
+    });
+    this.updateButtons();
+
+    try {
+      const completed = await exportPromise;
+      this.statusElement.textContent = completed
+        ? "Export finished"
+        : "Export cancelled";
+    } catch (error) {
+      console.error("Export failed:", error);
+      this.statusElement.textContent = `Export failed: ${error.message}`;
+    }
+    this.updateButtons();
+  }
+
+  /**
+   * Enables the start or cancel button depending on whether an export is running
+   */
+  updateButtons() {
+    const exporting = this.exporter.isExporting();
+    this.startButton.disabled = exporting;
+    this.cancelButton.disabled = !exporting;
+  }
+}
@@ -2,67 +2,276 @@
  * FlightDataLoader class
  *
  * Responsible for loading the flight data that the visualisation needs.
- * It is initialised with a list of file paths that resolve to files which are part of the visualisation.
- * In its initialisation it will load all the files and get chronologically sorted list of flight data,
- * which is then used to draw the flight paths on the globe.
+ * It is initialised with a list of file paths that resolve to files which are part of the visualisation,
+ * usually from a dataset of the dataset manifest.
+ * It loads the files chronologically with limited concurrency, and reports each flight as soon as it has
+ * loaded so it can be drawn while the rest are still loading. It keeps a chronologically sorted list of
+ * the loaded flight data, which is used to draw the flight paths on the globe.
+ * The tracks are cleaned while loading (see trackCleaning.js), unless the data was cleaned beforehand.
  */
+import { getComparisonFiles } from "./dayComparison.js";
+import { decodeFlightPack, isFlightPack } from "./flightPack.js";
+import {
+  addCleaningReport,
+  cleanTracks,
+  createCleaningReport,
+  formatCleaningReport,
+} from "./trackCleaning.js";
+
 export class FlightDataLoader {
   /**
    * Creates a new FlightDataLoader instance
-   * @param {string[]} filePaths - Array of file paths to load flight data from
+   * @param {Array<string|Object>} files - File paths to load flight data from, or file entries of the manifest
+   * with name, startTime and endTime
+   * @param {string} basePath - Path of the directory the file paths are relative to
    */
-  constructor(filePaths) {
-    this.filePaths = filePaths;
+  constructor(files, basePath = "./data/") {
+    this.files = files
+      .map((file) =>
+        typeof file === "string"
+          ? { filePath: file, startTime: null, endTime: null }
+          : {
+              filePath: file.name,
+              startTime: new Date(file.startTime),
+              endTime: new Date(file.endTime),
+            },
+      )
+      // Chronological loading order, files without known start time are loaded last
+      .sort(
+        (a, b) => (a.startTime ?? Infinity) - (b.startTime ?? Infinity) || 0,
+      );
+    this.basePath = basePath;
     this.flightData = [];
     this.isLoaded = false;
+    // Total of the fixes made by cleaning the tracks of all loaded flights
+    this.cleaningReport = createCleaningReport();
   }
 
   /**
-   * Loads all flight data files and sorts them chronologically
-   * @returns {Promise<void>} A promise that resolves when all data is loaded and sorted
+   * Loads the dataset manifest, which lists the available datasets and their files
+   * @param {string} manifestPath - Path of the manifest file
+   * @returns {Promise<Object>} The manifest, with the base path of each dataset resolved
    */
-  async loadData() {
-    console.log(`Loading ${this.filePaths.length} flight data files...`);
+  static async loadManifest(manifestPath = "./data/manifest.json") {
+    const response = await fetch(manifestPath);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load manifest ${manifestPath}: ${response.status}`,
+      );
+    }
+    const manifest = await response.json();
 
-    try {
-      const loadPromises = this.filePaths.map(async (filePath) => {
-        try {
-          const response = await fetch(`./data/${filePath}`);
-          if (!response.ok) {
-            throw new Error(`Failed to load ${filePath}: ${response.status}`);
-          }
-          const data = await response.json();
-          return { filePath, data };
-        } catch (error) {
-          console.error(`Error loading ${filePath}:`, error);
-          return { filePath, data: null };
+    // Dataset paths are relative to the manifest file
+    const manifestUrl = new URL(manifestPath, window.location.href);
+    manifest.datasets.forEach((dataset) => {
+      dataset.basePath = new URL(`${dataset.path}/`, manifestUrl).href;
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Creates a FlightDataLoader for a dataset of the manifest
+   * @param {Object} dataset - A dataset returned by loadManifest
+   * @returns {FlightDataLoader} The loader for the files of the dataset
+   */
+  static fromDataset(dataset) {
+    return new FlightDataLoader(dataset.files, dataset.basePath);
+  }
+
+  /**
+   * Creates a FlightDataLoader for the compared days of a day-over-day comparison
+   * @param {Object} comparison - A comparison returned by selectComparison
+   * @returns {FlightDataLoader} The loader for the files departing on the compared days,
+   * with their times shifted onto the first day
+   */
+  static fromComparison(comparison) {
+    // The file names are full URLs, as the days may come from different datasets
+    return new FlightDataLoader(getComparisonFiles(comparison), "");
+  }
+
+  /**
+   * Loads the flight data files, and keeps the loaded flights sorted chronologically.
+   * Files are loaded in the order of their start time with a limited number of
+   * concurrent requests, so the flights at the beginning of the animation are available first.
+   * @param {Object} options - Loading options
+   * @param {number} options.concurrency - Maximum number of concurrent requests (default: 6)
+   * @param {number} options.maxFiles - Maximum number of files to load, chronologically first (default: all)
+   * @param {Function} options.onFlightLoaded - Called with each flight as soon as it has loaded
+   * @param {Function} options.onProgress - Called with the loaded, failed and total file counts
+   * @param {Object|null} options.cleaning - Options of cleanTracks, or null to use the tracks as they are
+   * @returns {Promise<void>} A promise that resolves when all data is loaded
+   */
+  async loadData({
+    concurrency = 6,
+    maxFiles = Infinity,
+    onFlightLoaded = () => {},
+    onProgress = () => {},
+    cleaning = {},
+  } = {}) {
+    const files = this.files.slice(0, maxFiles);
+    console.log(`Loading ${files.length} flight data files...`);
+
+    let nextIndex = 0;
+    const progress = { loaded: 0, failed: 0, total: files.length };
+    onProgress({ ...progress });
+
+    // Each worker picks the next file in chronological order until all files are loaded
+    const loadNextFiles = async () => {
+      while (nextIndex < files.length) {
+        const file = files[nextIndex++];
+        const flights = await this.loadFile(file.filePath, cleaning);
+        if (flights) {
+          progress.loaded++;
+          flights.forEach((flight) => {
+            this.insertFlight(flight);
+            onFlightLoaded({
+              data: flight.flightData,
+              filePath: flight.filePath,
+            });
+          });
+        } else {
+          progress.failed++;
         }
-      });
+        onProgress({ ...progress });
+      }
+    };
 
-      const results = await Promise.all(loadPromises);
-
-      // Filter out failed loads and extract flight data
-      this.flightData = results
-        .filter((result) => result.data !== null)
-        .map((result) => ({
-          filePath: result.filePath,
-          flightData: result.data,
-          // Get the earliest timestamp from the flight for chronological sorting
-          earliestTimestamp: this.getEarliestTimestamp(result.data),
-        }))
-        .sort(
-          (a, b) =>
-            new Date(a.earliestTimestamp) - new Date(b.earliestTimestamp),
-        );
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, files.length) }, () =>
+        loadNextFiles(),
+      ),
+    );
 
-      this.isLoaded = true;
+    this.isLoaded = true;
+    console.log(
+      `Successfully loaded ${this.flightData.length} flight data files`,
+    );
+    if (cleaning) {
       console.log(
-        `Successfully loaded ${this.flightData.length} flight data files`,
+        `Cleaned flight tracks: ${formatCleaningReport(this.cleaningReport)}`,
       );
+    }
+  }
+
+  /**
+   * Loads a single flight data file. JSON files hold a single flight, packed
+   * flight files (see flightPack.js) hold many.
+   * @param {string} filePath - Path of the file, relative to the base path
+   * @param {Object|null} cleaning - Options of cleanTracks, or null to skip cleaning
+   * @returns {Promise<Object[]|null>} The loaded flights, or null if loading failed
+   */
+  async loadFile(filePath, cleaning = null) {
+    try {
+      const response = await fetch(`${this.basePath}${filePath}`);
+      if (!response.ok) {
+        throw new Error(`Failed to load ${filePath}: ${response.status}`);
+      }
+
+      if (!isFlightPack(filePath)) {
+        const flight = this.createFlight(
+          filePath,
+          await response.json(),
+          cleaning,
+        );
+        return flight ? [flight] : [];
+      }
+
+      // Wrap each packed flight in an array to match the shape of the JSON files
+      const flights = decodeFlightPack(await response.arrayBuffer());
+      return flights
+        .map((flight) =>
+          this.createFlight(
+            `${filePath}#${flight.fr24_id}`,
+            [flight],
+            cleaning,
+          ),
+        )
+        .filter(Boolean);
     } catch (error) {
-      console.error("Error loading flight data:", error);
-      throw error;
+      console.error(`Error loading ${filePath}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Creates a loaded flight entry
+   * @param {string} filePath - Identifier of the flight, the file path it was loaded from
+   * @param {Object} data - The flight data, as in the JSON data files
+   * @param {Object|null} cleaning - Options of cleanTracks, or null to skip cleaning
+   * @returns {Object|null} The loaded flight, or null if it has no track points
+   */
+  createFlight(filePath, data, cleaning = null) {
+    if (cleaning && Array.isArray(data)) {
+      data = data.map((flight) => {
+        const { tracks, report } = cleanTracks(flight.tracks ?? [], cleaning);
+        addCleaningReport(this.cleaningReport, report);
+        return { ...flight, tracks };
+      });
+    }
+    // Left empty by cleaning (counted in the cleaning report) or empty in a
+    // dataset cleaned beforehand. The rest of a packed file still loads.
+    if (
+      Array.isArray(data) &&
+      data.length > 0 &&
+      (data[0].tracks ?? []).length === 0
+    ) {
+      console.warn(`Skipping ${filePath}, no valid track points`);
+      return null;
+    }
+
+    return {
+      filePath,
+      flightData: data,
+      // Get the earliest timestamp from the flight for chronological sorting
+      earliestTimestamp: this.getEarliestTimestamp(data),
+    };
+  }
+
+  /**
+   * Inserts a loaded flight into the flight data, keeping it sorted chronologically
+   * @param {Object} flight - The loaded flight
+   */
+  insertFlight(flight) {
+    const timestamp = new Date(flight.earliestTimestamp);
+    let low = 0;
+    let high = this.flightData.length;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (new Date(this.flightData[mid].earliestTimestamp) <= timestamp) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
     }
+    this.flightData.splice(low, 0, flight);
+  }
+
+  /**
+   * Gets the real-world time range of the files that will be loaded, from the
+   * file start and end times of the manifest. Allows setting up the timeline before the data has loaded.
+   * @param {number} maxFiles - Maximum number of files that will be loaded (default: all)
+   * @returns {{earliestStart: Date, latestEnd: Date}} The time range
+   */
+  getExpectedTimeRange(maxFiles = Infinity) {
+    const files = this.files.slice(0, maxFiles);
+    if (files.length === 0) {
+      throw new Error("No flight data files to load");
+    }
+    if (files.some((file) => !file.startTime || !file.endTime)) {
+      throw new Error(
+        "File start and end times are missing, regenerate the manifest",
+      );
+    }
+
+    return {
+      earliestStart: new Date(
+        Math.min(...files.map((file) => file.startTime.getTime())),
+      ),
+      latestEnd: new Date(
+        Math.max(...files.map((file) => file.endTime.getTime())),
+      ),
+    };
   }
 
   /**
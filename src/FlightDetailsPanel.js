@@ -0,0 +1,187 @@
+/**
+ * FlightDetailsPanel class
+ *
+ * Side panel showing the details of a flight that has been picked on the globe.
+ * Shows the callsign, departure and arrival times, the altitude and ground speed
+ * at the current animation time, and altitude and speed profiles of the whole flight.
+ */
+import { interpolateTrack } from "./trackUtils.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const PROFILE_WIDTH = 240;
+const PROFILE_HEIGHT = 60;
+
+export class FlightDetailsPanel {
+  /**
+   * Creates a new FlightDetailsPanel instance
+   * @param {Timeline} timeline - The Timeline instance used to get the current real-world time
+   * @param {HTMLElement} panelElement - The HTML element of the panel
+   * @param {Clock} clock - The Clock instance, used for formatting times in its timezone
+   * @param {Function} onClose - Called when the user closes the panel
+   */
+  constructor(timeline, panelElement, clock, onClose = () => {}) {
+    this.timeline = timeline;
+    this.panelElement = panelElement;
+    this.clock = clock;
+    this.flight = null;
+
+    this.panelElement
+      .querySelector(".details-close")
+      .addEventListener("click", () => onClose());
+
+    // Keep the current values in sync with the animation
+    this.updateInterval = setInterval(() => {
+      this.updateCurrentValues();
+    }, 250);
+  }
+
+  /**
+   * Shows the panel for the given flight
+   * @param {Object} flight - Flight details from Viewer.getFlightForEntity
+   */
+  show(flight) {
+    this.flight = flight;
+
+    this.setText(".details-callsign", flight.callsign || "Unknown callsign");
+    this.setText(".details-id", `FR24 ID ${flight.fr24Id}`);
+    // Times of a compared day are shifted onto the first day, show the real ones
+    const offsetMs = flight.day ? flight.day.offsetMs : 0;
+    this.setText(
+      ".details-departure",
+      this.formatDateTime(new Date(flight.realStartTime - offsetMs)),
+    );
+    this.setText(
+      ".details-arrival",
+      this.formatDateTime(new Date(flight.realEndTime - offsetMs)),
+    );
+
+    this.renderProfile(
+      this.panelElement.querySelector(".details-altitude-profile"),
+      "alt",
+    );
+    this.renderProfile(
+      this.panelElement.querySelector(".details-speed-profile"),
+      "gspeed",
+    );
+
+    this.updateCurrentValues();
+    this.panelElement.classList.remove("hidden");
+  }
+
+  /**
+   * Hides the panel
+   */
+  hide() {
+    this.flight = null;
+    this.panelElement.classList.add("hidden");
+  }
+
+  /**
+   * Updates the altitude and ground speed at the current animation time,
+   * and moves the time cursor of the profiles
+   */
+  updateCurrentValues() {
+    if (!this.flight) {
+      return;
+    }
+
+    const currentTime = this.timeline.getCurrentRealTime();
+    const sample = currentTime
+      ? interpolateTrack(this.flight.tracks, currentTime)
+      : null;
+
+    if (sample) {
+      this.setText(".details-altitude", `${Math.round(sample.alt)} ft`);
+      this.setText(".details-speed", `${Math.round(sample.gspeed)} kt`);
+    } else {
+      const status =
+        currentTime && currentTime < this.flight.realStartTime
+          ? "Not departed"
+          : "Arrived";
+      this.setText(".details-altitude", status);
+      this.setText(".details-speed", status);
+    }
+
+    const cursorX = currentTime ? this.getProfileX(currentTime) : null;
+    this.panelElement
+      .querySelectorAll(".details-profile-cursor")
+      .forEach((cursor) => {
+        const visible = cursorX !== null && sample !== null;
+        cursor.setAttribute("visibility", visible ? "visible" : "hidden");
+        if (visible) {
+          cursor.setAttribute("x1", cursorX);
+          cursor.setAttribute("x2", cursorX);
+        }
+      });
+  }
+
+  /**
+   * Renders a value-vs-time profile of the selected flight into an SVG element
+   * @param {SVGElement} svg - The SVG element to render into
+   * @param {string} key - The track point property to plot (e.g. "alt", "gspeed")
+   */
+  renderProfile(svg, key) {
+    const tracks = this.flight.tracks;
+    const maxValue = Math.max(1, ...tracks.map((track) => track[key]));
+
+    const points = tracks
+      .map((track) => {
+        const x = this.getProfileX(new Date(track.timestamp));
+        const y = PROFILE_HEIGHT - (track[key] / maxValue) * PROFILE_HEIGHT;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(" ");
+
+    svg.setAttribute("viewBox", `0 0 ${PROFILE_WIDTH} ${PROFILE_HEIGHT}`);
+    svg.replaceChildren();
+
+    const line = document.createElementNS(SVG_NAMESPACE, "polyline");
+    line.setAttribute("class", "details-profile-line");
+    line.setAttribute("points", points);
+    svg.appendChild(line);
+
+    const cursor = document.createElementNS(SVG_NAMESPACE, "line");
+    cursor.setAttribute("class", "details-profile-cursor");
+    cursor.setAttribute("y1", 0);
+    cursor.setAttribute("y2", PROFILE_HEIGHT);
+    svg.appendChild(cursor);
+
+    const maxLabel = svg.parentElement.querySelector(".details-profile-max");
+    if (maxLabel) {
+      maxLabel.textContent = `max ${Math.round(maxValue)}`;
+    }
+  }
+
+  /**
+   * Maps a real-world time to the x coordinate of the profile charts
+   * @param {Date} time - The real-world time
+   * @returns {number} The x coordinate
+   */
+  getProfileX(time) {
+    const { realStartTime, realEndTime } = this.flight;
+    const duration = realEndTime - realStartTime || 1;
+    const progress = Math.max(
+      0,
+      Math.min(1, (time - realStartTime) / duration),
+    );
+    return progress * PROFILE_WIDTH;
+  }
+
+  /**
+   * Formats a date as time and date in the timezone of the clock
+   * @param {Date} date - The date to format
+   * @returns {string} Formatted date and time
+   */
+  formatDateTime(date) {
+    return `${this.clock.formatTime(date)}, ${this.clock.formatDate(date)}`;
+  }
+
+  /**
+   * Sets the text content of an element inside the panel
+   * @param {string} selector - CSS selector of the element
+   * @param {string} text - The text to set
+   */
+  setText(selector, text) {
+    this.panelElement.querySelector(selector).textContent = text;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * FlightExportControls class
+ *
+ * Lets the user download the flights passing the filters as CZML, KML or
+ * GeoJSON (see flightExport.js), with every track point and its timestamp.
+ */
+import { getRealTracks } from "./dayComparison.js";
+import { downloadBlob } from "./downloads.js";
+import {
+  exportFlights,
+  FLIGHT_EXPORT_FORMATS,
+  getFlightExportFormat,
+} from "./flightExport.js";
+
+export class FlightExportControls {
+  /**
+   * Creates a new FlightExportControls instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flights
+   * @param {HTMLElement} controlsElement - The HTML element containing the format selector and download button
+   * @param {string} name - Name of the exported flights, used for the file name, e.g. the dataset id
+   */
+  constructor(viewer, controlsElement, name) {
+    this.viewer = viewer;
+    this.name = name;
+    this.formatSelect = controlsElement.querySelector(".flight-export-format");
+    this.downloadButton = controlsElement.querySelector(
+      ".flight-export-download",
+    );
+    this.statusElement = controlsElement.querySelector(".flight-export-status");
+
+    Object.values(FLIGHT_EXPORT_FORMATS).forEach((format) => {
+      const option = document.createElement("option");
+      option.value = format.id;
+      option.textContent = format.label;
+      this.formatSelect.appendChild(option);
+    });
+
+    this.downloadButton.addEventListener("click", () => this.download());
+  }
+
+  /**
+   * Exports the shown flights in the chosen format and downloads the file
+   */
+  download() {
+    const format = getFlightExportFormat(this.formatSelect.value);
+    const flights = this.viewer.getVisibleFlights().map((flight) => ({
+      fr24Id: flight.fr24Id,
+      callsign: flight.callsign,
+      direction: flight.direction,
+      // Times of a compared day are shifted onto the first day, export the real ones
+      tracks: getRealTracks(flight.tracks, flight.day),
+    }));
+    if (flights.length === 0) {
+      this.statusElement.textContent = "No flights to export";
+      return;
+    }
+
+    try {
+      const contents = exportFlights(flights, format.id, { name: this.name });
+      downloadBlob(
+        new Blob([contents], { type: format.mimeType }),
+        `${this.name}.${format.extension}`,
+      );
+      this.statusElement.textContent = `Exported ${flights.length} flights`;
+    } catch (error) {
+      console.error("Flight export failed:", error);
+      this.statusElement.textContent = `Export failed: ${error.message}`;
+    }
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * FlightFilterControls class
+ *
+ * Lets the user narrow down the shown flights by direction (arrivals and
+ * departures), callsign, altitude, departure time and destination or origin.
+ * Filters apply live to the loaded flights, and the global timeline can
+ * optionally be fitted to the flights that pass them.
+ */
+import {
+  createEmptyCriteria,
+  createFlightFilter,
+  hasActiveCriteria,
+} from "./flightFilters.js";
+import { REGIONS, UNKNOWN_REGION } from "./regions.js";
+
+const CUSTOM_BOUNDS = "custom";
+
+export class FlightFilterControls {
+  /**
+   * Creates a new FlightFilterControls instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flight paths
+   * @param {Timeline} timeline - The Timeline instance managing the global animation
+   * @param {HTMLElement} controlsElement - The HTML element containing the filter inputs
+   * @param {string} timezone - IANA timezone of the airport, used for the departure time window
+   */
+  constructor(viewer, timeline, controlsElement, timezone) {
+    this.viewer = viewer;
+    this.timeline = timeline;
+    this.timezone = timezone;
+    // Time range of all the flights, restored when the filters are cleared
+    this.fullTimeRange = null;
+
+    this.directionInputs = Array.from(
+      controlsElement.querySelectorAll(".filter-direction"),
+    );
+    this.callsignInput = controlsElement.querySelector(".filter-callsign");
+    this.maxAltitudeInput = controlsElement.querySelector(
+      ".filter-max-altitude",
+    );
+    this.departureFromInput = controlsElement.querySelector(
+      ".filter-departure-from",
+    );
+    this.departureToInput = controlsElement.querySelector(
+      ".filter-departure-to",
+    );
+    this.regionSelect = controlsElement.querySelector(".filter-region");
+    this.boundsElement = controlsElement.querySelector(".filter-bounds");
+    this.boundsInputs = {
+      west: controlsElement.querySelector(".filter-bounds-west"),
+      south: controlsElement.querySelector(".filter-bounds-south"),
+      east: controlsElement.querySelector(".filter-bounds-east"),
+      north: controlsElement.querySelector(".filter-bounds-north"),
+    };
+    this.fitTimelineInput = controlsElement.querySelector(
+      ".filter-fit-timeline",
+    );
+    this.clearButton = controlsElement.querySelector(".filter-clear");
+    this.summaryElement = controlsElement.querySelector(".filter-summary");
+
+    [...REGIONS, UNKNOWN_REGION].forEach((region) => {
+      const option = document.createElement("option");
+      option.value = region.id;
+      option.textContent = region.name;
+      this.regionSelect.appendChild(option);
+    });
+    const customOption = document.createElement("option");
+    customOption.value = CUSTOM_BOUNDS;
+    customOption.textContent = "Custom bounds";
+    this.regionSelect.appendChild(customOption);
+
+    controlsElement.addEventListener("input", () => this.apply());
+    this.clearButton.addEventListener("click", () => this.clear());
+
+    this.apply();
+  }
+
+  /**
+   * Sets the time range of all the flights, used to restore the timeline when
+   * the filters no longer narrow it down
+   * @param {Date} earliestStart - The earliest flight start time
+   * @param {Date} latestEnd - The latest flight end time
+   */
+  setFullTimeRange(earliestStart, latestEnd) {
+    this.fullTimeRange = { earliestStart, latestEnd };
+  }
+
+  /**
+   * Reads the filter criteria from the inputs
+   * @returns {Object} The filter criteria, see createEmptyCriteria in flightFilters.js
+   */
+  getCriteria() {
+    const criteria = createEmptyCriteria();
+
+    // Only filter by direction when one of them is switched off
+    const directions = this.directionInputs
+      .filter((input) => input.checked)
+      .map((input) => input.value);
+    if (directions.length < this.directionInputs.length) {
+      criteria.directions = directions;
+    }
+
+    criteria.callsignPrefixes = this.callsignInput.value
+      .split(",")
+      .map((prefix) => prefix.trim())
+      .filter((prefix) => prefix.length > 0);
+
+    const maxAltitude = parseFloat(this.maxAltitudeInput.value);
+    if (!isNaN(maxAltitude)) {
+      criteria.maxAltitude = maxAltitude;
+    }
+
+    // A window needs both ends, an end before the start wraps past midnight
+    const from = parseTimeOfDay(this.departureFromInput.value);
+    const to = parseTimeOfDay(this.departureToInput.value);
+    if (from !== null && to !== null) {
+      criteria.departureWindow = { start: from, end: to };
+    }
+
+    const region = this.regionSelect.value;
+    this.boundsElement.classList.toggle("hidden", region !== CUSTOM_BOUNDS);
+    if (region === CUSTOM_BOUNDS) {
+      const bounds = Object.fromEntries(
+        Object.entries(this.boundsInputs).map(([key, input]) => [
+          key,
+          parseFloat(input.value),
+        ]),
+      );
+      if (Object.values(bounds).every((value) => !isNaN(value))) {
+        criteria.destinationBounds = bounds;
+      }
+    } else if (region) {
+      criteria.destinationRegion = region;
+    }
+
+    return criteria;
+  }
+
+  /**
+   * Gets the values of the filter inputs, e.g. for the URL of the view
+   * @returns {Object} The input values, with the shown directions or null when both are shown
+   */
+  getState() {
+    const directions = this.directionInputs
+      .filter((input) => input.checked)
+      .map((input) => input.value);
+    return {
+      directions:
+        directions.length < this.directionInputs.length ? directions : null,
+      callsign: this.callsignInput.value,
+      maxAltitude: this.maxAltitudeInput.value,
+      departureFrom: this.departureFromInput.value,
+      departureTo: this.departureToInput.value,
+      region: this.regionSelect.value,
+      bounds: Object.fromEntries(
+        Object.entries(this.boundsInputs).map(([key, input]) => [
+          key,
+          input.value,
+        ]),
+      ),
+      fitTimeline: this.fitTimelineInput.checked,
+    };
+  }
+
+  /**
+   * Fills in the filter inputs and applies them. Inputs that are not given are cleared.
+   * @param {Object} state - The input values, see getState
+   */
+  setState(state) {
+    this.directionInputs.forEach((input) => {
+      input.checked =
+        !state.directions || state.directions.includes(input.value);
+    });
+    this.callsignInput.value = state.callsign || "";
+    this.maxAltitudeInput.value = state.maxAltitude || "";
+    this.departureFromInput.value = state.departureFrom || "";
+    this.departureToInput.value = state.departureTo || "";
+    this.regionSelect.value = state.region || "";
+    Object.entries(this.boundsInputs).forEach(([key, input]) => {
+      input.value = state.bounds ? state.bounds[key] : "";
+    });
+    this.fitTimelineInput.checked = Boolean(state.fitTimeline);
+    this.apply();
+  }
+
+  /**
+   * Applies the filter inputs to the drawn flights
+   */
+  apply() {
+    const criteria = this.getCriteria();
+    this.viewer.setFlightFilter(createFlightFilter(criteria, this.timezone));
+
+    const visibleFlights = this.viewer.getVisibleFlights();
+    this.summaryElement.textContent = hasActiveCriteria(criteria)
+      ? `Showing ${visibleFlights.length} of ${this.viewer.flights.length} flights`
+      : "";
+
+    this.fitTimeline(
+      this.fitTimelineInput.checked && hasActiveCriteria(criteria)
+        ? visibleFlights
+        : null,
+    );
+  }
+
+  /**
+   * Fits the global timeline to the given flights, or to all the flights
+   * @param {Object[]|null} flights - The flights to fit the timeline to, or null for the full time range
+   */
+  fitTimeline(flights) {
+    const globalTimeline = this.timeline.getGlobalTimeline();
+    if (!globalTimeline) {
+      return;
+    }
+
+    let range = this.fullTimeRange;
+    if (flights && flights.length > 0) {
+      range = {
+        earliestStart: new Date(
+          Math.min(...flights.map((flight) => flight.realStartTime)),
+        ),
+        latestEnd: new Date(
+          Math.max(...flights.map((flight) => flight.realEndTime)),
+        ),
+      };
+    }
+
+    if (
+      !range ||
+      (range.earliestStart.getTime() ===
+        globalTimeline.earliestStart.getTime() &&
+        range.latestEnd.getTime() === globalTimeline.latestEnd.getTime())
+    ) {
+      return;
+    }
+
+    const newTimeline = this.timeline.refitGlobalTimeline(
+      range.earliestStart,
+      range.latestEnd,
+      flights ? flights.length : this.viewer.flights.length,
+    );
+    this.viewer.retimeFlights(newTimeline);
+  }
+
+  /**
+   * Clears all the filters, except for the shown directions
+   */
+  clear() {
+    [
+      this.callsignInput,
+      this.maxAltitudeInput,
+      this.departureFromInput,
+      this.departureToInput,
+      this.regionSelect,
+      ...Object.values(this.boundsInputs),
+    ].forEach((input) => {
+      input.value = "";
+    });
+    this.apply();
+  }
+}
+
+/**
+ * Parses the value of a time input
+ * @param {string} value - Time like "06:30"
+ * @returns {number|null} Minutes since midnight, or null if the input is empty
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{2}):(\d{2})/.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
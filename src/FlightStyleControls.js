@@ -0,0 +1,162 @@
+/**
+ * FlightStyleControls class
+ *
+ * Lets the user pick how the flight paths are coloured, and shows a legend for
+ * the chosen colouring mode. Also lets the user pick how the aircraft are marked
+ * at the heads of the trails, and how long the trails stay on the globe.
+ */
+import { COLOR_MODES } from "./flightStyles.js";
+import {
+  DEFAULT_HEADING_SOURCE_ID,
+  DEFAULT_MARKER_STYLE_ID,
+  HEADING_SOURCES,
+  MARKER_STYLES,
+} from "./AircraftMarkers.js";
+import { TRAIL_MODES } from "./trailModes.js";
+
+export class FlightStyleControls {
+  /**
+   * Creates a new FlightStyleControls instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flight paths
+   * @param {HTMLElement} controlsElement - The HTML element containing the mode selector, legend, marker and trail selectors
+   */
+  constructor(viewer, controlsElement) {
+    this.viewer = viewer;
+    this.modeSelect = controlsElement.querySelector(".style-mode");
+    this.legendElement = controlsElement.querySelector(".style-legend");
+    this.markerStyleSelect = controlsElement.querySelector(".marker-style");
+    this.headingSourceSelect = controlsElement.querySelector(".marker-heading");
+    this.trailModeSelect = controlsElement.querySelector(".trail-mode");
+
+    this.addOptions(this.modeSelect, COLOR_MODES);
+    this.modeSelect.value = viewer.colorMode.id;
+    this.addOptions(this.markerStyleSelect, MARKER_STYLES);
+    this.markerStyleSelect.value = DEFAULT_MARKER_STYLE_ID;
+    this.addOptions(this.headingSourceSelect, HEADING_SOURCES);
+    this.headingSourceSelect.value = DEFAULT_HEADING_SOURCE_ID;
+    this.addOptions(this.trailModeSelect, TRAIL_MODES);
+    this.trailModeSelect.value = viewer.trailMode.id;
+
+    this.modeSelect.addEventListener("change", () => {
+      this.viewer.setColorMode(this.modeSelect.value);
+    });
+    this.markerStyleSelect.addEventListener("change", () => {
+      this.viewer.setMarkerStyle(this.markerStyleSelect.value);
+      this.updateHeadingSourceSelect();
+    });
+    this.headingSourceSelect.addEventListener("change", () => {
+      this.viewer.setMarkerHeadingSource(this.headingSourceSelect.value);
+    });
+    this.trailModeSelect.addEventListener("change", () => {
+      this.viewer.setTrailMode(this.trailModeSelect.value);
+    });
+    this.viewer.onStyleChanged((legend) => this.renderLegend(legend));
+
+    this.renderLegend(viewer.getLegend());
+  }
+
+  /**
+   * Gets the chosen options, e.g. for the URL of the view
+   * @returns {Object} Ids of the colour mode, marker style, heading source and trail mode
+   */
+  getState() {
+    return {
+      colorMode: this.modeSelect.value,
+      markerStyle: this.markerStyleSelect.value,
+      headingSource: this.headingSourceSelect.value,
+      trailMode: this.trailModeSelect.value,
+    };
+  }
+
+  /**
+   * Chooses options, as if picked from the selectors. Options that are not given are kept.
+   * @param {Object} state - Ids of the options to choose, see getState
+   */
+  setState({ colorMode, markerStyle, headingSource, trailMode }) {
+    if (colorMode) {
+      this.viewer.setColorMode(colorMode);
+      this.modeSelect.value = colorMode;
+    }
+    if (markerStyle) {
+      this.viewer.setMarkerStyle(markerStyle);
+      this.markerStyleSelect.value = markerStyle;
+      this.updateHeadingSourceSelect();
+    }
+    if (headingSource) {
+      this.viewer.setMarkerHeadingSource(headingSource);
+      this.headingSourceSelect.value = headingSource;
+    }
+    if (trailMode) {
+      this.viewer.setTrailMode(trailMode);
+      this.trailModeSelect.value = trailMode;
+    }
+  }
+
+  /**
+   * Enables the heading source selector only for the icons, which show the heading
+   */
+  updateHeadingSourceSelect() {
+    this.headingSourceSelect.disabled =
+      this.markerStyleSelect.value !== MARKER_STYLES.icon.id;
+  }
+
+  /**
+   * Adds an option to a selector for each choice
+   * @param {HTMLSelectElement} select - The selector
+   * @param {Object} choices - Choices with an id and a label, keyed by id
+   */
+  addOptions(select, choices) {
+    Object.values(choices).forEach((choice) => {
+      const option = document.createElement("option");
+      option.value = choice.id;
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Renders the legend of the current colouring mode
+   * @param {Object} legend - The legend from Viewer.getLegend
+   */
+  renderLegend(legend) {
+    this.legendElement.replaceChildren();
+
+    if (legend.type === "gradient") {
+      // Hard colour stops, as paths are coloured in steps
+      const stops = legend.colors.map((color, i) => {
+        const start = (i / legend.colors.length) * 100;
+        const end = ((i + 1) / legend.colors.length) * 100;
+        return `${color} ${start}% ${end}%`;
+      });
+      const bar = document.createElement("div");
+      bar.className = "legend-gradient";
+      bar.style.background = `linear-gradient(to right, ${stops.join(", ")})`;
+
+      const labels = document.createElement("div");
+      labels.className = "legend-gradient-labels";
+      [legend.minLabel, legend.maxLabel].forEach((text) => {
+        const label = document.createElement("span");
+        label.textContent = text;
+        labels.appendChild(label);
+      });
+
+      this.legendElement.append(bar, labels);
+      return;
+    }
+
+    legend.entries.forEach((entry) => {
+      const item = document.createElement("div");
+      item.className = "legend-entry";
+
+      const swatch = document.createElement("span");
+      swatch.className = "legend-swatch";
+      swatch.style.backgroundColor = entry.color;
+
+      const label = document.createElement("span");
+      label.textContent = entry.label;
+
+      item.append(swatch, label);
+      this.legendElement.appendChild(item);
+    });
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * FollowCameraControls class
+ *
+ * Buttons for locking the camera onto the selected flight with one of the follow
+ * camera presets, and a button for releasing the camera back to the airport view.
+ */
+import { DEFAULT_FOLLOW_PRESET_ID, FOLLOW_PRESETS } from "./followCamera.js";
+
+export class FollowCameraControls {
+  /**
+   * Creates a new FollowCameraControls instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flight paths
+   * @param {HTMLElement} controlsElement - The HTML element the preset buttons are added to
+   * @param {HTMLElement} releaseButton - The button releasing the camera, shown while following
+   * @param {Object} homeLocation - The camera location to return to, e.g. the camera preset of the airport
+   */
+  constructor(viewer, controlsElement, releaseButton, homeLocation) {
+    this.viewer = viewer;
+    this.releaseButton = releaseButton;
+    this.homeLocation = homeLocation;
+
+    this.presetButtons = Object.values(FOLLOW_PRESETS).map((preset) => {
+      const button = document.createElement("button");
+      button.className = "follow-preset";
+      button.dataset.preset = preset.id;
+      button.textContent = preset.label;
+      button.addEventListener("click", () => this.follow(preset.id));
+      controlsElement.appendChild(button);
+      return button;
+    });
+
+    this.releaseButton.addEventListener("click", () => this.release());
+    this.viewer.onFollowChanged((flight, preset) =>
+      this.updateButtons(flight, preset),
+    );
+    this.viewer.onFlightSelected(() =>
+      this.updateButtons(this.viewer.followedFlight, this.viewer.followPreset),
+    );
+    this.updateButtons(null, null);
+  }
+
+  /**
+   * Locks the camera onto the selected flight
+   * @param {string} presetId - Id of the follow camera preset (default: chase)
+   */
+  follow(presetId = DEFAULT_FOLLOW_PRESET_ID) {
+    const flight = this.viewer.getSelectedFlight();
+    if (flight) {
+      this.viewer.followFlight(flight, presetId);
+    }
+  }
+
+  /**
+   * Releases the camera and flies back to the airport view
+   */
+  release() {
+    this.viewer.stopFollowing();
+    this.viewer.flyToDestination(this.homeLocation);
+  }
+
+  /**
+   * Highlights the preset in use when the selected flight is being followed
+   * @param {Object|null} flight - The followed flight details
+   * @param {Object|null} preset - The follow camera preset in use
+   */
+  updateButtons(flight, preset) {
+    const followingSelected =
+      flight !== null && flight === this.viewer.getSelectedFlight();
+    this.presetButtons.forEach((button) => {
+      button.classList.toggle(
+        "active",
+        followingSelected && button.dataset.preset === preset.id,
+      );
+    });
+    this.releaseButton.classList.toggle("hidden", flight === null);
+  }
+}
@@ -0,0 +1,304 @@
+/**
+ * FrameExporter class
+ *
+ * Exports the animation as a video or a PNG frame sequence. Instead of following
+ * the wall clock, the Cesium clock is stepped through the global timeline at a
+ * fixed frame rate, so every export of the same timeline has the same frames. The
+ * altitude-based speed multiplier has no effect on the exported animation. Each
+ * frame waits for the globe tiles to load, and the simulation clock is drawn
+ * onto every frame.
+ */
+import { waitForTiles } from "./globeUtils.js";
+import { downloadBlob } from "./downloads.js";
+
+export const EXPORT_FORMATS = {
+  webm: { id: "webm", label: "WebM video" },
+  png: { id: "png", label: "PNG sequence" },
+};
+
+// Time to wait at most for the tiles of one frame
+const TILE_TIMEOUT = 10_000;
+
+const WEBM_MIME_TYPES = [
+  "video/webm;codecs=vp9",
+  "video/webm;codecs=vp8",
+  "video/webm",
+];
+
+export class FrameExporter {
+  /**
+   * Creates a new FrameExporter instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flight paths
+   * @param {Timeline} timeline - The Timeline instance managing the global animation
+   * @param {Clock} clock - The Clock instance, used for the burned in simulation time
+   */
+  constructor(viewer, timeline, clock) {
+    this.cesiumViewer = viewer.cesiumViewer;
+    this.timeline = timeline;
+    this.clock = clock;
+    this.exporting = false;
+    this.cancelled = false;
+
+    // Frames are composed from the globe and the clock overlay on this canvas
+    this.frameCanvas = document.createElement("canvas");
+    this.frameContext = this.frameCanvas.getContext("2d");
+  }
+
+  /**
+   * Exports the whole global timeline
+   * @param {Object} options - Export options
+   * @param {string} options.format - Id of the export format, see EXPORT_FORMATS
+   * @param {number} options.fps - Frames per second of the exported animation
+   * @param {number} options.durationSeconds - Length of the exported animation in seconds
+   * @param {Function} options.onProgress - Called with the number of exported frames and the frame count
+   * @returns {Promise<boolean>} True if all frames were exported, false if the export was cancelled
+   */
+  async export({
+    format = "webm",
+    fps = 30,
+    durationSeconds = 60,
+    onProgress = () => {},
+  } = {}) {
+    if (this.exporting) {
+      throw new Error("Export is already running");
+    }
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const globalTimeline = this.timeline.getRequiredTimeline();
+    const frameCount = Math.max(2, Math.round(durationSeconds * fps));
+    const secondsPerFrame = globalTimeline.animationDuration / (frameCount - 1);
+
+    const sceneCanvas = this.cesiumViewer.scene.canvas;
+    this.frameCanvas.width = sceneCanvas.width;
+    this.frameCanvas.height = sceneCanvas.height;
+
+    this.exporting = true;
+    this.cancelled = false;
+
+    // Ask for the target directory before anything changes
+    let writer;
+    try {
+      writer =
+        format === "png"
+          ? await this.createPngWriter()
+          : this.createWebmWriter(fps);
+    } catch (error) {
+      this.exporting = false;
+      throw error;
+    }
+
+    const cesiumClock = this.timeline.cesiumClock;
+    const wasPlaying = this.timeline.isPlaying();
+    const previousTime = cesiumClock.currentTime.clone();
+
+    this.timeline.pauseAnimation();
+    // Frames are rendered one by one below instead of by the render loop
+    this.cesiumViewer.useDefaultRenderLoop = false;
+
+    try {
+      for (let frame = 0; frame < frameCount && !this.cancelled; frame++) {
+        cesiumClock.currentTime = Cesium.JulianDate.addSeconds(
+          globalTimeline.animationStart,
+          frame * secondsPerFrame,
+          new Cesium.JulianDate(),
+        );
+
+        const render = () => this.cesiumViewer.render();
+        render();
+        if (!(await waitForTiles(this.cesiumViewer, render, TILE_TIMEOUT))) {
+          console.log(`Tiles of frame ${frame} did not load, exporting anyway`);
+        }
+        // Compose right after rendering, while the drawing buffer still holds the frame
+        render();
+        this.composeFrame();
+
+        await writer.writeFrame(frame);
+        onProgress({ exported: frame + 1, frameCount });
+      }
+
+      await writer.finish(this.cancelled);
+    } catch (error) {
+      // Release the recorder, nothing is saved from a failed export
+      this.cancelled = true;
+      await writer.finish(true);
+      throw error;
+    } finally {
+      this.cesiumViewer.useDefaultRenderLoop = true;
+      cesiumClock.currentTime = previousTime;
+      if (wasPlaying) {
+        this.timeline.resumeAnimation();
+      }
+      this.clock.updateClock();
+      this.exporting = false;
+    }
+
+    console.log(
+      this.cancelled
+        ? "Export cancelled"
+        : `Exported ${frameCount} frames at ${fps} fps`,
+    );
+    return !this.cancelled;
+  }
+
+  /**
+   * Stops a running export after the current frame
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Checks if an export is running
+   * @returns {boolean} True if an export is running
+   */
+  isExporting() {
+    return this.exporting;
+  }
+
+  /**
+   * Draws the rendered globe and the clock overlay onto the frame canvas
+   */
+  composeFrame() {
+    const context = this.frameContext;
+    context.drawImage(this.cesiumViewer.scene.canvas, 0, 0);
+
+    const realTime = this.timeline.getCurrentRealTime();
+    this.clock.updateClock();
+    if (realTime) {
+      this.drawClockOverlay(realTime);
+    }
+  }
+
+  /**
+   * Draws the simulation time in the top left corner of the frame, styled like the clock panel
+   * @param {Date} realTime - The real-world time shown by the frame
+   */
+  drawClockOverlay(realTime) {
+    const context = this.frameContext;
+    // Scale the overlay with the resolution of the canvas
+    const scale =
+      this.frameCanvas.width / this.cesiumViewer.scene.canvas.clientWidth || 1;
+    const x = 30 * scale;
+    const y = 30 * scale;
+    const width = 240 * scale;
+    const height = 96 * scale;
+
+    context.save();
+    context.fillStyle = "rgba(38, 38, 38, 0.65)";
+    context.beginPath();
+    context.roundRect(x, y, width, height, 6 * scale);
+    context.fill();
+
+    context.textAlign = "center";
+    context.textBaseline = "top";
+    const centerX = x + width / 2;
+
+    context.fillStyle = "#aaa";
+    context.font = `${12 * scale}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+    context.fillText(
+      `SIMULATION TIME (${this.clock.getTimezoneAbbreviation()})`,
+      centerX,
+      y + 14 * scale,
+    );
+
+    context.fillStyle = "#00d4ff";
+    context.font = `600 ${22 * scale}px 'Courier New', monospace`;
+    context.fillText(this.clock.formatTime(realTime), centerX, y + 34 * scale);
+
+    context.fillStyle = "#ccc";
+    context.font = `${14 * scale}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+    context.fillText(
+      this.clock.getDisplayDate(realTime),
+      centerX,
+      y + 64 * scale,
+    );
+    context.restore();
+  }
+
+  /**
+   * Creates a writer saving each frame as a PNG file into a directory picked by the user
+   * @returns {Promise<Object>} The frame writer
+   */
+  async createPngWriter() {
+    if (!window.showDirectoryPicker) {
+      throw new Error(
+        "Saving PNG sequences needs a browser supporting the File System Access API",
+      );
+    }
+    const directory = await window.showDirectoryPicker({ mode: "readwrite" });
+
+    return {
+      writeFrame: async (frame) => {
+        const blob = await new Promise((resolve) =>
+          this.frameCanvas.toBlob(resolve, "image/png"),
+        );
+        const fileHandle = await directory.getFileHandle(
+          `frame-${String(frame).padStart(6, "0")}.png`,
+          { create: true },
+        );
+        const writable = await fileHandle.createWritable();
+        await writable.write(blob);
+        await writable.close();
+      },
+      finish: async () => {},
+    };
+  }
+
+  /**
+   * Creates a writer recording the frames into a WebM video, which is downloaded
+   * when the export finishes. The recorder is paused between frames, so the time
+   * spent rendering and loading tiles is not part of the video, and each frame
+   * is recorded for one frame interval.
+   * @param {number} fps - Frames per second of the video
+   * @returns {Object} The frame writer
+   */
+  createWebmWriter(fps) {
+    const mimeType = WEBM_MIME_TYPES.find((type) =>
+      MediaRecorder.isTypeSupported(type),
+    );
+    if (!mimeType) {
+      throw new Error("This browser can't record WebM videos");
+    }
+
+    // Frames are only captured when requested
+    const stream = this.frameCanvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: 12_000_000,
+    });
+    const chunks = [];
+    recorder.addEventListener("dataavailable", (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    });
+    recorder.start();
+    recorder.pause();
+
+    return {
+      writeFrame: async () => {
+        recorder.resume();
+        track.requestFrame();
+        await new Promise((resolve) => setTimeout(resolve, 1000 / fps));
+        recorder.pause();
+      },
+      finish: async (cancelled) => {
+        const stopped = new Promise((resolve) =>
+          recorder.addEventListener("stop", resolve, { once: true }),
+        );
+        recorder.stop();
+        await stopped;
+        track.stop();
+        if (!cancelled) {
+          downloadBlob(
+            new Blob(chunks, { type: "video/webm" }),
+            "flight-paths.webm",
+          );
+        }
+      },
+    };
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * LoadingProgress class
+ *
+ * Shows the progress of loading the flight data files, and hides itself once
+ * all the files have loaded.
+ */
+export class LoadingProgress {
+  /**
+   * Creates a new LoadingProgress instance
+   * @param {HTMLElement} progressElement - The HTML element of the progress indicator
+   */
+  constructor(progressElement) {
+    this.progressElement = progressElement;
+    this.barElement = progressElement.querySelector(".loading-bar-fill");
+    this.textElement = progressElement.querySelector(".loading-text");
+  }
+
+  /**
+   * Updates the progress indicator
+   * @param {Object} progress - Loading progress from FlightDataLoader.loadData
+   * @param {number} progress.loaded - Number of loaded files
+   * @param {number} progress.failed - Number of files that failed to load
+   * @param {number} progress.total - Total number of files
+   */
+  update({ loaded, failed, total }) {
+    const done = loaded + failed;
+    const percentage = total > 0 ? (done / total) * 100 : 100;
+
+    this.barElement.style.width = `${percentage}%`;
+    this.textElement.textContent =
+      failed > 0
+        ? `Loading flights ${done}/${total} (${failed} failed)`
+        : `Loading flights ${done}/${total}`;
+    this.progressElement.classList.toggle("hidden", done >= total);
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * PlaybackControls class
+ *
+ * Connects the playback bar in the page to the Timeline. Provides play/pause,
+ * a scrubber covering the whole global timeline, stepping forwards and backwards
+ * by real-world minutes, playback speed presets in real-world minutes per second
+ * and a toggle for speeding up the playback as the camera zooms out.
+ */
+import { SPEED_PRESETS } from "./Timeline.js";
+
+export class PlaybackControls {
+  /**
+   * Creates a new PlaybackControls instance
+   * @param {Timeline} timeline - The Timeline instance to control
+   * @param {HTMLElement} controlsElement - The HTML element containing the playback bar
+   * @param {Clock} clock - Optional Clock instance that is refreshed while scrubbing
+   */
+  constructor(timeline, controlsElement, clock = null) {
+    this.timeline = timeline;
+    this.controlsElement = controlsElement;
+    this.clock = clock;
+    this.isScrubbing = false;
+
+    this.playButton = controlsElement.querySelector(".playback-play");
+    this.scrubber = controlsElement.querySelector(".playback-scrubber");
+    this.stepBackButton = controlsElement.querySelector(".playback-step-back");
+    this.stepForwardButton = controlsElement.querySelector(
+      ".playback-step-forward",
+    );
+    this.stepMinutesSelect = controlsElement.querySelector(
+      ".playback-step-minutes",
+    );
+    this.speedButtons = SPEED_PRESETS.map((preset) => {
+      const button = document.createElement("button");
+      button.className = "playback-speed";
+      button.textContent = preset.label;
+      button.title = preset.title;
+      button.dataset.speed = String(preset.realMinutesPerSecond);
+      controlsElement.querySelector(".playback-speeds").appendChild(button);
+      return button;
+    });
+    this.altitudeSpeedInput = controlsElement.querySelector(
+      ".playback-altitude-speed",
+    );
+
+    this.bindEvents();
+
+    // Keep the controls in sync with the Cesium clock
+    this.updateInterval = setInterval(() => {
+      this.updateControls();
+    }, 100);
+  }
+
+  /**
+   * Binds the DOM event listeners of the playback bar
+   */
+  bindEvents() {
+    this.playButton.addEventListener("click", () => {
+      if (!this.timeline.getGlobalTimeline()) {
+        return;
+      }
+      this.timeline.togglePlayback();
+      this.updateControls();
+    });
+
+    this.stepBackButton.addEventListener("click", () => {
+      this.step(-this.getStepMinutes());
+    });
+    this.stepForwardButton.addEventListener("click", () => {
+      this.step(this.getStepMinutes());
+    });
+
+    // Scrubber values are real-world timestamps in milliseconds
+    this.scrubber.addEventListener("pointerdown", () => {
+      this.isScrubbing = true;
+    });
+    this.scrubber.addEventListener("input", () => {
+      this.seekToRealTime(new Date(Number(this.scrubber.value)));
+    });
+    ["pointerup", "change"].forEach((eventName) => {
+      this.scrubber.addEventListener(eventName, () => {
+        this.isScrubbing = false;
+      });
+    });
+
+    this.speedButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.timeline.setRealMinutesPerSecond(Number(button.dataset.speed));
+        this.updateSpeedButtons();
+      });
+    });
+    this.altitudeSpeedInput.addEventListener("change", () => {
+      this.timeline.setAltitudeSpeedEnabled(this.altitudeSpeedInput.checked);
+    });
+  }
+
+  /**
+   * Gets the number of real-world minutes the step buttons move the animation by
+   * @returns {number} Step size in minutes
+   */
+  getStepMinutes() {
+    return Number(this.stepMinutesSelect.value);
+  }
+
+  /**
+   * Steps the animation forwards or backwards by real-world minutes
+   * @param {number} minutes - Minutes to step, negative values step backwards
+   */
+  step(minutes) {
+    if (!this.timeline.getGlobalTimeline()) {
+      return;
+    }
+    this.timeline.stepRealMinutes(minutes);
+    this.refreshClock();
+    this.updateControls();
+  }
+
+  /**
+   * Seeks the animation to a real-world time
+   * @param {Date} realTime - The real-world time to seek to
+   */
+  seekToRealTime(realTime) {
+    if (!this.timeline.getGlobalTimeline()) {
+      return;
+    }
+    this.timeline.seekToRealTime(realTime);
+    this.refreshClock();
+  }
+
+  /**
+   * Updates the Clock display immediately instead of waiting for its next tick
+   */
+  refreshClock() {
+    if (this.clock) {
+      this.clock.updateClock();
+    }
+  }
+
+  /**
+   * Updates the state of the playback bar from the timeline
+   */
+  updateControls() {
+    const globalTimeline = this.timeline.getGlobalTimeline();
+    const disabled = !globalTimeline;
+    this.controlsElement.classList.toggle("disabled", disabled);
+    this.playButton.disabled = disabled;
+    this.scrubber.disabled = disabled;
+    this.stepBackButton.disabled = disabled;
+    this.stepForwardButton.disabled = disabled;
+    this.altitudeSpeedInput.disabled = disabled;
+    if (disabled) {
+      return;
+    }
+
+    const isPlaying = this.timeline.isPlaying();
+    this.playButton.textContent = isPlaying ? "⏸" : "▶";
+    this.playButton.title = isPlaying ? "Pause" : "Play";
+
+    this.scrubber.min = String(globalTimeline.earliestStart.getTime());
+    this.scrubber.max = String(globalTimeline.latestEnd.getTime());
+
+    // Don't fight with the user while they are dragging the scrubber
+    if (!this.isScrubbing) {
+      const currentRealTime = this.timeline.getCurrentRealTime();
+      this.scrubber.value = String(currentRealTime.getTime());
+    }
+
+    this.updateSpeedButtons();
+  }
+
+  /**
+   * Highlights the speed preset that matches the current playback speed, and
+   * shows whether the altitude-based speed is on
+   */
+  updateSpeedButtons() {
+    const speed = this.timeline.getRealMinutesPerSecond();
+    this.speedButtons.forEach((button) => {
+      button.classList.toggle("active", Number(button.dataset.speed) === speed);
+    });
+    this.altitudeSpeedInput.checked = this.timeline.isAltitudeSpeedEnabled();
+  }
+}
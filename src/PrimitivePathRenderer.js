@@ -0,0 +1,250 @@
+/**
+ * PrimitivePathRenderer class
+ *
+ * Draws the flight paths as polylines of a single PolylineCollection, instead of
+ * a path entity per flight. Cesium samples every path entity again each frame,
+ * which gets slow with thousands of flights. Here each coloured part of a path
+ * is one polyline, and only the polylines of the flights in the air change as
+ * their trails grow.
+ *
+ * A polyline keeps the same number of vertices while its trail grows: the
+ * vertices after the aircraft are spread along the newest segment of the trail.
+ * Changing the number of vertices would make Cesium rebuild the vertex buffers
+ * of the whole collection. A trail limited to a time window is clipped the same
+ * way, with the vertices before the window gathered at its start.
+ */
+import { DIRECTIONS } from "./directions.js";
+import {
+  PATH_DASH_LENGTH,
+  PATH_GLOW_POWER,
+  PATH_WIDTH,
+} from "./flightStyles.js";
+
+const scratchTime = new Cesium.JulianDate();
+const scratchHead = new Cesium.Cartesian3();
+
+/**
+ * Finds the last sample before a time, the start of the segment the time is in
+ * @param {Cesium.JulianDate[]} times - Sample times in ascending order
+ * @param {Cesium.JulianDate} time - A time after the first sample
+ * @returns {number} Index of the sample, at most the second to last
+ */
+function findSampleBefore(times, time) {
+  let low = 0;
+  let high = times.length - 1;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (Cesium.JulianDate.lessThan(times[mid], time)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Interpolates the position at a time between a sample and the next one
+ * @param {Cesium.JulianDate[]} times - Sample times
+ * @param {Cesium.Cartesian3[]} positions - Sample positions
+ * @param {number} index - Index of the sample before the time
+ * @param {Cesium.JulianDate} time - The time
+ * @param {Cesium.Cartesian3} result - The object to store the position in
+ * @returns {Cesium.Cartesian3} The position
+ */
+function interpolatePosition(times, positions, index, time, result) {
+  const fraction =
+    Cesium.JulianDate.secondsDifference(time, times[index]) /
+    Cesium.JulianDate.secondsDifference(times[index + 1], times[index]);
+  return Cesium.Cartesian3.lerp(
+    positions[index],
+    positions[index + 1],
+    fraction,
+    result,
+  );
+}
+
+export class PrimitivePathRenderer {
+  /**
+   * Creates a new PrimitivePathRenderer instance
+   * @param {Cesium.Scene} scene - The scene to draw the paths in
+   */
+  constructor(scene) {
+    this.polylines = scene.primitives.add(new Cesium.PolylineCollection());
+    // Drawn parts of each flight, keyed by the flight details
+    this.partsByFlight = new Map();
+    this.materialsByColor = new Map();
+    // Length of the trail behind each aircraft in animation seconds
+    this.trailSeconds = Infinity;
+
+    scene.preUpdate.addEventListener((scene, time) => this.update(time));
+  }
+
+  /**
+   * Draws the path of a flight, replacing its previously drawn path
+   * @param {Object} flight - The flight details of Viewer, with the sample times and positions
+   * @param {Object[]} parts - Parts of the path, each with the indices of its samples and its colour
+   */
+  drawFlight(flight, parts) {
+    this.removeFlight(flight);
+
+    const drawnParts = parts.map(({ sampleIndices, color }) => {
+      // Consecutive samples at the same position would be merged by Cesium
+      const indices = sampleIndices.filter(
+        (sampleIndex, i) =>
+          i === 0 ||
+          !Cesium.Cartesian3.equalsEpsilon(
+            flight.samplePositions[sampleIndex],
+            flight.samplePositions[sampleIndices[i - 1]],
+            Cesium.Math.EPSILON10,
+          ),
+      );
+      const times = indices.map((i) => flight.sampleTimes[i]);
+      const positions = indices.map((i) => flight.samplePositions[i]);
+      return {
+        times,
+        positions,
+        // Positions written to the polyline, updated in place as the trail grows
+        trail: positions.map((position) => position.clone()),
+        // Whether the whole part has been written to the polyline
+        complete: false,
+        polyline: this.polylines.add({
+          show: false,
+          positions,
+          width: PATH_WIDTH,
+          material: this.getMaterial(color, flight.direction),
+          // Picking a polyline selects the flight entity
+          id: flight.entity,
+        }),
+      };
+    });
+    this.partsByFlight.set(flight, drawnParts);
+  }
+
+  /**
+   * Removes the drawn path of a flight
+   * @param {Object} flight - The flight details
+   */
+  removeFlight(flight) {
+    (this.partsByFlight.get(flight) || []).forEach((part) =>
+      this.polylines.remove(part.polyline),
+    );
+    this.partsByFlight.delete(flight);
+  }
+
+  /**
+   * Gets the polyline material of a colour. Materials are shared between
+   * polylines of the same colour and direction, so they are drawn together.
+   * @param {Cesium.Color} color - The colour of the path
+   * @param {string} direction - The direction of the flight, see directions.js
+   * @returns {Cesium.Material} The material
+   */
+  getMaterial(color, direction) {
+    const key = `${direction}:${color.toCssHexString()}`;
+    if (!this.materialsByColor.has(key)) {
+      this.materialsByColor.set(
+        key,
+        direction === DIRECTIONS.inbound.id
+          ? Cesium.Material.fromType(Cesium.Material.PolylineDashType, {
+              color,
+              dashLength: PATH_DASH_LENGTH,
+            })
+          : Cesium.Material.fromType(Cesium.Material.PolylineGlowType, {
+              color,
+              glowPower: PATH_GLOW_POWER,
+            }),
+      );
+    }
+    return this.materialsByColor.get(key);
+  }
+
+  /**
+   * Sets how long the trail behind each aircraft is
+   * @param {number} seconds - Trail length in animation seconds, Infinity for the full history
+   */
+  setTrailSeconds(seconds) {
+    this.trailSeconds = seconds;
+  }
+
+  /**
+   * Grows the trails to the current animation time. Called before every frame.
+   * @param {Cesium.JulianDate} time - The current animation time
+   */
+  update(time) {
+    this.partsByFlight.forEach((parts, flight) => {
+      // Fully faded paths are hidden
+      const visible = flight.visible && flight.trailAlpha > 0;
+      parts.forEach((part) => this.updatePart(part, visible, time));
+    });
+  }
+
+  /**
+   * Draws the trail of a part of a path at the given time. The trail runs from
+   * the start of the trail window, or the first sample, to the aircraft.
+   * @param {Object} part - The drawn part
+   * @param {boolean} visible - Whether the flight is shown
+   * @param {Cesium.JulianDate} time - The current animation time
+   */
+  updatePart(part, visible, time) {
+    const { times, positions, trail, polyline } = part;
+    const last = times.length - 1;
+    const windowed = Number.isFinite(this.trailSeconds);
+    const trailStart = windowed
+      ? Cesium.JulianDate.addSeconds(time, -this.trailSeconds, scratchTime)
+      : null;
+    const started = Cesium.JulianDate.greaterThan(time, times[0]);
+    const passed =
+      windowed && !Cesium.JulianDate.lessThan(trailStart, times[last]);
+    polyline.show = visible && started && !passed;
+    if (!polyline.show) {
+      return;
+    }
+
+    // The whole part has been flown and is inside the window, it only needs to be written once
+    const clipped =
+      windowed && Cesium.JulianDate.greaterThan(trailStart, times[0]);
+    if (!clipped && !Cesium.JulianDate.lessThan(time, times[last])) {
+      if (!part.complete) {
+        trail.forEach((position, i) =>
+          Cesium.Cartesian3.clone(positions[i], position),
+        );
+        polyline.positions = trail;
+        part.complete = true;
+      }
+      return;
+    }
+    part.complete = false;
+
+    // The tail of the trail, and the first sample after it
+    let first = 1;
+    if (clipped) {
+      const tailIndex = findSampleBefore(times, trailStart);
+      interpolatePosition(times, positions, tailIndex, trailStart, trail[0]);
+      first = tailIndex + 1;
+    } else {
+      Cesium.Cartesian3.clone(positions[0], trail[0]);
+    }
+
+    // The aircraft, and the last sample before it
+    let lastPassed = last - 1;
+    const head = scratchHead;
+    if (Cesium.JulianDate.lessThan(time, times[last])) {
+      lastPassed = findSampleBefore(times, time);
+      interpolatePosition(times, positions, lastPassed, time, head);
+    } else {
+      Cesium.Cartesian3.clone(positions[last], head);
+    }
+
+    let vertex = 1;
+    for (let i = first; i <= lastPassed; i++) {
+      Cesium.Cartesian3.clone(positions[i], trail[vertex++]);
+    }
+    // Spread the remaining vertices from the last passed sample to the aircraft
+    const from = trail[vertex - 1];
+    const remaining = trail.length - vertex;
+    for (let i = 1; i <= remaining; i++) {
+      Cesium.Cartesian3.lerp(from, head, i / remaining, trail[vertex - 1 + i]);
+    }
+    polyline.positions = trail;
+  }
+}
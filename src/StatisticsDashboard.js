@@ -0,0 +1,272 @@
+/**
+ * StatisticsDashboard class
+ *
+ * Dashboard summarising the flights loaded by the FlightDataLoader (see
+ * flightStatistics.js): a histogram of the departures per hour with a cursor
+ * at the current real-world time, the top airlines, the flight duration and
+ * cruise altitude distributions, and the number of aircraft airborne at the
+ * current time. Clicking an hour of the histogram seeks the timeline to it.
+ */
+import { getCallsign } from "./trackUtils.js";
+import { getFlightDirection } from "./directions.js";
+import { alignFlightData, getFlightDay } from "./dayComparison.js";
+import { computeFlightStatistics, countAirborne } from "./flightStatistics.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const HISTOGRAM_WIDTH = 240;
+const HISTOGRAM_HEIGHT = 60;
+
+export class StatisticsDashboard {
+  /**
+   * Creates a new StatisticsDashboard instance
+   * @param {FlightDataLoader} flightDataLoader - The loader whose loaded flights are summarised
+   * @param {Timeline} timeline - The Timeline instance to follow and seek
+   * @param {HTMLElement} dashboardElement - The HTML element containing the dashboard
+   * @param {Clock} clock - The Clock instance, used for its timezone and formatting times
+   * @param {Object|null} comparison - The day-over-day comparison, whose days are shifted onto the first one
+   */
+  constructor(
+    flightDataLoader,
+    timeline,
+    dashboardElement,
+    clock,
+    comparison = null,
+  ) {
+    this.flightDataLoader = flightDataLoader;
+    this.timeline = timeline;
+    this.dashboardElement = dashboardElement;
+    this.clock = clock;
+    this.comparison = comparison;
+
+    this.histogram = dashboardElement.querySelector(".stats-departures");
+    this.flights = [];
+    // Summarised flights by loaded flight file, as the loader keeps inserting files in between
+    this.preparedFlights = new WeakMap();
+    this.statistics = null;
+    // Number of loaded flight files the statistics were computed from
+    this.computedCount = -1;
+
+    this.updateInterval = setInterval(() => this.update(), 500);
+  }
+
+  /**
+   * Recomputes the statistics when more flights have loaded, and moves the
+   * histogram cursor and the airborne count to the current time
+   */
+  update() {
+    // Nothing is shown while the dashboard is collapsed
+    if (!this.dashboardElement.open) {
+      return;
+    }
+
+    const loaded = this.flightDataLoader.flightData;
+    if (loaded.length !== this.computedCount) {
+      this.computedCount = loaded.length;
+      this.flights = loaded.flatMap((loadedFlight) => {
+        if (!this.preparedFlights.has(loadedFlight)) {
+          this.preparedFlights.set(
+            loadedFlight,
+            this.prepareFlight(loadedFlight.flightData),
+          );
+        }
+        return this.preparedFlights.get(loadedFlight);
+      });
+      this.statistics = computeFlightStatistics(
+        this.flights,
+        this.clock.timezone,
+      );
+      this.render();
+    }
+    this.updateCurrentTime();
+  }
+
+  /**
+   * Gets the flight of loaded flight data as summarised, with the times of a
+   * compared day shifted like the drawn flights
+   * @param {Object} flightData - The flight data, as in the JSON data files
+   * @returns {Object[]} The flight with its callsign, direction and tracks, or
+   * nothing if it departs on a day that is not compared
+   */
+  prepareFlight(flightData) {
+    const day = getFlightDay(flightData, this.clock.timezone, this.comparison);
+    if (!day) {
+      return [];
+    }
+    const [flight] = alignFlightData(flightData, day);
+    return [
+      {
+        callsign: getCallsign(flight.tracks),
+        direction: getFlightDirection(flight),
+        tracks: flight.tracks,
+      },
+    ];
+  }
+
+  /**
+   * Renders the histogram and the distributions
+   */
+  render() {
+    const {
+      flightCount,
+      departuresPerHour,
+      airlines,
+      durations,
+      cruiseAltitudes,
+    } = this.statistics;
+    this.setText(".stats-flight-count", `${flightCount} flights`);
+    this.renderHistogram(departuresPerHour);
+    this.renderBars(".stats-airlines", airlines);
+    this.renderBars(".stats-durations", durations);
+    this.renderBars(".stats-altitudes", cruiseAltitudes);
+  }
+
+  /**
+   * Renders the departures per hour, a bar per hour
+   * @param {Object[]} hours - The hours with their start and end time and departure count
+   */
+  renderHistogram(hours) {
+    const maxCount = Math.max(1, ...hours.map((hour) => hour.count));
+    const barWidth = HISTOGRAM_WIDTH / Math.max(1, hours.length);
+
+    this.histogram.setAttribute(
+      "viewBox",
+      `0 0 ${HISTOGRAM_WIDTH} ${HISTOGRAM_HEIGHT}`,
+    );
+    this.histogram.replaceChildren();
+    hours.forEach((hour, i) => {
+      const height = (hour.count / maxCount) * HISTOGRAM_HEIGHT;
+      const bar = document.createElementNS(SVG_NAMESPACE, "g");
+      bar.setAttribute("class", "stats-hour");
+      // Full height, so hours without departures can be clicked too
+      const hitArea = document.createElementNS(SVG_NAMESPACE, "rect");
+      hitArea.setAttribute("class", "stats-hour-area");
+      hitArea.setAttribute("x", i * barWidth);
+      hitArea.setAttribute("width", barWidth);
+      hitArea.setAttribute("height", HISTOGRAM_HEIGHT);
+      const fill = document.createElementNS(SVG_NAMESPACE, "rect");
+      fill.setAttribute("class", "stats-hour-bar");
+      fill.setAttribute("x", i * barWidth + barWidth * 0.1);
+      fill.setAttribute("y", HISTOGRAM_HEIGHT - height);
+      fill.setAttribute("width", barWidth * 0.8);
+      fill.setAttribute("height", height);
+      const title = document.createElementNS(SVG_NAMESPACE, "title");
+      title.textContent = `${this.formatHour(hour.start)}–${this.formatHour(hour.end)}: ${hour.count} departures`;
+      bar.append(hitArea, fill, title);
+      bar.addEventListener("click", () => this.seekToHour(hour));
+      this.histogram.appendChild(bar);
+    });
+
+    const cursor = document.createElementNS(SVG_NAMESPACE, "line");
+    cursor.setAttribute("class", "stats-cursor");
+    cursor.setAttribute("y1", 0);
+    cursor.setAttribute("y2", HISTOGRAM_HEIGHT);
+    this.histogram.appendChild(cursor);
+
+    this.setText(
+      ".stats-axis-start",
+      hours.length > 0 ? this.formatHour(hours[0].start) : "",
+    );
+    this.setText(
+      ".stats-axis-end",
+      hours.length > 0 ? this.formatHour(hours[hours.length - 1].end) : "",
+    );
+  }
+
+  /**
+   * Renders labelled horizontal bars, e.g. the flights of each airline
+   * @param {string} selector - CSS selector of the element to render into
+   * @param {Object[]} entries - The bars with their label and count
+   */
+  renderBars(selector, entries) {
+    const maxCount = Math.max(1, ...entries.map((entry) => entry.count));
+    this.dashboardElement.querySelector(selector).replaceChildren(
+      ...entries.map(({ label, count }) => {
+        const row = document.createElement("div");
+        row.className = "stats-bar-row";
+        const labelElement = document.createElement("span");
+        labelElement.className = "stats-bar-label";
+        labelElement.textContent = label;
+        const track = document.createElement("span");
+        track.className = "stats-bar-track";
+        const bar = document.createElement("span");
+        bar.className = "stats-bar";
+        bar.style.width = `${(count / maxCount) * 100}%`;
+        track.appendChild(bar);
+        const countElement = document.createElement("span");
+        countElement.className = "stats-bar-count";
+        countElement.textContent = count;
+        row.append(labelElement, track, countElement);
+        return row;
+      }),
+    );
+  }
+
+  /**
+   * Moves the histogram cursor and highlights the current hour, and counts the
+   * flights airborne at the current time
+   */
+  updateCurrentTime() {
+    const currentTime = this.timeline.getCurrentRealTime();
+    const hours = this.statistics ? this.statistics.departuresPerHour : [];
+    const cursor = this.histogram.querySelector(".stats-cursor");
+    if (!currentTime || hours.length === 0) {
+      this.setText(".stats-airborne", "");
+      if (cursor) {
+        cursor.setAttribute("visibility", "hidden");
+      }
+      return;
+    }
+
+    this.setText(
+      ".stats-airborne",
+      `${countAirborne(this.flights, currentTime)} airborne now`,
+    );
+
+    const first = hours[0].start.getTime();
+    const last = hours[hours.length - 1].end.getTime();
+    const x =
+      ((currentTime.getTime() - first) / (last - first)) * HISTOGRAM_WIDTH;
+    const visible = x >= 0 && x <= HISTOGRAM_WIDTH;
+    cursor.setAttribute("visibility", visible ? "visible" : "hidden");
+    cursor.setAttribute("x1", x);
+    cursor.setAttribute("x2", x);
+
+    this.histogram.querySelectorAll(".stats-hour").forEach((bar, i) => {
+      bar.classList.toggle(
+        "current",
+        currentTime >= hours[i].start && currentTime < hours[i].end,
+      );
+    });
+  }
+
+  /**
+   * Seeks the timeline to the start of an hour of the histogram
+   * @param {Object} hour - The hour with its start time
+   */
+  seekToHour(hour) {
+    if (!this.timeline.getGlobalTimeline()) {
+      return;
+    }
+    this.timeline.seekToRealTime(hour.start);
+    this.clock.updateClock();
+    this.updateCurrentTime();
+  }
+
+  /**
+   * Formats the start of an hour as HH:MM in the airport's timezone
+   * @param {Date} date - The time
+   * @returns {string} The formatted time
+   */
+  formatHour(date) {
+    return this.clock.formatTime(date).slice(0, 5);
+  }
+
+  /**
+   * Sets the text content of an element inside the dashboard
+   * @param {string} selector - CSS selector of the element
+   * @param {string} text - The text to set
+   */
+  setText(selector, text) {
+    this.dashboardElement.querySelector(selector).textContent = text;
+  }
+}
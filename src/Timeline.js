@@ -3,7 +3,31 @@
  *
  * Handles global timeline creation and animation scheduling for synchronized flight animations.
  * Calculates timing based on actual flight timestamps and manages Cesium clock coordination.
+ *
+ * The global timeline maps real-world time linearly onto animation time. The
+ * playback speed is set separately in real-world minutes per second, and turned
+ * into the Cesium clock multiplier for the current mapping.
  */
+
+// Playback speed presets, in real-world minutes per second
+export const SPEED_PRESETS = [
+  { label: "1×", title: "Real time", realMinutesPerSecond: 1 / 60 },
+  { label: "1 min/s", title: "1 minute per second", realMinutesPerSecond: 1 },
+  { label: "5 min/s", title: "5 minutes per second", realMinutesPerSecond: 5 },
+  {
+    label: "15 min/s",
+    title: "15 minutes per second",
+    realMinutesPerSecond: 15,
+  },
+  {
+    label: "1 d/30 s",
+    title: "1 day per 30 seconds",
+    realMinutesPerSecond: (24 * 60) / 30,
+  },
+];
+
+export const DEFAULT_REAL_MINUTES_PER_SECOND = (24 * 60) / 30;
+
 export class Timeline {
   /**
    * Creates a new Timeline instance
@@ -13,12 +37,18 @@ export class Timeline {
     this.cesiumClock = cesiumClock;
     this.globalTimeline = null;
     this.isAnimating = false;
+    // Speed chosen from the playback controls, in real-world minutes per second
+    this.realMinutesPerSecond = DEFAULT_REAL_MINUTES_PER_SECOND;
+    // Multiplier keeping the pixel rate constant as the camera zooms, applied on top of the chosen speed
+    this.altitudeSpeedMultiplier = 1.0;
+    this.altitudeSpeedEnabled = true;
   }
 
   /**
    * Calculates the global timeline based on all flight data
    * @param {Array} flights - Array of flight data objects
-   * @param {number} animationScaleFactor - Factor to scale real time to animation time (default: 100000)
+   * @param {number} animationScaleFactor - Real seconds per animation second of the timeline (default: 30000).
+   * Only maps real time onto animation time, the playback speed is set with setRealMinutesPerSecond.
    * @param {number} minDuration - Minimum animation duration in seconds (default: 30)
    * @returns {Object} Global timeline object or null if calculation fails
    */
@@ -56,6 +86,32 @@ export class Timeline {
       );
     }
 
+    return this.calculateGlobalTimelineForRange(
+      earliestStart,
+      latestEnd,
+      flights.length,
+      animationScaleFactor,
+      minDuration,
+    );
+  }
+
+  /**
+   * Calculates the global timeline for a known real-world time range. Used when
+   * flights are drawn while they are still loading, so the range can't be taken from the flights.
+   * @param {Date} earliestStart - The earliest flight start time
+   * @param {Date} latestEnd - The latest flight end time
+   * @param {number} flightCount - Number of flights on the timeline, used for logging
+   * @param {number} animationScaleFactor - Real seconds per animation second of the timeline (default: 30000)
+   * @param {number} minDuration - Minimum animation duration in seconds (default: 30)
+   * @returns {Object} Global timeline object
+   */
+  calculateGlobalTimelineForRange(
+    earliestStart,
+    latestEnd,
+    flightCount,
+    animationScaleFactor = 30_000,
+    minDuration = 30,
+  ) {
     // Calculate durations
     const globalRealDuration = latestEnd - earliestStart; // milliseconds
     const globalAnimationDuration = Math.max(
@@ -79,7 +135,7 @@ export class Timeline {
     console.log(
       `Global timeline calculated: ${this.globalTimeline.realDurationHours.toFixed(1)} hours ` +
         `(${earliestStart.toLocaleString()} to ${latestEnd.toLocaleString()}) ` +
-        `will animate over ${globalAnimationDuration.toFixed(1)} seconds for ${flights.length} flights`,
+        `will animate over ${globalAnimationDuration.toFixed(1)} seconds for ${flightCount} flights`,
     );
 
     return this.globalTimeline;
@@ -100,6 +156,24 @@ export class Timeline {
       throw new Error("Animation is already running");
     }
 
+    this.configureClock();
+    this.cesiumClock.currentTime = this.globalTimeline.animationStart.clone();
+    this.cesiumClock.shouldAnimate = true;
+
+    this.isAnimating = true;
+
+    console.log(
+      `Global animation started: ${this.globalTimeline.animationDuration.toFixed(2)} seconds ` +
+        `covering ${this.globalTimeline.earliestStart.toLocaleString()} to ${this.globalTimeline.latestEnd.toLocaleString()}`,
+    );
+
+    return true;
+  }
+
+  /**
+   * Configures the start and stop times of the Cesium clock for the global timeline
+   */
+  configureClock() {
     // Set up the global animation end time
     const globalAnimationEnd = Cesium.JulianDate.addSeconds(
       this.globalTimeline.animationStart,
@@ -110,19 +184,30 @@ export class Timeline {
     // Configure the Cesium clock for the global timeline
     this.cesiumClock.startTime = this.globalTimeline.animationStart.clone();
     this.cesiumClock.stopTime = globalAnimationEnd.clone();
-    this.cesiumClock.currentTime = this.globalTimeline.animationStart.clone();
     this.cesiumClock.clockRange = Cesium.ClockRange.CLAMPED;
-    this.cesiumClock.multiplier = 1.0;
-    this.cesiumClock.shouldAnimate = true;
+    this.applyClockMultiplier();
+  }
 
-    this.isAnimating = true;
+  /**
+   * Recalculates the global timeline for a new real-world time range, e.g. for a
+   * filtered subset of the flights. The animation keeps showing the same real-world
+   * time when it is inside the new range, and keeps playing if it was playing.
+   * Flights need to be mapped onto the new timeline, see Viewer.retimeFlights.
+   * @param {Date} earliestStart - The earliest flight start time
+   * @param {Date} latestEnd - The latest flight end time
+   * @param {number} flightCount - Number of flights on the timeline, used for logging
+   * @returns {Object} The new global timeline object
+   */
+  refitGlobalTimeline(earliestStart, latestEnd, flightCount) {
+    const currentRealTime = this.getCurrentRealTime();
+    this.calculateGlobalTimelineForRange(earliestStart, latestEnd, flightCount);
 
-    console.log(
-      `Global animation started: ${this.globalTimeline.animationDuration.toFixed(2)} seconds ` +
-        `covering ${this.globalTimeline.earliestStart.toLocaleString()} to ${this.globalTimeline.latestEnd.toLocaleString()}`,
-    );
+    if (this.isAnimating) {
+      this.configureClock();
+      this.seekToRealTime(currentRealTime || earliestStart);
+    }
 
-    return true;
+    return this.globalTimeline;
   }
 
   /**
@@ -136,6 +221,229 @@ export class Timeline {
     console.log("Global animation stopped");
   }
 
+  /**
+   * Pauses the animation, keeping the current position on the timeline
+   */
+  pauseAnimation() {
+    if (!this.isAnimating) {
+      return;
+    }
+    this.cesiumClock.shouldAnimate = false;
+  }
+
+  /**
+   * Resumes a paused animation. If the animation has reached its end, it is
+   * restarted from the beginning.
+   */
+  resumeAnimation() {
+    if (!this.isAnimating) {
+      throw new Error("Animation has not been started. Call play() first.");
+    }
+
+    if (
+      Cesium.JulianDate.greaterThanOrEquals(
+        this.cesiumClock.currentTime,
+        this.cesiumClock.stopTime,
+      )
+    ) {
+      this.cesiumClock.currentTime = this.cesiumClock.startTime.clone();
+    }
+    this.cesiumClock.shouldAnimate = true;
+  }
+
+  /**
+   * Starts the animation if it has not been started yet, otherwise resumes it
+   */
+  play() {
+    if (this.isAnimating) {
+      this.resumeAnimation();
+    } else {
+      this.startAnimation();
+    }
+  }
+
+  /**
+   * Toggles between playing and paused states
+   * @returns {boolean} True if the animation is playing after the toggle
+   */
+  togglePlayback() {
+    if (this.isPlaying()) {
+      this.pauseAnimation();
+    } else {
+      this.play();
+    }
+    return this.isPlaying();
+  }
+
+  /**
+   * Checks if the animation is started and the clock is currently ticking
+   * @returns {boolean} True if the animation is playing
+   */
+  isPlaying() {
+    return this.isAnimating && this.cesiumClock.shouldAnimate;
+  }
+
+  /**
+   * Maps a real-world time to the corresponding point on the animation timeline
+   * @param {Date} realTime - The real-world time to map
+   * @returns {Cesium.JulianDate} The animation time, clamped to the timeline bounds
+   */
+  realTimeToAnimationTime(realTime) {
+    const { earliestStart, latestEnd, animationStart, animationDuration } =
+      this.getRequiredTimeline();
+    const globalRealDuration = latestEnd - earliestStart;
+    const progress =
+      globalRealDuration > 0
+        ? (realTime - earliestStart) / globalRealDuration
+        : 0;
+    const clampedProgress = Math.max(0, Math.min(1, progress));
+
+    return Cesium.JulianDate.addSeconds(
+      animationStart,
+      clampedProgress * animationDuration,
+      new Cesium.JulianDate(),
+    );
+  }
+
+  /**
+   * Maps a point on the animation timeline to the corresponding real-world time
+   * @param {Cesium.JulianDate} animationTime - The animation time to map
+   * @returns {Date|null} The real-world time, clamped to the timeline bounds, or null if no timeline
+   */
+  animationTimeToRealTime(animationTime) {
+    if (!this.globalTimeline) {
+      return null;
+    }
+
+    const { earliestStart, latestEnd, animationStart, animationDuration } =
+      this.globalTimeline;
+    const elapsed = Cesium.JulianDate.secondsDifference(
+      animationTime,
+      animationStart,
+    );
+    const progress = Math.max(0, Math.min(1, elapsed / animationDuration));
+
+    return new Date(
+      earliestStart.getTime() + (latestEnd - earliestStart) * progress,
+    );
+  }
+
+  /**
+   * Gets the real-world time that the animation is currently showing
+   * @returns {Date|null} The current real-world time or null if no timeline
+   */
+  getCurrentRealTime() {
+    return this.animationTimeToRealTime(this.cesiumClock.currentTime);
+  }
+
+  /**
+   * Moves the animation to the given real-world time
+   * @param {Date} realTime - The real-world time to seek to
+   */
+  seekToRealTime(realTime) {
+    this.cesiumClock.currentTime = this.realTimeToAnimationTime(realTime);
+  }
+
+  /**
+   * Moves the animation to the given progress percentage
+   * @param {number} progress - Animation progress percentage (0-100)
+   */
+  seekToProgress(progress) {
+    const { earliestStart, latestEnd } = this.getRequiredTimeline();
+    const realDuration = latestEnd - earliestStart;
+    this.seekToRealTime(
+      new Date(earliestStart.getTime() + (realDuration * progress) / 100),
+    );
+  }
+
+  /**
+   * Moves the animation forwards or backwards by an amount of real-world time
+   * @param {number} minutes - Real-world minutes to step, negative values step backwards
+   */
+  stepRealMinutes(minutes) {
+    const currentRealTime = this.getCurrentRealTime();
+    if (!currentRealTime) {
+      return;
+    }
+    this.seekToRealTime(
+      new Date(currentRealTime.getTime() + minutes * 60 * 1000),
+    );
+  }
+
+  /**
+   * Sets the playback speed
+   * @param {number} realMinutesPerSecond - Real-world minutes played per second, e.g. 1/60 for real time
+   */
+  setRealMinutesPerSecond(realMinutesPerSecond) {
+    if (!(realMinutesPerSecond > 0)) {
+      throw new Error(`Invalid playback speed: ${realMinutesPerSecond}`);
+    }
+    this.realMinutesPerSecond = realMinutesPerSecond;
+    if (this.isAnimating) {
+      this.applyClockMultiplier();
+    }
+  }
+
+  /**
+   * Gets the current playback speed
+   * @returns {number} Real-world minutes played per second
+   */
+  getRealMinutesPerSecond() {
+    return this.realMinutesPerSecond;
+  }
+
+  /**
+   * Turns the altitude-based speed on or off. When on, the playback speeds up
+   * as the camera zooms out, so the aircraft move at a constant rate on screen.
+   * @param {boolean} enabled - Whether the altitude-based speed is applied
+   */
+  setAltitudeSpeedEnabled(enabled) {
+    this.altitudeSpeedEnabled = enabled;
+    if (this.isAnimating) {
+      this.applyClockMultiplier();
+    }
+  }
+
+  /**
+   * Checks if the altitude-based speed is applied
+   * @returns {boolean} True if the playback speeds up as the camera zooms out
+   */
+  isAltitudeSpeedEnabled() {
+    return this.altitudeSpeedEnabled;
+  }
+
+  /**
+   * Applies the chosen playback speed and the altitude based multiplier to the
+   * Cesium clock. The clock runs in animation seconds, so the speed in real-world
+   * minutes is divided by the real seconds each animation second covers.
+   */
+  applyClockMultiplier() {
+    const { earliestStart, latestEnd, animationDuration } =
+      this.getRequiredTimeline();
+    const realSecondsPerAnimationSecond =
+      (latestEnd - earliestStart) / 1000 / animationDuration;
+    const baseMultiplier =
+      realSecondsPerAnimationSecond > 0
+        ? (this.realMinutesPerSecond * 60) / realSecondsPerAnimationSecond
+        : 1;
+    this.cesiumClock.multiplier =
+      baseMultiplier *
+      (this.altitudeSpeedEnabled ? this.altitudeSpeedMultiplier : 1);
+  }
+
+  /**
+   * Gets the global timeline, throwing if it has not been calculated
+   * @returns {Object} The global timeline object
+   */
+  getRequiredTimeline() {
+    if (!this.globalTimeline) {
+      throw new Error(
+        "No global timeline available. Calculate timeline first.",
+      );
+    }
+    return this.globalTimeline;
+  }
+
   /**
    * Gets the current global timeline
    * @returns {Object|null} The global timeline object or null if not calculated
@@ -198,7 +506,8 @@ export class Timeline {
       Math.min(maxSpeed, speedMultiplier),
     );
 
-    // Apply the speed multiplier to the clock
-    this.cesiumClock.multiplier = clampedMultiplier;
+    // Apply the speed multiplier to the clock, on top of the chosen playback speed
+    this.altitudeSpeedMultiplier = clampedMultiplier;
+    this.applyClockMultiplier();
   }
 }
@@ -0,0 +1,161 @@
+/**
+ * ViewStateSync class
+ *
+ * Keeps the view in the hash of the page URL, so the URL can be sent to someone
+ * to show them the same moment: the camera, the real-world time and speed of the
+ * animation, the selected flight and the style and filter options. Opening such
+ * a URL restores the view once the globe is ready and the flights are loaded.
+ */
+import { decodeViewState, encodeViewState } from "./viewState.js";
+
+// How often the hash is updated while the view changes, in milliseconds
+const UPDATE_INTERVAL_MS = 1000;
+
+export class ViewStateSync {
+  /**
+   * Creates a new ViewStateSync instance
+   * @param {Viewer} viewer - The Viewer instance drawing the flight paths
+   * @param {Timeline} timeline - The Timeline instance managing the global animation
+   * @param {FlightStyleControls} styleControls - The style selectors
+   * @param {FlightFilterControls} filterControls - The filter inputs
+   * @param {HTMLElement} shareButton - The button copying the URL of the view
+   */
+  constructor(viewer, timeline, styleControls, filterControls, shareButton) {
+    this.viewer = viewer;
+    this.timeline = timeline;
+    this.styleControls = styleControls;
+    this.filterControls = filterControls;
+    this.shareButton = shareButton;
+    this.updateInterval = null;
+
+    this.shareButton.addEventListener("click", () => this.copyLink());
+    // A hash pasted into the address bar of the open page
+    window.addEventListener("hashchange", () => this.restore());
+  }
+
+  /**
+   * Gets the current view state
+   * @returns {Object} The view state, see encodeViewState in viewState.js
+   */
+  getState() {
+    const selectedFlight = this.viewer.getSelectedFlight();
+    const following =
+      selectedFlight !== null && this.viewer.followedFlight === selectedFlight;
+    return {
+      camera: this.viewer.getCameraView(),
+      realTime: this.timeline.getCurrentRealTime(),
+      realMinutesPerSecond: this.timeline.getRealMinutesPerSecond(),
+      altitudeSpeed: this.timeline.isAltitudeSpeedEnabled(),
+      paused: !this.timeline.isPlaying(),
+      flightId: selectedFlight ? selectedFlight.fr24Id : null,
+      followPresetId: following ? this.viewer.followPreset.id : null,
+      options: this.styleControls.getState(),
+      filters: this.filterControls.getState(),
+    };
+  }
+
+  /**
+   * Restores the view from the hash of the page URL. Parts of the view missing
+   * from the hash are left as they are, and filters missing from it are cleared.
+   * Call once the globe is ready and the flights are loaded.
+   */
+  restore() {
+    if (window.location.hash.length <= 1) {
+      return;
+    }
+    const state = decodeViewState(window.location.hash);
+
+    // Filters first, as they can refit the timeline the time is mapped onto
+    this.restorePart("options", () =>
+      this.styleControls.setState(state.options),
+    );
+    this.restorePart("filters", () =>
+      this.filterControls.setState(state.filters),
+    );
+    this.restorePart("time", () => {
+      if (state.realTime) {
+        this.timeline.seekToRealTime(state.realTime);
+      }
+      if (state.realMinutesPerSecond) {
+        this.timeline.setRealMinutesPerSecond(state.realMinutesPerSecond);
+      }
+      this.timeline.setAltitudeSpeedEnabled(state.altitudeSpeed);
+      if (state.paused) {
+        this.timeline.pauseAnimation();
+      } else if (!this.timeline.isPlaying()) {
+        this.timeline.play();
+      }
+    });
+    this.restorePart("camera", () => {
+      if (state.camera) {
+        this.viewer.setCameraView(state.camera);
+      }
+    });
+    this.restorePart("flight", () => {
+      const flight = state.flightId
+        ? this.viewer.getFlightById(state.flightId)
+        : null;
+      if (state.flightId && !flight) {
+        throw new Error(`Flight ${state.flightId} is not loaded`);
+      }
+      if (!flight) {
+        this.viewer.clearSelection();
+        return;
+      }
+      this.viewer.selectFlight(flight);
+      if (state.followPresetId) {
+        this.viewer.followFlight(flight, state.followPresetId);
+      }
+    });
+  }
+
+  /**
+   * Restores a part of the view, so a broken part of a hash does not stop the rest
+   * @param {string} name - Name of the part, for logging
+   * @param {Function} restorePart - Restores the part
+   */
+  restorePart(name, restorePart) {
+    try {
+      restorePart();
+    } catch (error) {
+      console.warn(`Could not restore the ${name} of the view:`, error);
+    }
+  }
+
+  /**
+   * Starts keeping the hash of the page URL up to date
+   */
+  start() {
+    this.update();
+    this.updateInterval = setInterval(() => this.update(), UPDATE_INTERVAL_MS);
+  }
+
+  /**
+   * Writes the current view state into the hash of the page URL. The history
+   * entry is replaced, so the back button does not step through the view changes.
+   */
+  update() {
+    if (!this.timeline.getGlobalTimeline()) {
+      return;
+    }
+    const hash = `#${encodeViewState(this.getState())}`;
+    if (hash !== window.location.hash) {
+      window.history.replaceState(null, "", hash);
+    }
+  }
+
+  /**
+   * Copies the URL of the current view to the clipboard
+   */
+  async copyLink() {
+    this.update();
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      this.shareButton.title = "Link copied";
+    } catch (error) {
+      // The link is still in the address bar
+      console.warn("Could not copy the link of the view:", error);
+      this.shareButton.title = "Copy the link from the address bar";
+    }
+  }
+}
@@ -7,16 +7,70 @@
  */
 import { feetToMeters } from "./conversionUtils.js";
 import { waitForGlobe } from "./globeUtils.js";
-import { config } from "./config.js";
+import { getCallsign, interpolateTrack } from "./trackUtils.js";
+import {
+  DEFAULT_FOLLOW_PRESET_ID,
+  getFollowOffset,
+  getFollowPreset,
+} from "./followCamera.js";
+import { DIRECTIONS, getFlightDirection } from "./directions.js";
+import {
+  assignCategoryColors,
+  DEFAULT_COLOR,
+  getColorMode,
+  getGradientStep,
+  getGradientStepColor,
+  getLegend,
+  OTHER_COLOR,
+  PATH_DASH_LENGTH,
+  PATH_GLOW_POWER,
+  PATH_WIDTH,
+} from "./flightStyles.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import {
+  createImageryProvider,
+  createTerrainProvider,
+  FALLBACK_IMAGERY,
+  FALLBACK_TERRAIN,
+  getGlobeProviders,
+} from "./globeProviders.js";
+import {
+  getLevelOfDetail,
+  rankTrackPoints,
+  simplifyTrack,
+} from "./trackSimplification.js";
+import { PrimitivePathRenderer } from "./PrimitivePathRenderer.js";
+import { AircraftMarkers } from "./AircraftMarkers.js";
+import {
+  DEFAULT_TRAIL_MODE_ID,
+  getTrailAlpha,
+  getTrailMode,
+  getTrailSeconds,
+} from "./trailModes.js";
+
+// Ways of drawing the flight paths, see the pathRenderer option of Viewer
+export const PATH_RENDERERS = ["entity", "primitive"];
 
 export class Viewer {
   /**
    * Creates a new Viewer instance
    * @param {HTMLElement} container - The HTML element to render the viewer in
+   * @param {Object} options - Viewer options
+   * @param {string} options.pathRenderer - "entity" to draw each flight path as a path entity,
+   * or "primitive" to draw all paths as polylines of one collection (see PrimitivePathRenderer.js)
+   * @param {Object} options.config - The runtime configuration with the Ion token, imagery and terrain (see config.js)
    */
-  constructor(container) {
-    // Set Cesium Ion access token from config
-    Cesium.Ion.defaultAccessToken = config.cesiumAccessToken;
+  constructor(
+    container,
+    { pathRenderer = "entity", config = DEFAULT_CONFIG } = {},
+  ) {
+    if (!PATH_RENDERERS.includes(pathRenderer)) {
+      throw new Error(`Unknown path renderer: ${pathRenderer}`);
+    }
+
+    if (config.cesiumAccessToken) {
+      Cesium.Ion.defaultAccessToken = config.cesiumAccessToken;
+    }
 
     // Initialize the Cesium Viewer with base configuration
     this.cesiumViewer = new Cesium.Viewer(container, {
@@ -29,12 +83,63 @@ export class Viewer {
       geocoder: false,
       fullscreenButton: false,
       navigationHelpButton: false,
+      // Flight details are shown in our own panel instead of the Cesium info box
+      infoBox: false,
+      // Imagery is added from the runtime configuration, see setGlobeProviders
+      baseLayer: false,
     });
 
-    // Apply terrain provider asynchronously
-    Cesium.createWorldTerrainAsync().then((terrainProvider) => {
-      this.cesiumViewer.terrainProvider = terrainProvider;
-    });
+    // Flight details of the drawn flight paths, keyed by entity id
+    this.flightsByEntityId = new Map();
+    this.flights = [];
+
+    // Colouring of the flight paths
+    this.colorMode = getColorMode("single");
+    this.categoryColors = new Map();
+    this.materialsByColor = new Map();
+    this.styleChangedCallbacks = [];
+    this.categoryRefreshTimeout = null;
+
+    // How long the paths stay on the globe, see trailModes.js. The opacity of
+    // fading paths is updated before the primitive renderer draws the frame.
+    this.trailMode = getTrailMode(DEFAULT_TRAIL_MODE_ID);
+    // The global timeline the flights were last drawn with
+    this.timelineParams = null;
+    this.cesiumViewer.scene.preUpdate.addEventListener((scene, time) =>
+      this.updateTrailAlphas(time),
+    );
+
+    // With the primitive renderer the flight entities only hold the position
+    // used for selecting and following a flight, and have no graphics
+    this.primitivePaths =
+      pathRenderer === "primitive"
+        ? new PrimitivePathRenderer(this.cesiumViewer.scene)
+        : null;
+
+    // Filter deciding which of the drawn flights are shown
+    this.flightFilter = () => true;
+    this.filterChangedCallbacks = [];
+
+    // Markers at the current positions of the aircraft
+    this.aircraftMarkers = new AircraftMarkers(this);
+
+    // Flight the camera is locked onto, see followFlight
+    this.followedFlight = null;
+    this.followPreset = null;
+    this.followChangedCallbacks = [];
+    this.cesiumViewer.scene.preUpdate.addEventListener((scene, time) =>
+      this.updateFollowCamera(time),
+    );
+
+    // Paths are simplified more the higher the camera is, see trackSimplification.js.
+    // Updated when the camera stops moving, as redrawing all paths takes a moment.
+    this.levelOfDetail = getLevelOfDetail(this.getCameraAltitude());
+    this.cesiumViewer.camera.moveEnd.addEventListener(() =>
+      this.updateLevelOfDetail(),
+    );
+
+    // Apply imagery and terrain providers asynchronously
+    this.globeProvidersReady = this.setGlobeProviders(config);
 
     // Initialize clock for animation
     this.cesiumViewer.clock.shouldAnimate = false;
@@ -63,11 +168,81 @@ export class Viewer {
   }
 
   /**
-   * Waits for the globe to be ready
+   * Sets the camera to a location and waits for the globe to be ready
+   * @param {Object} location - The camera location, e.g. the camera preset of an airport
    * @returns {Promise<void>} A promise that resolves when the globe is ready
    */
-  async waitForGlobeReady() {
-    return waitForGlobe(this.cesiumViewer);
+  async waitForGlobeReady(location) {
+    await this.globeProvidersReady;
+    await waitForGlobe(this.cesiumViewer, location);
+    this.updateLevelOfDetail();
+  }
+
+  /**
+   * Sets the imagery and terrain of the globe. Providers that can't be created,
+   * e.g. without a valid Ion token or local tiles, are replaced by the offline ones.
+   * @param {Object} config - The runtime configuration, see config.js
+   * @returns {Promise<void>} A promise that resolves when the providers are set
+   */
+  async setGlobeProviders(config) {
+    const accessToken = config.cesiumAccessToken;
+    const { imagery, terrain } = getGlobeProviders(config);
+
+    const [imageryProvider, terrainProvider] = await Promise.all([
+      createImageryProvider(imagery, accessToken).catch((error) => {
+        console.warn(
+          `Could not create ${imagery.type} imagery, using ${FALLBACK_IMAGERY.type} instead:`,
+          error,
+        );
+        return createImageryProvider(FALLBACK_IMAGERY, accessToken);
+      }),
+      createTerrainProvider(terrain, accessToken).catch((error) => {
+        console.warn(
+          `Could not create ${terrain.type} terrain, using ${FALLBACK_TERRAIN.type} instead:`,
+          error,
+        );
+        return createTerrainProvider(FALLBACK_TERRAIN, accessToken);
+      }),
+    ]);
+    this.cesiumViewer.imageryLayers.addImageryProvider(imageryProvider);
+    this.cesiumViewer.terrainProvider = terrainProvider;
+  }
+
+  /**
+   * Gets the position and orientation of the camera
+   * @returns {Object} Longitude and latitude in degrees, height in meters, and heading, pitch and roll in degrees
+   */
+  getCameraView() {
+    const camera = this.cesiumViewer.camera;
+    const position = camera.positionCartographic;
+    return {
+      longitude: Cesium.Math.toDegrees(position.longitude),
+      latitude: Cesium.Math.toDegrees(position.latitude),
+      height: position.height,
+      heading: Cesium.Math.toDegrees(camera.heading),
+      pitch: Cesium.Math.toDegrees(camera.pitch),
+      roll: Cesium.Math.toDegrees(camera.roll),
+    };
+  }
+
+  /**
+   * Moves the camera to a position and orientation at once, releasing it from a followed flight
+   * @param {Object} view - The camera view, see getCameraView
+   */
+  setCameraView(view) {
+    this.stopFollowing();
+    this.cesiumViewer.camera.setView({
+      destination: Cesium.Cartesian3.fromDegrees(
+        view.longitude,
+        view.latitude,
+        view.height,
+      ),
+      orientation: {
+        heading: Cesium.Math.toRadians(view.heading),
+        pitch: Cesium.Math.toRadians(view.pitch),
+        roll: Cesium.Math.toRadians(view.roll),
+      },
+    });
   }
 
   /**
@@ -79,10 +254,13 @@ export class Viewer {
    * @param {Date} timelineParams.latestEnd - The latest flight end time across all flights
    * @param {Cesium.JulianDate} timelineParams.animationStart - When the global animation starts
    * @param {number} timelineParams.animationDuration - Total duration of the global animation in seconds
+   * @param {Object|null} day - The day the flight departs on, see dayComparison.js
    * @returns {Cesium.Entity|null} The created entity or null if an error occurred
    */
-  drawFlightPath(flightData, flightId = "unknown", timelineParams) {
+  drawFlightPath(flightData, flightId = "unknown", timelineParams, day = null) {
     try {
+      this.timelineParams = timelineParams;
+
       // Extract track data
       const tracks = flightData[0].tracks;
 
@@ -96,100 +274,718 @@ export class Viewer {
         return null;
       }
 
-      // Create animation timeline based on global timeline and actual flight timestamps
       const realStartTime = new Date(tracks[0].timestamp);
       const realEndTime = new Date(tracks[tracks.length - 1].timestamp);
       console.log(
         `Flight running from ${realStartTime.toLocaleString()} to ${realEndTime.toLocaleString()} in calendar time`,
       );
 
-      // Map this flight's real time to the global animation timeline
-      const globalRealDuration =
-        timelineParams.latestEnd - timelineParams.earliestStart; // milliseconds
-      const flightStartOffset =
-        (realStartTime - timelineParams.earliestStart) / globalRealDuration;
-      const flightEndOffset =
-        (realEndTime - timelineParams.earliestStart) / globalRealDuration;
-
-      const startTime = Cesium.JulianDate.addSeconds(
-        timelineParams.animationStart,
-        flightStartOffset * timelineParams.animationDuration,
-        new Cesium.JulianDate(),
+      const samplePositions = tracks.map((track) =>
+        Cesium.Cartesian3.fromDegrees(
+          track.lon,
+          track.lat,
+          feetToMeters(track.alt),
+        ),
       );
-      const endTime = Cesium.JulianDate.addSeconds(
-        timelineParams.animationStart,
-        flightEndOffset * timelineParams.animationDuration,
-        new Cesium.JulianDate(),
+      const { sampleTimes, availability } = this.createAnimationSamples(
+        tracks,
+        timelineParams,
       );
 
-      const flightAnimationDuration = Cesium.JulianDate.secondsDifference(
-        endTime,
-        startTime,
-      );
+      const fr24Id = flightData[0].fr24_id || flightId;
+      const callsign = getCallsign(tracks);
+      const direction = getFlightDirection(flightData[0]);
 
-      // Create SampledPositionProperty with actual timestamps mapped to animation timeline
-      const sampledPosition = new Cesium.SampledPositionProperty();
-      sampledPosition.setInterpolationOptions({
-        interpolationDegree: 1,
-        interpolationAlgorithm: Cesium.LinearApproximation,
+      // Create animated entity with path that grows over time
+      const entity = this.cesiumViewer.entities.add({
+        name: callsign ? `Flight ${callsign} (${fr24Id})` : `Flight ${fr24Id}`,
+        availability,
+        path: this.primitivePaths
+          ? undefined
+          : this.createPathGraphics(DEFAULT_COLOR, direction),
       });
 
-      // Add samples based on actual flight timestamps
-      for (let i = 0; i < tracks.length; i++) {
-        const track = tracks[i];
-        const trackTime = new Date(track.timestamp);
-        const timeProgress =
-          (trackTime - realStartTime) / (realEndTime - realStartTime);
-        const animationTime = Cesium.JulianDate.addSeconds(
-          startTime,
-          timeProgress * flightAnimationDuration,
-          new Cesium.JulianDate(),
-        );
+      const flight = {
+        fr24Id,
+        callsign,
+        direction,
+        // Times of a compared day are shifted onto the first day, see dayComparison.js
+        day,
+        tracks,
+        realStartTime,
+        realEndTime,
+        maxAltitude: tracks.reduce((max, track) => Math.max(max, track.alt), 0),
+        entity,
+        sampleTimes,
+        samplePositions,
+        // Ranks of the samples for simplifying the path, and the indices of the
+        // samples drawn at the current level of detail
+        sampleRanks: rankTrackPoints(tracks),
+        sampleIndices: null,
+        visible: true,
+        // Opacity of the path, below 1 while fading out after the flight
+        trailAlpha: 1,
+        // Separately coloured parts of the path, used by the gradient colour modes
+        segmentEntities: [],
+      };
+      this.flightsByEntityId.set(entity.id, flight);
+      this.flights.push(flight);
 
-        const position = Cesium.Cartesian3.fromDegrees(
-          track.lon,
-          track.lat,
-          feetToMeters(track.alt),
-        );
+      this.applyLevelOfDetail(flight);
+      this.applyFlightVisibility(flight);
+      this.scheduleCategoryRefresh();
 
-        sampledPosition.addSample(animationTime, position);
-      }
+      return entity;
+    } catch (error) {
+      console.error(`Error processing flight ${flightId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Maps the track samples of a flight onto the global animation timeline
+   * @param {Object[]} tracks - The track points of the flight
+   * @param {Object} timelineParams - Timeline parameters for synchronized animations, see drawFlightPath
+   * @returns {Object} The animation sample times and the availability of the flight
+   */
+  createAnimationSamples(tracks, timelineParams) {
+    // Create animation timeline based on global timeline and actual flight timestamps
+    const realStartTime = new Date(tracks[0].timestamp);
+    const realEndTime = new Date(tracks[tracks.length - 1].timestamp);
+
+    // Map this flight's real time to the global animation timeline
+    const globalRealDuration =
+      timelineParams.latestEnd - timelineParams.earliestStart; // milliseconds
+    const flightStartOffset =
+      (realStartTime - timelineParams.earliestStart) / globalRealDuration;
+    const flightEndOffset =
+      (realEndTime - timelineParams.earliestStart) / globalRealDuration;
+
+    const startTime = Cesium.JulianDate.addSeconds(
+      timelineParams.animationStart,
+      flightStartOffset * timelineParams.animationDuration,
+      new Cesium.JulianDate(),
+    );
+    const endTime = Cesium.JulianDate.addSeconds(
+      timelineParams.animationStart,
+      flightEndOffset * timelineParams.animationDuration,
+      new Cesium.JulianDate(),
+    );
 
-      // Calculate global animation end time to keep entity visible after flight completion
-      const globalAnimationEnd = Cesium.JulianDate.addSeconds(
-        timelineParams.animationStart,
-        timelineParams.animationDuration,
+    const flightAnimationDuration = Cesium.JulianDate.secondsDifference(
+      endTime,
+      startTime,
+    );
+
+    // Sample times based on actual flight timestamps
+    const sampleTimes = tracks.map((track) => {
+      const trackTime = new Date(track.timestamp);
+      const timeProgress =
+        (trackTime - realStartTime) / (realEndTime - realStartTime);
+      return Cesium.JulianDate.addSeconds(
+        startTime,
+        timeProgress * flightAnimationDuration,
         new Cesium.JulianDate(),
       );
+    });
 
-      // Create animated entity with path that grows over time
-      const entity = this.cesiumViewer.entities.add({
-        name: `Flight ${flightData[0].fr24_id || flightId}`,
-        availability: new Cesium.TimeIntervalCollection([
-          new Cesium.TimeInterval({
-            start: startTime,
-            stop: globalAnimationEnd, // Keep visible until global animation ends
-          }),
-        ]),
-        position: sampledPosition,
-        path: {
-          resolution: 1,
-          material: new Cesium.PolylineGlowMaterialProperty({
-            glowPower: 0.2,
-            color: Cesium.Color.CYAN,
-          }),
-          width: 3,
-          leadTime: 0,
-          trailTime: Number.MAX_VALUE,
-          show: true,
-        },
-      });
+    // Calculate global animation end time to keep entity visible after flight completion
+    const globalAnimationEnd = Cesium.JulianDate.addSeconds(
+      timelineParams.animationStart,
+      timelineParams.animationDuration,
+      new Cesium.JulianDate(),
+    );
 
-      return entity;
-    } catch (error) {
-      console.error(`Error processing flight ${flightId}:`, error);
+    const availability = new Cesium.TimeIntervalCollection([
+      new Cesium.TimeInterval({
+        start: startTime,
+        stop: globalAnimationEnd, // Keep visible until global animation ends
+      }),
+    ]);
+
+    return { sampleTimes, availability };
+  }
+
+  /**
+   * Creates the position property of a path from some of the samples of a flight
+   * @param {Object} flight - The flight details
+   * @param {number[]} sampleIndices - Indices of the samples to use, in chronological order
+   * @returns {Cesium.SampledPositionProperty} The position property
+   */
+  createSampledPosition(flight, sampleIndices) {
+    const sampledPosition = new Cesium.SampledPositionProperty();
+    sampledPosition.setInterpolationOptions({
+      interpolationDegree: 1,
+      interpolationAlgorithm: Cesium.LinearApproximation,
+    });
+    sampledPosition.addSamples(
+      sampleIndices.map((i) => flight.sampleTimes[i]),
+      sampleIndices.map((i) => flight.samplePositions[i]),
+    );
+    return sampledPosition;
+  }
+
+  /**
+   * Maps all drawn flights onto a new global animation timeline, e.g. after
+   * the timeline has been fitted to the filtered flights
+   * @param {Object} timelineParams - Timeline parameters for synchronized animations, see drawFlightPath
+   */
+  retimeFlights(timelineParams) {
+    this.timelineParams = timelineParams;
+    this.updateTrailLength();
+    this.flights.forEach((flight) => {
+      const { sampleTimes, availability } = this.createAnimationSamples(
+        flight.tracks,
+        timelineParams,
+      );
+      flight.sampleTimes = sampleTimes;
+      flight.entity.availability = availability;
+      flight.entity.position = this.createSampledPosition(
+        flight,
+        flight.sampleIndices,
+      );
+      this.styleFlight(flight);
+    });
+  }
+
+  /**
+   * Updates the level of detail of the paths to the camera altitude, and
+   * redraws the paths if it changed
+   */
+  updateLevelOfDetail() {
+    const levelOfDetail = getLevelOfDetail(this.getCameraAltitude());
+    if (levelOfDetail === this.levelOfDetail) {
+      return;
+    }
+
+    this.levelOfDetail = levelOfDetail;
+    this.flights.forEach((flight) => this.applyLevelOfDetail(flight));
+  }
+
+  /**
+   * Draws the path of a flight with the samples of the current level of detail
+   * @param {Object} flight - The flight details
+   */
+  applyLevelOfDetail(flight) {
+    flight.sampleIndices = simplifyTrack(
+      flight.sampleRanks,
+      this.levelOfDetail.toleranceMeters,
+    );
+    flight.entity.position = this.createSampledPosition(
+      flight,
+      flight.sampleIndices,
+    );
+    this.styleFlight(flight);
+  }
+
+  /**
+   * Sets the filter deciding which flights are shown. Hidden flights stay loaded
+   * and are shown again when the filter changes.
+   * @param {Function} filter - Predicate called with the flight details
+   */
+  setFlightFilter(filter) {
+    this.flightFilter = filter;
+    this.flights.forEach((flight) => this.applyFlightVisibility(flight));
+
+    const selectedFlight = this.getSelectedFlight();
+    if (selectedFlight && !selectedFlight.visible) {
+      this.clearSelection();
+    }
+    if (this.followedFlight && !this.followedFlight.visible) {
+      this.stopFollowing();
+    }
+    this.filterChangedCallbacks.forEach((callback) => callback());
+  }
+
+  /**
+   * Registers a callback that is called when the filter of the shown flights changes
+   * @param {Function} callback - Called without arguments, see getVisibleFlights
+   */
+  onFilterChanged(callback) {
+    this.filterChangedCallbacks.push(callback);
+  }
+
+  /**
+   * Shows or hides a flight path based on the current filter
+   * @param {Object} flight - The flight details
+   */
+  applyFlightVisibility(flight) {
+    flight.visible = this.flightFilter(flight);
+    // Fully faded paths are hidden too
+    const show = flight.visible && flight.trailAlpha > 0;
+    flight.entity.show = show;
+    flight.segmentEntities.forEach((segmentEntity) => {
+      segmentEntity.show = show;
+    });
+  }
+
+  /**
+   * Gets the flights that pass the current filter
+   * @returns {Object[]} The visible flights
+   */
+  getVisibleFlights() {
+    return this.flights.filter((flight) => flight.visible);
+  }
+
+  /**
+   * Gets a drawn flight by its FR24 id
+   * @param {string} fr24Id - The FR24 id of the flight
+   * @returns {Object|null} The flight details or null if the flight is not drawn
+   */
+  getFlightById(fr24Id) {
+    return (
+      this.flights.find((flight) => String(flight.fr24Id) === fr24Id) || null
+    );
+  }
+
+  /**
+   * Gets the flight details of a drawn flight path entity
+   * @param {Cesium.Entity} entity - The flight path entity
+   * @returns {Object|null} The flight details or null if the entity is not a flight path
+   */
+  getFlightForEntity(entity) {
+    if (!entity) {
       return null;
     }
+    return this.flightsByEntityId.get(entity.id) || null;
+  }
+
+  /**
+   * Registers a callback that is called when a flight path is picked on the globe
+   * @param {Function} callback - Called with the flight details, or null when the selection is cleared
+   */
+  onFlightSelected(callback) {
+    this.cesiumViewer.selectedEntityChanged.addEventListener((entity) => {
+      const flight = this.getFlightForEntity(entity);
+      // Picking a coloured part of a path selects the whole flight
+      if (flight && entity !== flight.entity) {
+        this.selectFlight(flight);
+        return;
+      }
+      callback(flight);
+    });
+  }
+
+  /**
+   * Selects the flight path of the given flight
+   * @param {Object} flight - The flight details returned by getFlightForEntity
+   */
+  selectFlight(flight) {
+    this.cesiumViewer.selectedEntity = flight.entity;
+  }
+
+  /**
+   * Gets the flight whose path is selected
+   * @returns {Object|null} The flight details, or null if no flight is selected
+   */
+  getSelectedFlight() {
+    return this.getFlightForEntity(this.cesiumViewer.selectedEntity);
+  }
+
+  /**
+   * Clears the current flight selection
+   */
+  clearSelection() {
+    this.cesiumViewer.selectedEntity = undefined;
+  }
+
+  /**
+   * Locks the camera onto a flight, so it moves and turns with the aircraft
+   * @param {Object} flight - The flight details returned by getFlightForEntity
+   * @param {string} presetId - Id of the follow camera preset (see followCamera.js, default: chase)
+   */
+  followFlight(flight, presetId = DEFAULT_FOLLOW_PRESET_ID) {
+    this.followedFlight = flight;
+    this.followPreset = getFollowPreset(presetId);
+    this.updateFollowCamera(this.cesiumViewer.clock.currentTime);
+    this.notifyFollowChanged();
+  }
+
+  /**
+   * Releases the camera from the followed flight. The camera stays where it is.
+   */
+  stopFollowing() {
+    if (!this.followedFlight) {
+      return;
+    }
+    this.followedFlight = null;
+    this.followPreset = null;
+    this.cesiumViewer.camera.lookAtTransform(Cesium.Matrix4.IDENTITY);
+    this.notifyFollowChanged();
+  }
+
+  /**
+   * Registers a callback that is called when the camera starts or stops following a flight
+   * @param {Function} callback - Called with the followed flight details and preset, or nulls when released
+   */
+  onFollowChanged(callback) {
+    this.followChangedCallbacks.push(callback);
+  }
+
+  /**
+   * Calls the follow change callbacks with the current follow state
+   */
+  notifyFollowChanged() {
+    this.followChangedCallbacks.forEach((callback) =>
+      callback(this.followedFlight, this.followPreset),
+    );
+  }
+
+  /**
+   * Gets the real-world time of a flight at an animation time. Each flight is
+   * mapped linearly onto the animation timeline, so the real time is at the same
+   * fraction of the flight as the animation time.
+   * @param {Object} flight - The flight details
+   * @param {Cesium.JulianDate} time - The animation time
+   * @returns {Date} The real-world time, clamped to the start and end of the flight
+   */
+  getFlightRealTime(flight, time) {
+    const firstTime = flight.sampleTimes[0];
+    const lastTime = flight.sampleTimes[flight.sampleTimes.length - 1];
+    const animationDuration = Cesium.JulianDate.secondsDifference(
+      lastTime,
+      firstTime,
+    );
+    const fraction =
+      animationDuration > 0
+        ? Cesium.JulianDate.secondsDifference(time, firstTime) /
+          animationDuration
+        : 0;
+    return new Date(
+      flight.realStartTime.getTime() +
+        Math.min(Math.max(fraction, 0), 1) *
+          (flight.realEndTime - flight.realStartTime),
+    );
+  }
+
+  /**
+   * Sets how the aircraft are marked at the heads of the trails
+   * @param {string} styleId - Id of the marker style (see AircraftMarkers.js)
+   */
+  setMarkerStyle(styleId) {
+    this.aircraftMarkers.setStyle(styleId);
+  }
+
+  /**
+   * Sets how the heading of the aircraft icons is found
+   * @param {string} sourceId - Id of the heading source (see AircraftMarkers.js)
+   */
+  setMarkerHeadingSource(sourceId) {
+    this.aircraftMarkers.setHeadingSource(sourceId);
+  }
+
+  /**
+   * Moves the camera to the followed aircraft. Called before every frame.
+   * Before takeoff and after landing the camera stays at the ends of the flight.
+   * @param {Cesium.JulianDate} time - The current animation time
+   */
+  updateFollowCamera(time) {
+    if (!this.followedFlight) {
+      return;
+    }
+
+    const flight = this.followedFlight;
+    const firstTime = flight.sampleTimes[0];
+    const lastTime = flight.sampleTimes[flight.sampleTimes.length - 1];
+    let clampedTime = time;
+    if (Cesium.JulianDate.lessThan(time, firstTime)) {
+      clampedTime = firstTime;
+    } else if (Cesium.JulianDate.greaterThan(time, lastTime)) {
+      clampedTime = lastTime;
+    }
+
+    const position = flight.entity.position.getValue(clampedTime);
+    const point = interpolateTrack(
+      flight.tracks,
+      this.getFlightRealTime(flight, clampedTime),
+    );
+    if (!position || !point) {
+      return;
+    }
+
+    this.cesiumViewer.camera.lookAt(
+      position,
+      getFollowOffset(this.followPreset, point.track),
+    );
+  }
+
+  /**
+   * Creates the path graphics options of a flight path entity
+   * @param {Cesium.Color} color - The colour of the path
+   * @param {string} direction - The direction of the flight, see directions.js
+   * @returns {Object} Path graphics options
+   */
+  createPathGraphics(color, direction) {
+    return {
+      resolution: 1,
+      material: this.getPathMaterial(color, direction),
+      width: PATH_WIDTH,
+      leadTime: 0,
+      trailTime: this.getPathTrailTime(),
+      show: true,
+    };
+  }
+
+  /**
+   * Gets the path material of a colour. Departures glow and arrivals are dashed,
+   * so they can be told apart in every colouring mode. Materials are shared
+   * between paths of the same colour and direction.
+   * @param {Cesium.Color} color - The colour of the path
+   * @param {string} direction - The direction of the flight, see directions.js
+   * @returns {Cesium.MaterialProperty} The material
+   */
+  getPathMaterial(color, direction) {
+    const key = `${direction}:${color.toCssHexString()}`;
+    if (!this.materialsByColor.has(key)) {
+      this.materialsByColor.set(
+        key,
+        direction === DIRECTIONS.inbound.id
+          ? new Cesium.PolylineDashMaterialProperty({
+              color,
+              dashLength: PATH_DASH_LENGTH,
+            })
+          : new Cesium.PolylineGlowMaterialProperty({
+              glowPower: PATH_GLOW_POWER,
+              color,
+            }),
+      );
+    }
+    return this.materialsByColor.get(key);
+  }
+
+  /**
+   * Sets the colouring mode of the flight paths and restyles all drawn flights
+   * @param {string} modeId - Id of the colouring mode (see flightStyles.js)
+   */
+  setColorMode(modeId) {
+    this.colorMode = getColorMode(modeId);
+    this.categoryColors =
+      this.colorMode.type === "categorical"
+        ? assignCategoryColors(this.colorMode, this.flights)
+        : new Map();
+    this.flights.forEach((flight) => this.styleFlight(flight));
+    this.notifyStyleChanged();
+  }
+
+  /**
+   * Gets the legend of the current colouring mode
+   * @returns {Object} The legend, see getLegend in flightStyles.js
+   */
+  getLegend() {
+    return getLegend(this.colorMode, this.categoryColors);
+  }
+
+  /**
+   * Registers a callback that is called when the colouring or the legend changes
+   * @param {Function} callback - Called with the new legend
+   */
+  onStyleChanged(callback) {
+    this.styleChangedCallbacks.push(callback);
+  }
+
+  /**
+   * Calls the style change callbacks with the current legend
+   */
+  notifyStyleChanged() {
+    const legend = this.getLegend();
+    this.styleChangedCallbacks.forEach((callback) => callback(legend));
+  }
+
+  /**
+   * Applies the current colouring mode to a flight path
+   * @param {Object} flight - The flight details
+   */
+  styleFlight(flight) {
+    const parts = this.getPathParts(flight).map((part) => ({
+      ...part,
+      color: part.color.withAlpha(part.color.alpha * flight.trailAlpha),
+    }));
+    if (this.primitivePaths) {
+      this.primitivePaths.drawFlight(
+        flight,
+        parts.map((part) => ({
+          sampleIndices: this.getPartSampleIndices(flight, part),
+          color: part.color,
+        })),
+      );
+      return;
+    }
+
+    flight.segmentEntities.forEach((segmentEntity) => {
+      this.cesiumViewer.entities.remove(segmentEntity);
+      this.flightsByEntityId.delete(segmentEntity.id);
+    });
+    flight.segmentEntities = [];
+
+    if (this.colorMode.type === "gradient") {
+      flight.entity.path.show = false;
+      parts.forEach((part) => this.drawPathSegment(flight, part));
+      return;
+    }
+
+    flight.entity.path.material = this.getPathMaterial(
+      parts[0].color,
+      flight.direction,
+    );
+    flight.entity.path.trailTime = this.getPathTrailTime();
+    flight.entity.path.show = true;
+  }
+
+  /**
+   * Sets the trail mode of the flight paths and restyles all drawn flights
+   * @param {string} modeId - Id of the trail mode (see trailModes.js)
+   */
+  setTrailMode(modeId) {
+    this.trailMode = getTrailMode(modeId);
+    this.updateTrailLength();
+    this.flights.forEach((flight) => this.styleFlight(flight));
+  }
+
+  /**
+   * Gets how long the trail behind an aircraft is
+   * @returns {number} Trail length in animation seconds, Infinity for the full history
+   */
+  getTrailSeconds() {
+    return this.timelineParams
+      ? getTrailSeconds(this.trailMode, this.timelineParams)
+      : Infinity;
+  }
+
+  /**
+   * Gets the trail time of the path entities
+   * @returns {number} Trail time in animation seconds
+   */
+  getPathTrailTime() {
+    const trailSeconds = this.getTrailSeconds();
+    return Number.isFinite(trailSeconds) ? trailSeconds : Number.MAX_VALUE;
+  }
+
+  /**
+   * Passes the trail length to the primitive renderer. The path entities get it when they are styled.
+   */
+  updateTrailLength() {
+    if (this.primitivePaths) {
+      this.primitivePaths.setTrailSeconds(this.getTrailSeconds());
+    }
+  }
+
+  /**
+   * Updates the opacity of the fading paths. Called before every frame. Paths
+   * are only restyled when their opacity reaches the next fade step.
+   * @param {Cesium.JulianDate} time - The current animation time
+   */
+  updateTrailAlphas(time) {
+    if (!this.timelineParams) {
+      return;
+    }
+
+    this.flights.forEach((flight) => {
+      const alpha = getTrailAlpha(
+        this.trailMode,
+        Cesium.JulianDate.secondsDifference(
+          time,
+          flight.sampleTimes[flight.sampleTimes.length - 1],
+        ),
+        this.timelineParams,
+      );
+      if (alpha !== flight.trailAlpha) {
+        flight.trailAlpha = alpha;
+        this.styleFlight(flight);
+        this.applyFlightVisibility(flight);
+      }
+    });
+  }
+
+  /**
+   * Divides a flight path into parts coloured by the current colouring mode.
+   * Gradient modes have a part per run of samples that fall into the same
+   * gradient step, the other modes colour the whole path as one part.
+   * @param {Object} flight - The flight details
+   * @returns {Object[]} The parts, with the indices of their first and last sample and their colour
+   */
+  getPathParts(flight) {
+    const lastIndex = flight.tracks.length - 1;
+    if (this.colorMode.type !== "gradient") {
+      const color =
+        this.colorMode.type === "categorical"
+          ? this.categoryColors.get(this.colorMode.getCategory(flight)) ||
+            OTHER_COLOR
+          : DEFAULT_COLOR;
+      return [{ startIndex: 0, endIndex: lastIndex, color }];
+    }
+
+    const steps = flight.tracks.map((track) =>
+      getGradientStep(this.colorMode, track[this.colorMode.key]),
+    );
+    const parts = [];
+    let runStart = 0;
+    for (let i = 1; i <= steps.length; i++) {
+      if (i < steps.length && steps[i] === steps[runStart]) {
+        continue;
+      }
+      // Include the first sample of the next run so the parts connect
+      const runEnd = Math.min(i, lastIndex);
+      if (runEnd > runStart) {
+        parts.push({
+          startIndex: runStart,
+          endIndex: runEnd,
+          color: getGradientStepColor(steps[runStart]),
+        });
+      }
+      runStart = i;
+    }
+    return parts;
+  }
+
+  /**
+   * Gets the samples of a part of a flight path drawn at the current level of detail.
+   * The ends of the part are always kept, so the parts connect at every level of detail.
+   * @param {Object} flight - The flight details
+   * @param {Object} part - The part, see getPathParts
+   * @returns {number[]} Indices of the samples
+   */
+  getPartSampleIndices(flight, { startIndex, endIndex }) {
+    return [
+      startIndex,
+      ...flight.sampleIndices.filter((i) => i > startIndex && i < endIndex),
+      endIndex,
+    ];
+  }
+
+  /**
+   * Draws a part of a flight path as its own entity
+   * @param {Object} flight - The flight details
+   * @param {Object} part - The part, see getPathParts
+   */
+  drawPathSegment(flight, part) {
+    const segmentEntity = this.cesiumViewer.entities.add({
+      show: flight.visible,
+      availability: flight.entity.availability,
+      position: this.createSampledPosition(
+        flight,
+        this.getPartSampleIndices(flight, part),
+      ),
+      path: this.createPathGraphics(part.color, flight.direction),
+    });
+    flight.segmentEntities.push(segmentEntity);
+    this.flightsByEntityId.set(segmentEntity.id, flight);
+  }
+
+  /**
+   * Recalculates the category colours shortly after flights have been added.
+   * Categories of some modes depend on how common they are in the drawn flights.
+   */
+  scheduleCategoryRefresh() {
+    if (this.colorMode.type !== "categorical" || this.categoryRefreshTimeout) {
+      return;
+    }
+
+    this.categoryRefreshTimeout = setTimeout(() => {
+      this.categoryRefreshTimeout = null;
+      if (this.colorMode.type === "categorical") {
+        this.setColorMode(this.colorMode.id);
+      }
+    }, 500);
   }
 
   /**
@@ -201,7 +997,9 @@ export class Viewer {
     const initialAltitude = this.getCameraAltitude();
     this.baseAltitude = initialAltitude;
 
-    // Set up camera change listener
+    // Set up camera change listener. While following a flight the camera height
+    // is the aircraft altitude plus the preset offset, so the speed follows how
+    // fast the ground passes under the aircraft.
     this.cesiumViewer.camera.changed.addEventListener(() => {
       const currentAltitude = this.getCameraAltitude();
       updateSpeedFunction(currentAltitude, this.baseAltitude);
@@ -213,7 +1011,9 @@ export class Viewer {
    * @returns {number} Camera altitude in meters
    */
   getCameraAltitude() {
-    const cameraPosition = this.cesiumViewer.camera.position;
+    // The world position, as camera.position is relative to the followed
+    // aircraft while following a flight
+    const cameraPosition = this.cesiumViewer.camera.positionWC;
     const cartographic = Cesium.Cartographic.fromCartesian(cameraPosition);
     return cartographic.height;
   }
@@ -0,0 +1,862 @@
+/**
+ * Airports that flights from the supported airports fly to and arrive from.
+ *
+ * The flight data has no destination or origin, only the tracks, so the airport
+ * at the far end of a flight is looked up in this list by position (see
+ * destinations.js). It holds the main passenger and cargo airports of the
+ * routes in the datasets, not every airport in the world.
+ */
+
+export const AIRPORT_DATABASE = [
+  {
+    code: "HKG",
+    city: "Hong Kong",
+    name: "Hong Kong International",
+    lat: 22.3089,
+    lon: 113.9146,
+  },
+  {
+    code: "MFM",
+    city: "Macau",
+    name: "Macau International",
+    lat: 22.1496,
+    lon: 113.5916,
+  },
+  {
+    code: "CAN",
+    city: "Guangzhou",
+    name: "Guangzhou Baiyun",
+    lat: 23.3924,
+    lon: 113.2988,
+  },
+  {
+    code: "SZX",
+    city: "Shenzhen",
+    name: "Shenzhen Bao'an",
+    lat: 22.6393,
+    lon: 113.8107,
+  },
+  {
+    code: "HAK",
+    city: "Haikou",
+    name: "Haikou Meilan",
+    lat: 19.9349,
+    lon: 110.4589,
+  },
+  {
+    code: "SYX",
+    city: "Sanya",
+    name: "Sanya Phoenix",
+    lat: 18.3029,
+    lon: 109.4122,
+  },
+  {
+    code: "XMN",
+    city: "Xiamen",
+    name: "Xiamen Gaoqi",
+    lat: 24.544,
+    lon: 118.1277,
+  },
+  {
+    code: "FOC",
+    city: "Fuzhou",
+    name: "Fuzhou Changle",
+    lat: 25.9351,
+    lon: 119.6633,
+  },
+  {
+    code: "PVG",
+    city: "Shanghai",
+    name: "Shanghai Pudong",
+    lat: 31.1443,
+    lon: 121.8083,
+  },
+  {
+    code: "SHA",
+    city: "Shanghai",
+    name: "Shanghai Hongqiao",
+    lat: 31.1979,
+    lon: 121.3363,
+  },
+  {
+    code: "HGH",
+    city: "Hangzhou",
+    name: "Hangzhou Xiaoshan",
+    lat: 30.2295,
+    lon: 120.4345,
+  },
+  {
+    code: "NKG",
+    city: "Nanjing",
+    name: "Nanjing Lukou",
+    lat: 31.742,
+    lon: 118.862,
+  },
+  {
+    code: "WUH",
+    city: "Wuhan",
+    name: "Wuhan Tianhe",
+    lat: 30.7838,
+    lon: 114.2081,
+  },
+  {
+    code: "CGO",
+    city: "Zhengzhou",
+    name: "Zhengzhou Xinzheng",
+    lat: 34.5197,
+    lon: 113.8409,
+  },
+  {
+    code: "PEK",
+    city: "Beijing",
+    name: "Beijing Capital",
+    lat: 40.0799,
+    lon: 116.6031,
+  },
+  {
+    code: "PKX",
+    city: "Beijing",
+    name: "Beijing Daxing",
+    lat: 39.5098,
+    lon: 116.4105,
+  },
+  {
+    code: "TSN",
+    city: "Tianjin",
+    name: "Tianjin Binhai",
+    lat: 39.1244,
+    lon: 117.3462,
+  },
+  {
+    code: "TAO",
+    city: "Qingdao",
+    name: "Qingdao Jiaodong",
+    lat: 36.3619,
+    lon: 120.0883,
+  },
+  {
+    code: "DLC",
+    city: "Dalian",
+    name: "Dalian Zhoushuizi",
+    lat: 38.9657,
+    lon: 121.5386,
+  },
+  {
+    code: "SHE",
+    city: "Shenyang",
+    name: "Shenyang Taoxian",
+    lat: 41.6398,
+    lon: 123.4834,
+  },
+  {
+    code: "HRB",
+    city: "Harbin",
+    name: "Harbin Taiping",
+    lat: 45.6234,
+    lon: 126.2503,
+  },
+  {
+    code: "XIY",
+    city: "Xi'an",
+    name: "Xi'an Xianyang",
+    lat: 34.4471,
+    lon: 108.7516,
+  },
+  {
+    code: "TFU",
+    city: "Chengdu",
+    name: "Chengdu Tianfu",
+    lat: 30.3125,
+    lon: 104.4413,
+  },
+  {
+    code: "CTU",
+    city: "Chengdu",
+    name: "Chengdu Shuangliu",
+    lat: 30.5785,
+    lon: 103.9471,
+  },
+  {
+    code: "CKG",
+    city: "Chongqing",
+    name: "Chongqing Jiangbei",
+    lat: 29.7192,
+    lon: 106.6417,
+  },
+  {
+    code: "KMG",
+    city: "Kunming",
+    name: "Kunming Changshui",
+    lat: 25.1019,
+    lon: 102.9292,
+  },
+  {
+    code: "TPE",
+    city: "Taipei",
+    name: "Taipei Taoyuan",
+    lat: 25.0797,
+    lon: 121.2342,
+  },
+  {
+    code: "TSA",
+    city: "Taipei",
+    name: "Taipei Songshan",
+    lat: 25.0694,
+    lon: 121.5525,
+  },
+  {
+    code: "RMQ",
+    city: "Taichung",
+    name: "Taichung",
+    lat: 24.2647,
+    lon: 120.6208,
+  },
+  {
+    code: "KHH",
+    city: "Kaohsiung",
+    name: "Kaohsiung",
+    lat: 22.5771,
+    lon: 120.35,
+  },
+  {
+    code: "NRT",
+    city: "Tokyo",
+    name: "Tokyo Narita",
+    lat: 35.772,
+    lon: 140.3929,
+  },
+  {
+    code: "HND",
+    city: "Tokyo",
+    name: "Tokyo Haneda",
+    lat: 35.5494,
+    lon: 139.7798,
+  },
+  {
+    code: "KIX",
+    city: "Osaka",
+    name: "Osaka Kansai",
+    lat: 34.4347,
+    lon: 135.244,
+  },
+  {
+    code: "NGO",
+    city: "Nagoya",
+    name: "Nagoya Chubu Centrair",
+    lat: 34.8584,
+    lon: 136.8054,
+  },
+  { code: "FUK", city: "Fukuoka", name: "Fukuoka", lat: 33.5859, lon: 130.451 },
+  {
+    code: "KOJ",
+    city: "Kagoshima",
+    name: "Kagoshima",
+    lat: 31.8034,
+    lon: 130.7194,
+  },
+  { code: "OKA", city: "Okinawa", name: "Naha", lat: 26.1958, lon: 127.6459 },
+  {
+    code: "CTS",
+    city: "Sapporo",
+    name: "New Chitose",
+    lat: 42.7752,
+    lon: 141.6923,
+  },
+  {
+    code: "ICN",
+    city: "Seoul",
+    name: "Seoul Incheon",
+    lat: 37.4602,
+    lon: 126.4407,
+  },
+  {
+    code: "GMP",
+    city: "Seoul",
+    name: "Seoul Gimpo",
+    lat: 37.5583,
+    lon: 126.7906,
+  },
+  {
+    code: "PUS",
+    city: "Busan",
+    name: "Busan Gimhae",
+    lat: 35.1795,
+    lon: 128.9382,
+  },
+  { code: "CJU", city: "Jeju", name: "Jeju", lat: 33.5113, lon: 126.493 },
+  {
+    code: "UBN",
+    city: "Ulaanbaatar",
+    name: "Chinggis Khaan",
+    lat: 47.6469,
+    lon: 106.8197,
+  },
+  {
+    code: "MNL",
+    city: "Manila",
+    name: "Manila Ninoy Aquino",
+    lat: 14.5086,
+    lon: 121.0194,
+  },
+  { code: "CRK", city: "Clark", name: "Clark", lat: 15.186, lon: 120.5603 },
+  {
+    code: "CEB",
+    city: "Cebu",
+    name: "Mactan-Cebu",
+    lat: 10.3075,
+    lon: 123.9794,
+  },
+  { code: "ILO", city: "Iloilo", name: "Iloilo", lat: 10.833, lon: 122.4934 },
+  {
+    code: "DVO",
+    city: "Davao",
+    name: "Davao Francisco Bangoy",
+    lat: 7.1255,
+    lon: 125.6458,
+  },
+  {
+    code: "BKK",
+    city: "Bangkok",
+    name: "Bangkok Suvarnabhumi",
+    lat: 13.69,
+    lon: 100.7501,
+  },
+  {
+    code: "DMK",
+    city: "Bangkok",
+    name: "Bangkok Don Mueang",
+    lat: 13.9126,
+    lon: 100.6068,
+  },
+  { code: "HKT", city: "Phuket", name: "Phuket", lat: 8.1132, lon: 98.3169 },
+  {
+    code: "CNX",
+    city: "Chiang Mai",
+    name: "Chiang Mai",
+    lat: 18.7668,
+    lon: 98.9626,
+  },
+  { code: "USM", city: "Koh Samui", name: "Samui", lat: 9.5478, lon: 100.0623 },
+  {
+    code: "SGN",
+    city: "Ho Chi Minh City",
+    name: "Tan Son Nhat",
+    lat: 10.8188,
+    lon: 106.652,
+  },
+  { code: "HAN", city: "Hanoi", name: "Noi Bai", lat: 21.2212, lon: 105.8072 },
+  {
+    code: "DAD",
+    city: "Da Nang",
+    name: "Da Nang",
+    lat: 16.0439,
+    lon: 108.1994,
+  },
+  {
+    code: "PNH",
+    city: "Phnom Penh",
+    name: "Phnom Penh",
+    lat: 11.5466,
+    lon: 104.8441,
+  },
+  {
+    code: "REP",
+    city: "Siem Reap",
+    name: "Siem Reap-Angkor",
+    lat: 13.3708,
+    lon: 104.2237,
+  },
+  {
+    code: "VTE",
+    city: "Vientiane",
+    name: "Wattay",
+    lat: 17.9883,
+    lon: 102.5633,
+  },
+  { code: "RGN", city: "Yangon", name: "Yangon", lat: 16.9073, lon: 96.1332 },
+  {
+    code: "SIN",
+    city: "Singapore",
+    name: "Singapore Changi",
+    lat: 1.3644,
+    lon: 103.9915,
+  },
+  {
+    code: "KUL",
+    city: "Kuala Lumpur",
+    name: "Kuala Lumpur International",
+    lat: 2.7456,
+    lon: 101.7099,
+  },
+  { code: "PEN", city: "Penang", name: "Penang", lat: 5.2971, lon: 100.2769 },
+  {
+    code: "BKI",
+    city: "Kota Kinabalu",
+    name: "Kota Kinabalu",
+    lat: 5.9372,
+    lon: 116.0515,
+  },
+  { code: "KCH", city: "Kuching", name: "Kuching", lat: 1.4847, lon: 110.3469 },
+  {
+    code: "BWN",
+    city: "Bandar Seri Begawan",
+    name: "Brunei",
+    lat: 4.9442,
+    lon: 114.9284,
+  },
+  {
+    code: "CGK",
+    city: "Jakarta",
+    name: "Soekarno-Hatta",
+    lat: -6.1256,
+    lon: 106.6559,
+  },
+  {
+    code: "DPS",
+    city: "Denpasar",
+    name: "Bali Ngurah Rai",
+    lat: -8.7482,
+    lon: 115.1672,
+  },
+  {
+    code: "SUB",
+    city: "Surabaya",
+    name: "Juanda",
+    lat: -7.3798,
+    lon: 112.7868,
+  },
+  {
+    code: "DEL",
+    city: "Delhi",
+    name: "Indira Gandhi",
+    lat: 28.5562,
+    lon: 77.1,
+  },
+  {
+    code: "BOM",
+    city: "Mumbai",
+    name: "Chhatrapati Shivaji Maharaj",
+    lat: 19.0896,
+    lon: 72.8656,
+  },
+  {
+    code: "BLR",
+    city: "Bengaluru",
+    name: "Kempegowda",
+    lat: 13.1986,
+    lon: 77.7066,
+  },
+  { code: "MAA", city: "Chennai", name: "Chennai", lat: 12.9941, lon: 80.1709 },
+  {
+    code: "HYD",
+    city: "Hyderabad",
+    name: "Rajiv Gandhi",
+    lat: 17.2403,
+    lon: 78.4294,
+  },
+  {
+    code: "CCU",
+    city: "Kolkata",
+    name: "Netaji Subhas Chandra Bose",
+    lat: 22.6547,
+    lon: 88.4467,
+  },
+  {
+    code: "DAC",
+    city: "Dhaka",
+    name: "Hazrat Shahjalal",
+    lat: 23.8433,
+    lon: 90.3978,
+  },
+  {
+    code: "KTM",
+    city: "Kathmandu",
+    name: "Tribhuvan",
+    lat: 27.6966,
+    lon: 85.3591,
+  },
+  {
+    code: "CMB",
+    city: "Colombo",
+    name: "Bandaranaike",
+    lat: 7.1808,
+    lon: 79.8841,
+  },
+  { code: "MLE", city: "Malé", name: "Velana", lat: 4.1918, lon: 73.529 },
+  { code: "KHI", city: "Karachi", name: "Jinnah", lat: 24.9065, lon: 67.1608 },
+  {
+    code: "DXB",
+    city: "Dubai",
+    name: "Dubai International",
+    lat: 25.2532,
+    lon: 55.3657,
+  },
+  { code: "SHJ", city: "Sharjah", name: "Sharjah", lat: 25.3286, lon: 55.5172 },
+  {
+    code: "AUH",
+    city: "Abu Dhabi",
+    name: "Abu Dhabi",
+    lat: 24.433,
+    lon: 54.6511,
+  },
+  { code: "DOH", city: "Doha", name: "Hamad", lat: 25.2731, lon: 51.6081 },
+  { code: "BAH", city: "Bahrain", name: "Bahrain", lat: 26.2708, lon: 50.6336 },
+  { code: "MCT", city: "Muscat", name: "Muscat", lat: 23.5933, lon: 58.2844 },
+  { code: "KWI", city: "Kuwait", name: "Kuwait", lat: 29.2266, lon: 47.9689 },
+  {
+    code: "RUH",
+    city: "Riyadh",
+    name: "King Khalid",
+    lat: 24.9576,
+    lon: 46.6988,
+  },
+  {
+    code: "JED",
+    city: "Jeddah",
+    name: "King Abdulaziz",
+    lat: 21.6796,
+    lon: 39.1565,
+  },
+  {
+    code: "TLV",
+    city: "Tel Aviv",
+    name: "Ben Gurion",
+    lat: 32.0055,
+    lon: 34.8854,
+  },
+  {
+    code: "IST",
+    city: "Istanbul",
+    name: "Istanbul",
+    lat: 41.2753,
+    lon: 28.7519,
+  },
+  { code: "CAI", city: "Cairo", name: "Cairo", lat: 30.1219, lon: 31.4056 },
+  { code: "ADD", city: "Addis Ababa", name: "Bole", lat: 8.9779, lon: 38.7993 },
+  {
+    code: "NBO",
+    city: "Nairobi",
+    name: "Jomo Kenyatta",
+    lat: -1.3192,
+    lon: 36.9278,
+  },
+  {
+    code: "JNB",
+    city: "Johannesburg",
+    name: "O. R. Tambo",
+    lat: -26.1392,
+    lon: 28.246,
+  },
+  {
+    code: "MRU",
+    city: "Mauritius",
+    name: "Sir Seewoosagur Ramgoolam",
+    lat: -20.4302,
+    lon: 57.6836,
+  },
+  {
+    code: "LHR",
+    city: "London",
+    name: "London Heathrow",
+    lat: 51.47,
+    lon: -0.4543,
+  },
+  {
+    code: "MAN",
+    city: "Manchester",
+    name: "Manchester",
+    lat: 53.3537,
+    lon: -2.275,
+  },
+  {
+    code: "CDG",
+    city: "Paris",
+    name: "Paris Charles de Gaulle",
+    lat: 49.0097,
+    lon: 2.5479,
+  },
+  {
+    code: "AMS",
+    city: "Amsterdam",
+    name: "Amsterdam Schiphol",
+    lat: 52.3105,
+    lon: 4.7683,
+  },
+  {
+    code: "BRU",
+    city: "Brussels",
+    name: "Brussels",
+    lat: 50.9014,
+    lon: 4.4844,
+  },
+  { code: "LGG", city: "Liège", name: "Liège", lat: 50.6374, lon: 5.4432 },
+  {
+    code: "FRA",
+    city: "Frankfurt",
+    name: "Frankfurt",
+    lat: 50.0379,
+    lon: 8.5622,
+  },
+  { code: "MUC", city: "Munich", name: "Munich", lat: 48.3537, lon: 11.775 },
+  {
+    code: "LEJ",
+    city: "Leipzig",
+    name: "Leipzig/Halle",
+    lat: 51.4324,
+    lon: 12.2416,
+  },
+  { code: "ZRH", city: "Zurich", name: "Zurich", lat: 47.4582, lon: 8.5555 },
+  {
+    code: "MXP",
+    city: "Milan",
+    name: "Milan Malpensa",
+    lat: 45.6306,
+    lon: 8.7281,
+  },
+  {
+    code: "FCO",
+    city: "Rome",
+    name: "Rome Fiumicino",
+    lat: 41.8003,
+    lon: 12.2389,
+  },
+  { code: "VIE", city: "Vienna", name: "Vienna", lat: 48.1103, lon: 16.5697 },
+  {
+    code: "BUD",
+    city: "Budapest",
+    name: "Budapest",
+    lat: 47.4298,
+    lon: 19.2611,
+  },
+  {
+    code: "CPH",
+    city: "Copenhagen",
+    name: "Copenhagen",
+    lat: 55.618,
+    lon: 12.6508,
+  },
+  {
+    code: "HEL",
+    city: "Helsinki",
+    name: "Helsinki",
+    lat: 60.3172,
+    lon: 24.9633,
+  },
+  {
+    code: "MAD",
+    city: "Madrid",
+    name: "Madrid Barajas",
+    lat: 40.4983,
+    lon: -3.5676,
+  },
+  {
+    code: "BCN",
+    city: "Barcelona",
+    name: "Barcelona El Prat",
+    lat: 41.2974,
+    lon: 2.0833,
+  },
+  {
+    code: "SVO",
+    city: "Moscow",
+    name: "Moscow Sheremetyevo",
+    lat: 55.9726,
+    lon: 37.4146,
+  },
+  { code: "ALA", city: "Almaty", name: "Almaty", lat: 43.3521, lon: 77.0405 },
+  {
+    code: "ANC",
+    city: "Anchorage",
+    name: "Ted Stevens Anchorage",
+    lat: 61.1743,
+    lon: -149.9962,
+  },
+  {
+    code: "YVR",
+    city: "Vancouver",
+    name: "Vancouver",
+    lat: 49.1967,
+    lon: -123.1815,
+  },
+  {
+    code: "SEA",
+    city: "Seattle",
+    name: "Seattle-Tacoma",
+    lat: 47.4502,
+    lon: -122.3088,
+  },
+  {
+    code: "SFO",
+    city: "San Francisco",
+    name: "San Francisco",
+    lat: 37.6213,
+    lon: -122.379,
+  },
+  {
+    code: "LAX",
+    city: "Los Angeles",
+    name: "Los Angeles",
+    lat: 33.9416,
+    lon: -118.4085,
+  },
+  {
+    code: "ONT",
+    city: "Ontario",
+    name: "Ontario",
+    lat: 34.056,
+    lon: -117.6012,
+  },
+  {
+    code: "DFW",
+    city: "Dallas",
+    name: "Dallas/Fort Worth",
+    lat: 32.8998,
+    lon: -97.0403,
+  },
+  {
+    code: "ORD",
+    city: "Chicago",
+    name: "Chicago O'Hare",
+    lat: 41.9742,
+    lon: -87.9073,
+  },
+  {
+    code: "MEM",
+    city: "Memphis",
+    name: "Memphis",
+    lat: 35.0424,
+    lon: -89.9767,
+  },
+  {
+    code: "SDF",
+    city: "Louisville",
+    name: "Louisville Muhammad Ali",
+    lat: 38.1744,
+    lon: -85.736,
+  },
+  {
+    code: "CVG",
+    city: "Cincinnati",
+    name: "Cincinnati/Northern Kentucky",
+    lat: 39.0488,
+    lon: -84.6678,
+  },
+  {
+    code: "YYZ",
+    city: "Toronto",
+    name: "Toronto Pearson",
+    lat: 43.6777,
+    lon: -79.6248,
+  },
+  {
+    code: "JFK",
+    city: "New York",
+    name: "New York JFK",
+    lat: 40.6413,
+    lon: -73.7781,
+  },
+  {
+    code: "EWR",
+    city: "New York",
+    name: "Newark Liberty",
+    lat: 40.6895,
+    lon: -74.1745,
+  },
+  {
+    code: "BOS",
+    city: "Boston",
+    name: "Boston Logan",
+    lat: 42.3656,
+    lon: -71.0096,
+  },
+  {
+    code: "IAD",
+    city: "Washington",
+    name: "Washington Dulles",
+    lat: 38.9531,
+    lon: -77.4565,
+  },
+  { code: "MIA", city: "Miami", name: "Miami", lat: 25.7959, lon: -80.287 },
+  {
+    code: "MEX",
+    city: "Mexico City",
+    name: "Mexico City",
+    lat: 19.4361,
+    lon: -99.0719,
+  },
+  {
+    code: "HNL",
+    city: "Honolulu",
+    name: "Daniel K. Inouye",
+    lat: 21.3187,
+    lon: -157.9225,
+  },
+  {
+    code: "GUM",
+    city: "Guam",
+    name: "Antonio B. Won Pat",
+    lat: 13.4834,
+    lon: 144.796,
+  },
+  { code: "SPN", city: "Saipan", name: "Saipan", lat: 15.119, lon: 145.729 },
+  {
+    code: "POM",
+    city: "Port Moresby",
+    name: "Jacksons",
+    lat: -9.4434,
+    lon: 147.22,
+  },
+  {
+    code: "SYD",
+    city: "Sydney",
+    name: "Sydney Kingsford Smith",
+    lat: -33.9399,
+    lon: 151.1753,
+  },
+  {
+    code: "MEL",
+    city: "Melbourne",
+    name: "Melbourne Tullamarine",
+    lat: -37.669,
+    lon: 144.841,
+  },
+  {
+    code: "BNE",
+    city: "Brisbane",
+    name: "Brisbane",
+    lat: -27.3842,
+    lon: 153.1175,
+  },
+  {
+    code: "OOL",
+    city: "Gold Coast",
+    name: "Gold Coast",
+    lat: -28.1644,
+    lon: 153.5047,
+  },
+  { code: "CNS", city: "Cairns", name: "Cairns", lat: -16.8858, lon: 145.7552 },
+  {
+    code: "ADL",
+    city: "Adelaide",
+    name: "Adelaide",
+    lat: -34.945,
+    lon: 138.5306,
+  },
+  { code: "PER", city: "Perth", name: "Perth", lat: -31.9403, lon: 115.9669 },
+  { code: "DRW", city: "Darwin", name: "Darwin", lat: -12.4147, lon: 130.877 },
+  {
+    code: "AKL",
+    city: "Auckland",
+    name: "Auckland",
+    lat: -37.0082,
+    lon: 174.785,
+  },
+  {
+    code: "CHC",
+    city: "Christchurch",
+    name: "Christchurch",
+    lat: -43.4894,
+    lon: 172.5322,
+  },
+  { code: "NAN", city: "Nadi", name: "Nadi", lat: -17.7554, lon: 177.4431 },
+];
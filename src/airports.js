@@ -0,0 +1,186 @@
+/**
+ * Registry of the airports the visualisation can be centered on.
+ *
+ * Each airport has its IATA code, name, coordinates, the IANA timezone used by
+ * the clock, and the camera preset used for the initial view and the home button.
+ */
+
+const TOP_DOWN_ORIENTATION = {
+  heading: 0.0,
+  pitch: -Cesium.Math.PI_OVER_TWO,
+  roll: 0.0,
+};
+
+/**
+ * Creates an airport registry entry, by default with a top-down camera centered on the airport
+ * @param {Object} airport - The airport
+ * @param {string} airport.code - IATA code of the airport
+ * @param {string} airport.name - Name of the airport
+ * @param {number} airport.latitude - Latitude in degrees
+ * @param {number} airport.longitude - Longitude in degrees
+ * @param {string} airport.timezone - IANA timezone of the airport (e.g., "Asia/Hong_Kong")
+ * @param {Object} airport.camera - Optional overrides for the camera preset
+ * @returns {Object} The airport registry entry
+ */
+function createAirport({ camera = {}, ...airport }) {
+  return {
+    ...airport,
+    camera: {
+      longitude: airport.longitude,
+      latitude: airport.latitude,
+      altitude: 150_000,
+      orientation: TOP_DOWN_ORIENTATION,
+      ...camera,
+    },
+  };
+}
+
+export const DEFAULT_AIRPORT_CODE = "HKG";
+
+const airportList = [
+  // Hong Kong camera is centered on the city instead of the airport
+  createAirport({
+    code: "HKG",
+    name: "Hong Kong",
+    latitude: 22.308,
+    longitude: 113.9185,
+    timezone: "Asia/Hong_Kong",
+    camera: { longitude: 114.1095, latitude: 22.3964 },
+  }),
+  createAirport({
+    code: "TPE",
+    name: "Taipei Taoyuan",
+    latitude: 25.0797,
+    longitude: 121.2342,
+    timezone: "Asia/Taipei",
+  }),
+  createAirport({
+    code: "SIN",
+    name: "Singapore Changi",
+    latitude: 1.3644,
+    longitude: 103.9915,
+    timezone: "Asia/Singapore",
+  }),
+  createAirport({
+    code: "NRT",
+    name: "Tokyo Narita",
+    latitude: 35.772,
+    longitude: 140.3929,
+    timezone: "Asia/Tokyo",
+  }),
+  createAirport({
+    code: "HND",
+    name: "Tokyo Haneda",
+    latitude: 35.5494,
+    longitude: 139.7798,
+    timezone: "Asia/Tokyo",
+  }),
+  createAirport({
+    code: "ICN",
+    name: "Seoul Incheon",
+    latitude: 37.4602,
+    longitude: 126.4407,
+    timezone: "Asia/Seoul",
+  }),
+  createAirport({
+    code: "BKK",
+    name: "Bangkok Suvarnabhumi",
+    latitude: 13.69,
+    longitude: 100.7501,
+    timezone: "Asia/Bangkok",
+  }),
+  createAirport({
+    code: "PEK",
+    name: "Beijing Capital",
+    latitude: 40.0799,
+    longitude: 116.6031,
+    timezone: "Asia/Shanghai",
+  }),
+  createAirport({
+    code: "PVG",
+    name: "Shanghai Pudong",
+    latitude: 31.1443,
+    longitude: 121.8083,
+    timezone: "Asia/Shanghai",
+  }),
+  createAirport({
+    code: "DXB",
+    name: "Dubai",
+    latitude: 25.2532,
+    longitude: 55.3657,
+    timezone: "Asia/Dubai",
+  }),
+  createAirport({
+    code: "HEL",
+    name: "Helsinki",
+    latitude: 60.3172,
+    longitude: 24.9633,
+    timezone: "Europe/Helsinki",
+  }),
+  createAirport({
+    code: "LHR",
+    name: "London Heathrow",
+    latitude: 51.47,
+    longitude: -0.4543,
+    timezone: "Europe/London",
+  }),
+  createAirport({
+    code: "CDG",
+    name: "Paris Charles de Gaulle",
+    latitude: 49.0097,
+    longitude: 2.5479,
+    timezone: "Europe/Paris",
+  }),
+  createAirport({
+    code: "FRA",
+    name: "Frankfurt",
+    latitude: 50.0379,
+    longitude: 8.5622,
+    timezone: "Europe/Berlin",
+  }),
+  createAirport({
+    code: "JFK",
+    name: "New York JFK",
+    latitude: 40.6413,
+    longitude: -73.7781,
+    timezone: "America/New_York",
+  }),
+  createAirport({
+    code: "LAX",
+    name: "Los Angeles",
+    latitude: 33.9416,
+    longitude: -118.4085,
+    timezone: "America/Los_Angeles",
+  }),
+  createAirport({
+    code: "SFO",
+    name: "San Francisco",
+    latitude: 37.6213,
+    longitude: -122.379,
+    timezone: "America/Los_Angeles",
+  }),
+  createAirport({
+    code: "SYD",
+    name: "Sydney",
+    latitude: -33.9399,
+    longitude: 151.1753,
+    timezone: "Australia/Sydney",
+  }),
+];
+
+export const AIRPORTS = Object.fromEntries(
+  airportList.map((airport) => [airport.code, airport]),
+);
+
+/**
+ * Gets an airport from the registry
+ * @param {string} code - IATA code of the airport, case insensitive
+ * @returns {Object} The airport registry entry
+ */
+export function getAirport(code) {
+  const airport = AIRPORTS[code.toUpperCase()];
+  if (!airport) {
+    throw new Error(`Unknown airport: ${code}`);
+  }
+  return airport;
+}
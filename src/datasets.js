@@ -0,0 +1,104 @@
+/**
+ * Selection of the airport and dataset to visualise, based on the page URL and
+ * the datasets listed in the dataset manifest.
+ */
+import { DEFAULT_AIRPORT_CODE, getAirport } from "./airports.js";
+import {
+  createComparison,
+  getLocalDate,
+  parseComparisonDates,
+} from "./dayComparison.js";
+
+/**
+ * Gets a dataset by its id
+ * @param {Object[]} datasets - The datasets of the manifest
+ * @param {string} id - The id of the dataset
+ * @returns {Object} The dataset
+ */
+export function getDataset(datasets, id) {
+  const dataset = datasets.find((candidate) => candidate.id === id);
+  if (!dataset) {
+    throw new Error(`Unknown dataset: ${id}`);
+  }
+  return dataset;
+}
+
+/**
+ * Gets the default dataset of an airport, optionally the one covering a given date
+ * @param {Object[]} datasets - The datasets of the manifest
+ * @param {Object} airport - The airport
+ * @param {string|null} date - Optional date as YYYY-MM-DD, in the airport's local time
+ * @returns {Object|null} The dataset, or null if there is no data for the airport
+ */
+export function getDefaultDataset(datasets, airport, date = null) {
+  const airportDatasets = datasets.filter(
+    (dataset) => dataset.airport === airport.code,
+  );
+  if (!date) {
+    return airportDatasets[0] || null;
+  }
+
+  return (
+    airportDatasets.find(
+      (dataset) =>
+        getLocalDate(dataset.startTime, airport.timezone) <= date &&
+        getLocalDate(dataset.endTime, airport.timezone) >= date,
+    ) || null
+  );
+}
+
+/**
+ * Selects the airport and dataset to visualise from URL parameters.
+ * `?dataset=<id>` selects a dataset and its airport, `?airport=<IATA>` selects
+ * an airport and its default dataset, and `?date=<YYYY-MM-DD>` picks the dataset
+ * of the airport covering that date. Without parameters the default airport is used.
+ * @param {URLSearchParams} searchParams - The URL parameters of the page
+ * @param {Object[]} datasets - The datasets of the manifest
+ * @returns {{airport: Object, dataset: Object|null}} The selected airport and dataset
+ */
+export function selectAirportAndDataset(searchParams, datasets) {
+  const datasetId = searchParams.get("dataset");
+  if (datasetId) {
+    const dataset = getDataset(datasets, datasetId);
+    return { airport: getAirport(dataset.airport), dataset };
+  }
+
+  const airport = getAirport(
+    searchParams.get("airport") || DEFAULT_AIRPORT_CODE,
+  );
+  return {
+    airport,
+    dataset: getDefaultDataset(datasets, airport, searchParams.get("date")),
+  };
+}
+
+/**
+ * Selects the days to compare from the `?compare=<YYYY-MM-DD>,<YYYY-MM-DD>` URL
+ * parameter, each with the dataset of the airport covering it. The days are
+ * aligned by local time of day onto the first of them (see dayComparison.js).
+ * Days without data are left out.
+ * @param {URLSearchParams} searchParams - The URL parameters of the page
+ * @param {Object[]} datasets - The datasets of the manifest
+ * @param {Object} airport - The selected airport
+ * @returns {Object|null} The comparison, or null if no days with data are compared
+ */
+export function selectComparison(searchParams, datasets, airport) {
+  if (!searchParams.get("compare")) {
+    return null;
+  }
+
+  const entries = parseComparisonDates(searchParams.get("compare"))
+    .map((date) => ({
+      date,
+      dataset: getDefaultDataset(datasets, airport, date),
+    }))
+    .filter(({ date, dataset }) => {
+      if (!dataset) {
+        console.warn(`No flight data for ${airport.code} on ${date}`);
+      }
+      return dataset !== null;
+    });
+  return entries.length > 0
+    ? createComparison(entries, airport.timezone)
+    : null;
+}
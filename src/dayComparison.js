@@ -0,0 +1,237 @@
+/**
+ * Day-over-day comparison of flights.
+ *
+ * Flights belong to the day they depart on, in the local time of the airport.
+ * To compare days, the flights of every day are shifted onto the first day of
+ * the comparison, keeping their local time of day, so the timeline plays the
+ * days side by side rather than end to end. The shift is between the local
+ * midnights of the days, so it stays right across daylight saving changes.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parses the dates of a comparison, e.g. the `?compare=` URL parameter
+ * @param {string} value - Comma separated dates as YYYY-MM-DD
+ * @returns {string[]} The dates, without duplicates and in the given order
+ */
+export function parseComparisonDates(value) {
+  const dates = value
+    .split(",")
+    .map((date) => date.trim())
+    .filter(Boolean);
+  dates.forEach((date) => {
+    // Date.parse rolls over days past the end of the month, e.g. 2025-02-30
+    if (
+      !DATE_PATTERN.test(date) ||
+      Number.isNaN(Date.parse(date)) ||
+      new Date(date).toISOString().slice(0, 10) !== date
+    ) {
+      throw new Error(`Invalid comparison date: ${date}`);
+    }
+  });
+  return Array.from(new Set(dates));
+}
+
+/**
+ * Gets the local date of a time in a timezone
+ * @param {Date|string} date - The time
+ * @param {string} timezone - The timezone, e.g. "Asia/Hong_Kong"
+ * @returns {string} The date as YYYY-MM-DD
+ */
+export function getLocalDate(date, timezone) {
+  // The Canadian English format is YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+}
+
+/**
+ * Gets the offset of a timezone from UTC at a time
+ * @param {Date} date - The time
+ * @param {string} timezone - The timezone
+ * @returns {number} The offset in milliseconds, positive east of UTC
+ */
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)]),
+  );
+  const localAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Gets the time of the local midnight starting a date
+ * @param {string} localDate - The date as YYYY-MM-DD
+ * @param {string} timezone - The timezone
+ * @returns {Date} The time of the midnight
+ */
+export function getLocalMidnight(localDate, timezone) {
+  const utcMidnight = Date.parse(`${localDate}T00:00:00Z`);
+  // The offset at the midnight itself may differ from the UTC midnight around a daylight saving change
+  const guess =
+    utcMidnight - getTimezoneOffsetMs(new Date(utcMidnight), timezone);
+  return new Date(utcMidnight - getTimezoneOffsetMs(new Date(guess), timezone));
+}
+
+/**
+ * Creates a day of departures
+ * @param {string} localDate - The date as YYYY-MM-DD
+ * @param {string} timezone - The timezone of the airport
+ * @param {string|null} referenceDate - The date the day is shifted onto, or null to keep its times
+ * @returns {Object} The day with its date, label and the shift of its times in milliseconds
+ */
+export function createDay(localDate, timezone, referenceDate = null) {
+  const weekday = new Intl.DateTimeFormat("en-US", {
+    timeZone: "UTC",
+    weekday: "short",
+  }).format(new Date(`${localDate}T12:00:00Z`));
+  return {
+    date: localDate,
+    label: `${localDate} (${weekday})`,
+    offsetMs: referenceDate
+      ? getLocalMidnight(referenceDate, timezone) -
+        getLocalMidnight(localDate, timezone)
+      : 0,
+  };
+}
+
+/**
+ * Creates a comparison of days, shifted onto the first of them
+ * @param {Object[]} entries - The compared days, each with its date as YYYY-MM-DD and the dataset covering it
+ * @param {string} timezone - The timezone of the airport
+ * @returns {Object} The comparison with its timezone and days, each day with its dataset
+ */
+export function createComparison(entries, timezone) {
+  if (entries.length === 0) {
+    throw new Error("A comparison needs at least one day");
+  }
+  const referenceDate = entries[0].date;
+  return {
+    timezone,
+    days: entries.map(({ date, dataset }) => ({
+      ...createDay(date, timezone, referenceDate),
+      dataset,
+    })),
+  };
+}
+
+/**
+ * Gets the day a flight departs on
+ * @param {Object} flightData - The flight data, as in the JSON data files
+ * @param {string} timezone - The timezone of the airport
+ * @param {Object|null} comparison - The comparison, or null to use the flight's own day
+ * @returns {Object|null} The day, or null if the flight has no tracks or departs on a day
+ * that is not compared
+ */
+export function getFlightDay(flightData, timezone, comparison = null) {
+  const tracks = flightData[0].tracks;
+  if (!tracks || tracks.length === 0) {
+    return null;
+  }
+  const localDate = getLocalDate(tracks[0].timestamp, timezone);
+  if (!comparison) {
+    return createDay(localDate, timezone);
+  }
+  return comparison.days.find((day) => day.date === localDate) || null;
+}
+
+/**
+ * Shifts a time onto the reference day of a comparison
+ * @param {Date|string} date - The time
+ * @param {Object} day - The day of the time
+ * @returns {Date} The shifted time
+ */
+export function alignTime(date, day) {
+  return new Date(new Date(date).getTime() + day.offsetMs);
+}
+
+/**
+ * Shifts the track timestamps of a flight onto the reference day of a comparison
+ * @param {Object} flightData - The flight data, as in the JSON data files
+ * @param {Object} day - The day the flight departs on
+ * @returns {Object} The flight data with shifted timestamps, or the same data if the day is not shifted
+ */
+export function alignFlightData(flightData, day) {
+  if (day.offsetMs === 0) {
+    return flightData;
+  }
+  return flightData.map((flight) => ({
+    ...flight,
+    tracks: flight.tracks.map((track) => ({
+      ...track,
+      timestamp: alignTime(track.timestamp, day).toISOString(),
+    })),
+  }));
+}
+
+/**
+ * Shifts the track points of a flight of a compared day back to their real times
+ * @param {Object[]} tracks - The shifted track points
+ * @param {Object|null} day - The day the flight departs on, or null if it is not shifted
+ * @returns {Object[]} The track points at their real times
+ */
+export function getRealTracks(tracks, day) {
+  if (!day || day.offsetMs === 0) {
+    return tracks;
+  }
+  const realDay = { ...day, offsetMs: -day.offsetMs };
+  return tracks.map((track) => ({
+    ...track,
+    timestamp: alignTime(track.timestamp, realDay).toISOString(),
+  }));
+}
+
+/**
+ * Gets the files to load for a comparison: the files of the compared datasets
+ * departing on a compared day, with their times shifted onto the reference day.
+ * A packed file belongs to the day of its first flight, its other flights are
+ * assigned to their days once loaded (see getFlightDay).
+ * @param {Object} comparison - The comparison
+ * @returns {Object[]} File entries with the URL of the file as name and the shifted start and end times
+ */
+export function getComparisonFiles(comparison) {
+  // Several days may come from the same dataset
+  const datasets = Array.from(
+    new Set(comparison.days.map((day) => day.dataset)),
+  );
+  return datasets.flatMap((dataset) =>
+    dataset.files.flatMap((file) => {
+      const localDate = getLocalDate(file.startTime, comparison.timezone);
+      const day = comparison.days.find(
+        (candidate) => candidate.date === localDate,
+      );
+      if (!day) {
+        return [];
+      }
+      return [
+        {
+          name: `${dataset.basePath}${file.name}`,
+          startTime: alignTime(file.startTime, day).toISOString(),
+          endTime: alignTime(file.endTime, day).toISOString(),
+        },
+      ];
+    }),
+  );
+}
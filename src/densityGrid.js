@@ -0,0 +1,131 @@
+/**
+ * Flight density on a latitude/longitude grid.
+ *
+ * The track samples of the flights are binned into grid cells, and each flight
+ * counts once in every cell it passes through, so a cell holds the number of
+ * flights that crossed it regardless of how often their positions were reported.
+ * The grid can be limited to an altitude band to tell the approach and departure
+ * routes apart from the cruise corridors.
+ */
+
+export const ALTITUDE_BANDS = {
+  all: {
+    id: "all",
+    label: "All altitudes",
+    minFeet: -Infinity,
+    maxFeet: Infinity,
+  },
+  low: {
+    id: "low",
+    label: "Below 10,000 ft",
+    minFeet: -Infinity,
+    maxFeet: 10_000,
+  },
+  middle: {
+    id: "middle",
+    label: "10,000–25,000 ft",
+    minFeet: 10_000,
+    maxFeet: 25_000,
+  },
+  high: {
+    id: "high",
+    label: "Above 25,000 ft",
+    minFeet: 25_000,
+    maxFeet: Infinity,
+  },
+};
+
+export const DEFAULT_ALTITUDE_BAND_ID = "all";
+
+// Size of the grid cells in degrees
+export const DEFAULT_CELL_DEGREES = 0.2;
+
+/**
+ * Gets an altitude band by id
+ * @param {string} id - Id of the altitude band
+ * @returns {Object} The altitude band
+ */
+export function getAltitudeBand(id) {
+  const band = ALTITUDE_BANDS[id];
+  if (!band) {
+    throw new Error(`Unknown altitude band: ${id}`);
+  }
+  return band;
+}
+
+/**
+ * Bins the track samples of flights into a grid covering all the samples
+ * @param {Object[]} flights - Flights with their track points in `tracks`
+ * @param {Object} options - Grid options
+ * @param {number} options.cellDegrees - Size of the grid cells in degrees (default: 0.2)
+ * @param {Object} options.altitudeBand - Only samples in this altitude band are binned (default: all)
+ * @returns {Object|null} The grid with its bounds in degrees, column and row counts, the flight
+ * count of each cell (row by row from the south) and the highest count, or null if no samples are in the band
+ */
+export function binTrackSamples(
+  flights,
+  {
+    cellDegrees = DEFAULT_CELL_DEGREES,
+    altitudeBand = ALTITUDE_BANDS.all,
+  } = {},
+) {
+  // Cells of each flight, as [column, row] of the global grid. Points on the
+  // antimeridian and the north pole belong to the last cells.
+  const lastColumn = Math.ceil(360 / cellDegrees) - 1;
+  const lastRow = Math.ceil(180 / cellDegrees) - 1;
+  const cellsByFlight = flights.map((flight) => {
+    const cells = new Map();
+    flight.tracks.forEach((point) => {
+      if (
+        point.alt < altitudeBand.minFeet ||
+        point.alt >= altitudeBand.maxFeet
+      ) {
+        return;
+      }
+      const column = Math.min(
+        Math.floor((point.lon + 180) / cellDegrees),
+        lastColumn,
+      );
+      const row = Math.min(Math.floor((point.lat + 90) / cellDegrees), lastRow);
+      cells.set(`${column}:${row}`, [column, row]);
+    });
+    return Array.from(cells.values());
+  });
+
+  const allCells = cellsByFlight.flat();
+  if (allCells.length === 0) {
+    return null;
+  }
+  let minColumn = Infinity;
+  let maxColumn = -Infinity;
+  let minRow = Infinity;
+  let maxRow = -Infinity;
+  allCells.forEach(([column, row]) => {
+    minColumn = Math.min(minColumn, column);
+    maxColumn = Math.max(maxColumn, column);
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+  });
+
+  const columns = maxColumn - minColumn + 1;
+  const rows = maxRow - minRow + 1;
+  const counts = new Uint32Array(columns * rows);
+  let maxCount = 0;
+  allCells.forEach(([column, row]) => {
+    const index = (row - minRow) * columns + (column - minColumn);
+    counts[index]++;
+    maxCount = Math.max(maxCount, counts[index]);
+  });
+
+  return {
+    west: minColumn * cellDegrees - 180,
+    south: minRow * cellDegrees - 90,
+    east: (maxColumn + 1) * cellDegrees - 180,
+    north: (maxRow + 1) * cellDegrees - 90,
+    cellDegrees,
+    columns,
+    rows,
+    counts,
+    maxCount,
+  };
+}
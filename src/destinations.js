@@ -0,0 +1,80 @@
+/**
+ * Destinations of the flights.
+ *
+ * The flight data only has the tracks, so the destination of a departure is
+ * inferred from its last track point: the nearest airport of the airport
+ * database (see airportDatabase.js). For arrivals the same lookup on the first
+ * track point gives the airport they came from. A track that ends in the air,
+ * e.g. when the flight left the receiver coverage, or more than 30 km from the
+ * airport still gets the nearest airport within 300 km, but it is marked as not
+ * confident. A track ending farther than that from every airport has no
+ * destination, which the departures board shows as unknown.
+ */
+import { AIRPORT_DATABASE } from "./airportDatabase.js";
+import { getRemotePoint } from "./directions.js";
+import { getDistanceMeters } from "./geoUtils.js";
+
+export const DEFAULT_INFERENCE_OPTIONS = {
+  // Tracks ending further than this from every airport have no destination
+  maxDistanceMeters: 300_000,
+  // Tracks ending higher than this are still in the air
+  landedAltitudeFeet: 5_000,
+  // Tracks ending on the ground closer than this to the airport are confident
+  confidentDistanceMeters: 30_000,
+};
+
+/**
+ * Finds the airport nearest to a point
+ * @param {Object} point - Point with lat and lon
+ * @param {Object[]} airports - The airports to search (default: the airport database)
+ * @returns {{airport: Object, distanceMeters: number}|null} The nearest airport and its
+ * distance, or null if there are no airports
+ */
+export function findNearestAirport(point, airports = AIRPORT_DATABASE) {
+  let nearest = null;
+  airports.forEach((airport) => {
+    const distanceMeters = getDistanceMeters(point, airport);
+    if (!nearest || distanceMeters < nearest.distanceMeters) {
+      nearest = { airport, distanceMeters };
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Infers the airport at the far end of a flight: where a departure is heading
+ * to, or where an arrival is coming from
+ * @param {Object} flight - Flight with tracks and an optional direction
+ * @param {Object} options - Inference options, see DEFAULT_INFERENCE_OPTIONS
+ * @param {Object[]} options.airports - The airports to search (default: the airport database)
+ * @returns {Object|null} The airport, its distance from the track point and whether
+ * the inference is confident, or null if no airport is near enough
+ */
+export function inferDestination(flight, options = {}) {
+  const {
+    maxDistanceMeters,
+    landedAltitudeFeet,
+    confidentDistanceMeters,
+    airports,
+  } = {
+    ...DEFAULT_INFERENCE_OPTIONS,
+    airports: AIRPORT_DATABASE,
+    ...options,
+  };
+  if (flight.tracks.length === 0) {
+    return null;
+  }
+
+  const point = getRemotePoint(flight);
+  const nearest = findNearestAirport(point, airports);
+  if (!nearest || nearest.distanceMeters > maxDistanceMeters) {
+    return null;
+  }
+  return {
+    airport: nearest.airport,
+    distanceMeters: nearest.distanceMeters,
+    confident:
+      point.alt <= landedAltitudeFeet &&
+      nearest.distanceMeters <= confidentDistanceMeters,
+  };
+}
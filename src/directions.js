@@ -0,0 +1,35 @@
+/**
+ * Directions of the flights relative to the airport of a dataset.
+ *
+ * The ids match the `inbound:` and `outbound:` airport filters of the FR24 API,
+ * and buildManifest.ts uses them for the dataset summaries.
+ */
+
+export const DIRECTIONS = {
+  outbound: { id: "outbound", label: "Departures" },
+  inbound: { id: "inbound", label: "Arrivals" },
+};
+
+// Data collected before arrivals were supported only has departures, without a direction
+export const DEFAULT_DIRECTION = DIRECTIONS.outbound.id;
+
+/**
+ * Gets the direction of a flight
+ * @param {Object} flight - A flight with an optional direction, as in the data files
+ * @returns {string} The direction id, "inbound" or "outbound"
+ */
+export function getFlightDirection(flight) {
+  return flight.direction || DEFAULT_DIRECTION;
+}
+
+/**
+ * Gets the track point at the far end of the flight from the airport: where a
+ * departure is heading to, or where an arrival is coming from
+ * @param {Object} flight - Flight with tracks and direction
+ * @returns {Object} The track point
+ */
+export function getRemotePoint(flight) {
+  return getFlightDirection(flight) === DIRECTIONS.inbound.id
+    ? flight.tracks[0]
+    : flight.tracks[flight.tracks.length - 1];
+}
@@ -0,0 +1,16 @@
+/**
+ * Saves a blob as a file through the browser's downloads
+ * @param {Blob} blob - The file contents
+ * @param {string} fileName - Name of the downloaded file
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 10_000);
+}
@@ -1,216 +0,0 @@
-export const jsonFiles = [
-  "39334353.json",
-  "3930f673.json",
-  "39310ddb.json",
-  "39311676.json",
-  "39313ae4.json",
-  "393155b9.json",
-  "3931627f.json",
-  "39317092.json",
-  "3931758f.json",
-  "39318bb4.json",
-  "3931a181.json",
-  "3931a79b.json",
-  "3931ad3d.json",
-  "3931ade7.json",
-  "3931c1e7.json",
-  "3931c7a1.json",
-  "3931cc6a.json",
-  "3931cdd1.json",
-  "3931d5c1.json",
-  "3931ee48.json",
-  "3931f3d9.json",
-  "3931f53e.json",
-  "3931f561.json",
-  "3931fa22.json",
-  "3931fa2b.json",
-  "39320adf.json",
-  "393211f0.json",
-  "393216ad.json",
-  "3932191b.json",
-  "3932240a.json",
-  "393224f8.json",
-  "3932272a.json",
-  "39322b8d.json",
-  "39323086.json",
-  "393230f8.json",
-  "39323ab2.json",
-  "39323bc7.json",
-  "393241fe.json",
-  "39324c04.json",
-  "39324f87.json",
-  "39325caa.json",
-  "39327857.json",
-  "39327877.json",
-  "39327a3d.json",
-  "39329171.json",
-  "3932956d.json",
-  "393298a1.json",
-  "3932a2cb.json",
-  "3932a4d0.json",
-  "3932a95f.json",
-  "3932abaa.json",
-  "3932b61a.json",
-  "3932b7c7.json",
-  "3932baf4.json",
-  "3932be95.json",
-  "3932c0f7.json",
-  "3932c3be.json",
-  "3932c50b.json",
-  "3932c58f.json",
-  "3932cbf2.json",
-  "3932cc7d.json",
-  "3932ce57.json",
-  "3932d31d.json",
-  "3932d9a8.json",
-  "3932d9c6.json",
-  "3932e91c.json",
-  "3932f2b0.json",
-  "3932f48a.json",
-  "3932f64c.json",
-  "3932f92d.json",
-  "3932fbfa.json",
-  "3932fe47.json",
-  "393306bf.json",
-  "393307b7.json",
-  "393316d8.json",
-  "39331a08.json",
-  "393321ff.json",
-  "3933224d.json",
-  "393337ba.json",
-  "39334194.json",
-  "39334353.json",
-  "39334745.json",
-  "39334770.json",
-  "393349d2.json",
-  "39334ea8.json",
-  "393354f5.json",
-  "3933561a.json",
-  "3933b079.json",
-  "3933c704.json",
-  "3933cc64.json",
-  "3933ccfb.json",
-  "3933d06d.json",
-  "3933d1aa.json",
-  "3933d418.json",
-  "3933da0f.json",
-  "3933df7a.json",
-  "3933e0cb.json",
-  "3933e52b.json",
-  "3933e906.json",
-  "3933ebbb.json",
-  "3933ebd9.json",
-  "3933f12e.json",
-  "3933f14a.json",
-  "3933f6c0.json",
-  "3933fc8e.json",
-  "3933fdbc.json",
-  "3934001e.json",
-  "39340090.json",
-  "3934070a.json",
-  "3934091c.json",
-  "39340baf.json",
-  "39340e1c.json",
-  "39340ef3.json",
-  "393413c2.json",
-  "39341600.json",
-  "39341829.json",
-  "393419ac.json",
-  "39341b6d.json",
-  "39341cec.json",
-  "39342071.json",
-  "3934213f.json",
-  "39342238.json",
-  "39342305.json",
-  "39342379.json",
-  "3934281a.json",
-  "39342b34.json",
-  "39343362.json",
-  "39343780.json",
-  "39343b04.json",
-  "39343d4f.json",
-  "39343e8a.json",
-  "39343eb3.json",
-  "39344403.json",
-  "39344bdc.json",
-  "39344da4.json",
-  "39345559.json",
-  "39345f80.json",
-  "393461dd.json",
-  "39346219.json",
-  "3934630a.json",
-  "39346777.json",
-  "39346998.json",
-  "3934708b.json",
-  "39347247.json",
-  "3934726e.json",
-  "39347337.json",
-  "39347581.json",
-  "39347776.json",
-  "393479b0.json",
-  "39347a1f.json",
-  "39347fdf.json",
-  "39348315.json",
-  "39348396.json",
-  "39348514.json",
-  "39348645.json",
-  "39349046.json",
-  "39349272.json",
-  "393495ae.json",
-  "393496ad.json",
-  "39349ccb.json",
-  "39349f60.json",
-  "3934a1dc.json",
-  "3934a57c.json",
-  "3934aa03.json",
-  "3934abf4.json",
-  "3934ad52.json",
-  "3934af10.json",
-  "3934af34.json",
-  "3934b090.json",
-  "3934b1d8.json",
-  "3934b574.json",
-  "3934b9db.json",
-  "3934bab0.json",
-  "3934bc18.json",
-  "3934bea9.json",
-  "3934c0ef.json",
-  "3934c10e.json",
-  "3934c41c.json",
-  "3934c81d.json",
-  "3934c8dd.json",
-  "3934c8f8.json",
-  "3934cb76.json",
-  "3934cd35.json",
-  "3934cd8b.json",
-  "3934cf97.json",
-  "3934d09d.json",
-  "3934d0e0.json",
-  "3934d0fe.json",
-  "3934d6dc.json",
-  "3934dac6.json",
-  "3934db62.json",
-  "3934ddf9.json",
-  "3934de91.json",
-  "3934e2ca.json",
-  "3934e5c2.json",
-  "3934e979.json",
-  "3934f21b.json",
-  "3935054d.json",
-  "3935088c.json",
-  "393509ba.json",
-  "39350da5.json",
-  "39351472.json",
-  "39351f44.json",
-  "3935223a.json",
-  "393522fa.json",
-  "393523dd.json",
-  "393529e3.json",
-  "39352d04.json",
-  "393538b8.json",
-  "39353bb1.json",
-  "393558e3.json",
-  "3935620b.json",
-  "39356ca4.json",
-  "393577f9.json",
-];
\ No newline at end of file
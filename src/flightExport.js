@@ -0,0 +1,322 @@
+/**
+ * Export of flight paths for other tools.
+ *
+ * Flights are written with a position and a timestamp for every track point:
+ *
+ * - CZML, which Cesium replays directly: a time-tagged position, path and point per flight
+ * - KML for Google Earth, a `gx:Track` per flight, which Google Earth can replay with its time slider
+ * - GeoJSON for GIS tools, a LineString per flight with the altitude as third coordinate
+ *   and the timestamps of the vertices in the `coordTimes` property. Flights crossing
+ *   the antimeridian are split into a MultiLineString, as RFC 7946 asks.
+ *
+ * Altitudes are written in meters above sea level. exportFlights.ts writes the
+ * same files from a data directory.
+ */
+import { feetToMeters } from "./conversionUtils.js";
+import { DIRECTIONS, getFlightDirection } from "./directions.js";
+
+export const FLIGHT_EXPORT_FORMATS = {
+  czml: {
+    id: "czml",
+    label: "CZML (Cesium)",
+    extension: "czml",
+    mimeType: "application/json",
+  },
+  kml: {
+    id: "kml",
+    label: "KML (Google Earth)",
+    extension: "kml",
+    mimeType: "application/vnd.google-earth.kml+xml",
+  },
+  geojson: {
+    id: "geojson",
+    label: "GeoJSON",
+    extension: "geojson",
+    mimeType: "application/geo+json",
+  },
+};
+
+// Path colours by direction as RGBA, departures like the default path colour
+const DIRECTION_COLORS = {
+  [DIRECTIONS.outbound.id]: [0, 255, 255, 255],
+  [DIRECTIONS.inbound.id]: [255, 176, 0, 255],
+};
+
+/**
+ * Gets a flight export format by id
+ * @param {string} id - Id of the format
+ * @returns {Object} The format
+ */
+export function getFlightExportFormat(id) {
+  const format = FLIGHT_EXPORT_FORMATS[id];
+  if (!format) {
+    throw new Error(`Unknown flight export format: ${id}`);
+  }
+  return format;
+}
+
+/**
+ * Exports flights into a file
+ * @param {Object[]} flights - Flights with fr24Id, callsign, an optional direction and tracks
+ * @param {string} formatId - Id of the format, see FLIGHT_EXPORT_FORMATS
+ * @param {Object} options - Export options
+ * @param {string} options.name - Name of the exported collection (default: "Flight paths")
+ * @returns {string} The file contents
+ */
+export function exportFlights(
+  flights,
+  formatId,
+  { name = "Flight paths" } = {},
+) {
+  // A path needs at least two points
+  const exported = flights.filter((flight) => flight.tracks.length >= 2);
+  switch (getFlightExportFormat(formatId).id) {
+    case "czml":
+      return JSON.stringify(toCzml(exported, name));
+    case "kml":
+      return toKml(exported, name);
+    case "geojson":
+      return JSON.stringify(toGeoJson(exported, name));
+  }
+}
+
+/**
+ * Gets the name of a flight, its callsign or FR24 id
+ * @param {Object} flight - The flight
+ * @returns {string} The name
+ */
+function getFlightName(flight) {
+  return flight.callsign || String(flight.fr24Id);
+}
+
+/**
+ * Gets the ISO timestamp of a track point
+ * @param {Object} track - The track point
+ * @returns {string} The timestamp as an ISO string
+ */
+function getIsoTime(track) {
+  return new Date(track.timestamp).toISOString();
+}
+
+/**
+ * Gets the altitude of a track point in meters, to a decimeter
+ * @param {Object} track - The track point
+ * @returns {number} The altitude in meters
+ */
+function getAltitudeMeters(track) {
+  return Math.round(feetToMeters(track.alt) * 10) / 10;
+}
+
+/**
+ * Builds the CZML packets of flights. Positions are seconds after the start of
+ * each flight, and the paths trail the whole flight.
+ * @param {Object[]} flights - The flights
+ * @param {string} name - Name of the document
+ * @returns {Object[]} The CZML packets, the document packet first
+ */
+function toCzml(flights, name) {
+  const startTimes = flights.map((flight) =>
+    new Date(flight.tracks[0].timestamp).getTime(),
+  );
+  const endTimes = flights.map((flight) =>
+    new Date(flight.tracks[flight.tracks.length - 1].timestamp).getTime(),
+  );
+  const documentPacket = { id: "document", name, version: "1.0" };
+  if (flights.length > 0) {
+    const start = new Date(Math.min(...startTimes)).toISOString();
+    const end = new Date(Math.max(...endTimes)).toISOString();
+    documentPacket.clock = {
+      interval: `${start}/${end}`,
+      currentTime: start,
+      multiplier: 60,
+      range: "LOOP_STOP",
+      step: "SYSTEM_CLOCK_MULTIPLIER",
+    };
+  }
+
+  return [
+    documentPacket,
+    ...flights.map((flight, i) => {
+      const start = startTimes[i];
+      const rgba = DIRECTION_COLORS[getFlightDirection(flight)];
+      return {
+        id: `flight-${flight.fr24Id}`,
+        name: getFlightName(flight),
+        availability: `${getIsoTime(flight.tracks[0])}/${getIsoTime(flight.tracks[flight.tracks.length - 1])}`,
+        position: {
+          epoch: new Date(start).toISOString(),
+          cartographicDegrees: flight.tracks.flatMap((track) => [
+            (new Date(track.timestamp).getTime() - start) / 1000,
+            track.lon,
+            track.lat,
+            getAltitudeMeters(track),
+          ]),
+        },
+        path: {
+          material: { solidColor: { color: { rgba } } },
+          width: 2,
+          leadTime: 0,
+          trailTime: (endTimes[i] - start) / 1000,
+          resolution: 60,
+        },
+        point: {
+          pixelSize: 6,
+          color: { rgba: [255, 255, 255, 255] },
+          outlineColor: { rgba },
+          outlineWidth: 2,
+        },
+      };
+    }),
+  ];
+}
+
+/**
+ * Escapes text for XML
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats an RGBA colour as a KML colour, which is hex in alpha, blue, green, red order
+ * @param {number[]} rgba - The colour as RGBA
+ * @returns {string} The KML colour
+ */
+function toKmlColor([red, green, blue, alpha]) {
+  return [alpha, blue, green, red]
+    .map((channel) => channel.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Builds a KML document of flights, a placemark with a gx:Track per flight
+ * @param {Object[]} flights - The flights
+ * @param {string} name - Name of the document
+ * @returns {string} The KML document
+ */
+function toKml(flights, name) {
+  const styles = Object.entries(DIRECTION_COLORS).map(
+    ([direction, rgba]) =>
+      `<Style id="${direction}"><LineStyle><color>${toKmlColor(rgba)}</color><width>2</width></LineStyle></Style>`,
+  );
+  const placemarks = flights.map((flight) => {
+    const whens = flight.tracks.map(
+      (track) => `<when>${getIsoTime(track)}</when>`,
+    );
+    const coords = flight.tracks.map(
+      (track) =>
+        `<gx:coord>${track.lon} ${track.lat} ${getAltitudeMeters(track)}</gx:coord>`,
+    );
+    return [
+      "<Placemark>",
+      `<name>${escapeXml(getFlightName(flight))}</name>`,
+      `<description>FR24 ID ${escapeXml(flight.fr24Id)}</description>`,
+      `<styleUrl>#${getFlightDirection(flight)}</styleUrl>`,
+      "<gx:Track>",
+      "<altitudeMode>absolute</altitudeMode>",
+      ...whens,
+      ...coords,
+      "</gx:Track>",
+      "</Placemark>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    "<Document>",
+    `<name>${escapeXml(name)}</name>`,
+    ...styles,
+    ...placemarks,
+    "</Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Splits a track where it crosses the antimeridian. Both parts get a point on
+ * the antimeridian, interpolated between the track points on either side.
+ * @param {Object[]} tracks - The track points
+ * @returns {Object[][]} The parts, with lon, lat, alt in meters and time in milliseconds
+ */
+function splitAtAntimeridian(tracks) {
+  const parts = [[]];
+  let previous = null;
+  tracks.forEach((track) => {
+    const point = {
+      lon: track.lon,
+      lat: track.lat,
+      alt: getAltitudeMeters(track),
+      time: new Date(track.timestamp).getTime(),
+    };
+    if (previous && Math.abs(point.lon - previous.lon) > 180) {
+      const edge = previous.lon > 0 ? 180 : -180;
+      // Longitude of the point continued past the antimeridian, e.g. 181 instead of -179
+      const unwrappedLon = point.lon + 2 * edge;
+      const fraction = (edge - previous.lon) / (unwrappedLon - previous.lon);
+      const getCrossing = (lon) => ({
+        lon,
+        lat: previous.lat + (point.lat - previous.lat) * fraction,
+        alt:
+          Math.round(
+            (previous.alt + (point.alt - previous.alt) * fraction) * 10,
+          ) / 10,
+        time: Math.round(
+          previous.time + (point.time - previous.time) * fraction,
+        ),
+      });
+      parts[parts.length - 1].push(getCrossing(edge));
+      parts.push([getCrossing(-edge)]);
+    }
+    parts[parts.length - 1].push(point);
+    previous = point;
+  });
+  return parts;
+}
+
+/**
+ * Builds a GeoJSON feature collection of flights, a LineString per flight, or
+ * a MultiLineString if it crosses the antimeridian
+ * @param {Object[]} flights - The flights
+ * @param {string} name - Name of the collection
+ * @returns {Object} The feature collection
+ */
+function toGeoJson(flights, name) {
+  const getCoordinates = (part) =>
+    part.map((point) => [point.lon, point.lat, point.alt]);
+  const getTimes = (part) =>
+    part.map((point) => new Date(point.time).toISOString());
+
+  return {
+    type: "FeatureCollection",
+    name,
+    features: flights.map((flight) => {
+      const parts = splitAtAntimeridian(flight.tracks);
+      const isSplit = parts.length > 1;
+      return {
+        type: "Feature",
+        id: String(flight.fr24Id),
+        properties: {
+          fr24Id: String(flight.fr24Id),
+          callsign: flight.callsign || null,
+          direction: getFlightDirection(flight),
+          startTime: getIsoTime(flight.tracks[0]),
+          endTime: getIsoTime(flight.tracks[flight.tracks.length - 1]),
+          // Timestamps of the vertices, as read by e.g. toGeoJSON and Mapbox,
+          // an array per line of a MultiLineString
+          coordTimes: isSplit ? parts.map(getTimes) : getTimes(parts[0]),
+        },
+        geometry: isSplit
+          ? { type: "MultiLineString", coordinates: parts.map(getCoordinates) }
+          : { type: "LineString", coordinates: getCoordinates(parts[0]) },
+      };
+    }),
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Filters for choosing which flights are shown.
+ *
+ * A filter is described by a plain criteria object, which createFlightFilter turns
+ * into a predicate over the flight details kept by Viewer. Empty criteria match every flight.
+ */
+import { getRegion, isInBounds } from "./regions.js";
+import { getFlightDirection, getRemotePoint } from "./directions.js";
+
+/**
+ * Creates empty filter criteria, matching every flight
+ * @returns {Object} The filter criteria
+ */
+export function createEmptyCriteria() {
+  return {
+    // Callsign or airline prefixes, e.g. ["CPA", "HKE"]
+    callsignPrefixes: [],
+    // Highest cruise altitude in feet
+    maxAltitude: null,
+    // Departure time of day window in minutes since local midnight, end may be before start to wrap midnight
+    departureWindow: null,
+    // Directions to show, "inbound" and "outbound" (see directions.js)
+    directions: null,
+    // Region id from regions.js of where departures are heading to and arrivals are coming from
+    destinationRegion: null,
+    // Bounding box in degrees of where departures are heading to and arrivals are coming from
+    destinationBounds: null,
+  };
+}
+
+/**
+ * Checks if the criteria filter out any flights
+ * @param {Object} criteria - The filter criteria
+ * @returns {boolean} True if some criteria are set
+ */
+export function hasActiveCriteria(criteria) {
+  return (
+    criteria.callsignPrefixes.length > 0 ||
+    criteria.maxAltitude !== null ||
+    criteria.departureWindow !== null ||
+    criteria.directions !== null ||
+    criteria.destinationRegion !== null ||
+    criteria.destinationBounds !== null
+  );
+}
+
+// Time of day formatters by timezone, as creating one is slow and they are used for every flight
+const timeOfDayFormats = new Map();
+
+/**
+ * Gets the minutes since midnight of a time in a timezone
+ * @param {Date} date - The time
+ * @param {string} timezone - IANA timezone, e.g. "Asia/Hong_Kong"
+ * @returns {number} Minutes since local midnight
+ */
+export function getMinutesOfDay(date, timezone) {
+  if (!timeOfDayFormats.has(timezone)) {
+    timeOfDayFormats.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      }),
+    );
+  }
+  const parts = timeOfDayFormats.get(timezone).formatToParts(date);
+  const hour = Number(parts.find((part) => part.type === "hour").value);
+  const minute = Number(parts.find((part) => part.type === "minute").value);
+  return hour * 60 + minute;
+}
+
+/**
+ * Checks if minutes of day are inside a window, which may wrap past midnight
+ * @param {number} minutes - Minutes since midnight
+ * @param {{start: number, end: number}} window - The window in minutes since midnight
+ * @returns {boolean} True if the minutes are inside the window
+ */
+function isInWindow(minutes, window) {
+  if (window.start <= window.end) {
+    return minutes >= window.start && minutes <= window.end;
+  }
+  return minutes >= window.start || minutes <= window.end;
+}
+
+/**
+ * Creates a predicate matching the flights that fulfil all the criteria
+ * @param {Object} criteria - The filter criteria, see createEmptyCriteria
+ * @param {string} timezone - IANA timezone used for the departure time window
+ * @returns {Function} Predicate called with the flight details
+ */
+export function createFlightFilter(criteria, timezone) {
+  const prefixes = criteria.callsignPrefixes.map((prefix) =>
+    prefix.toUpperCase(),
+  );
+
+  return (flight) => {
+    if (
+      prefixes.length > 0 &&
+      !prefixes.some((prefix) => flight.callsign.startsWith(prefix))
+    ) {
+      return false;
+    }
+
+    if (
+      criteria.maxAltitude !== null &&
+      flight.maxAltitude > criteria.maxAltitude
+    ) {
+      return false;
+    }
+
+    if (
+      criteria.departureWindow !== null &&
+      !isInWindow(
+        getMinutesOfDay(flight.realStartTime, timezone),
+        criteria.departureWindow,
+      )
+    ) {
+      return false;
+    }
+
+    if (
+      criteria.directions !== null &&
+      !criteria.directions.includes(getFlightDirection(flight))
+    ) {
+      return false;
+    }
+
+    const remotePoint = getRemotePoint(flight);
+    if (
+      criteria.destinationRegion !== null &&
+      getRegion(remotePoint.lat, remotePoint.lon).id !==
+        criteria.destinationRegion
+    ) {
+      return false;
+    }
+
+    if (
+      criteria.destinationBounds !== null &&
+      !isInBounds(criteria.destinationBounds, remotePoint.lat, remotePoint.lon)
+    ) {
+      return false;
+    }
+
+    return true;
+  };
+}
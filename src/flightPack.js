@@ -0,0 +1,251 @@
+/**
+ * Packed flight track format
+ *
+ * A compact binary format holding the tracks of many flights in one file. Track
+ * points are stored column by column as quantized fixed-size integers, instead of
+ * repeating the keys of every point as JSON does. All numbers are little-endian.
+ *
+ * Layout:
+ * - 4 bytes: magic "FPAK"
+ * - uint32: format version
+ * - uint32: number of flights
+ * - uint32: total number of track points
+ * - uint32: byte length of the metadata, padded to a multiple of 4
+ * - metadata: UTF-8 JSON array with one entry per flight:
+ *   fr24_id, pointCount, startTime (epoch seconds of the first point),
+ *   callsign, squawk and source as runs of [first point index, value], and
+ *   direction ("inbound" or "outbound") if the flight has one
+ * - columns, each with one value per track point, flights one after another:
+ *   - lat: int32, degrees * COORDINATE_SCALE
+ *   - lon: int32, degrees * COORDINATE_SCALE
+ *   - timeDelta: uint16, seconds since the previous point of the flight (0 for the first point)
+ *   - alt: int16, feet / ALTITUDE_QUANTUM_FEET
+ *   - gspeed: uint16, knots
+ *   - vspeed: int16, feet per minute
+ *   - track: uint16, degrees
+ *
+ * packTracks.ts and cleanTracks.ts write packs with it too, so it runs in Deno as well.
+ */
+
+export const FLIGHT_PACK_EXTENSION = ".fpak";
+export const COORDINATE_SCALE = 100_000;
+export const ALTITUDE_QUANTUM_FEET = 5;
+
+const MAGIC = "FPAK";
+const VERSION = 1;
+const HEADER_BYTES = 20;
+const MAX_TIME_DELTA_SECONDS = 0xffff;
+
+// Columns in the order they are stored. 4 byte columns come first to keep them aligned.
+const COLUMNS = [
+  { key: "lat", type: "Int32" },
+  { key: "lon", type: "Int32" },
+  { key: "timeDelta", type: "Uint16" },
+  { key: "alt", type: "Int16" },
+  { key: "gspeed", type: "Uint16" },
+  { key: "vspeed", type: "Int16" },
+  { key: "track", type: "Uint16" },
+];
+
+const COLUMN_TYPES = {
+  Int32: { bytes: 4, min: -(2 ** 31), max: 2 ** 31 - 1 },
+  Int16: { bytes: 2, min: -(2 ** 15), max: 2 ** 15 - 1 },
+  Uint16: { bytes: 2, min: 0, max: 2 ** 16 - 1 },
+};
+
+/**
+ * Checks if a file path points to a packed flight file
+ * @param {string} filePath - The file path
+ * @returns {boolean} True if the file is a packed flight file
+ */
+export function isFlightPack(filePath) {
+  return filePath.endsWith(FLIGHT_PACK_EXTENSION);
+}
+
+/**
+ * Converts a list of values to runs of [first index, value], one run per change of value
+ * @param {string[]} values - The values
+ * @returns {Array<[number, string]>} The runs
+ */
+function toRuns(values) {
+  const runs = [];
+  values.forEach((value, index) => {
+    if (runs.length === 0 || runs[runs.length - 1][1] !== value) {
+      runs.push([index, value]);
+    }
+  });
+  return runs;
+}
+
+/**
+ * Gets the value of a run encoded property at a point index
+ * @param {Array<[number, string]>} runs - The runs
+ * @param {number} index - The point index
+ * @returns {string} The value at the index
+ */
+function valueFromRuns(runs, index) {
+  let value = "";
+  for (const [start, runValue] of runs) {
+    if (start > index) {
+      break;
+    }
+    value = runValue;
+  }
+  return value;
+}
+
+/**
+ * Formats epoch seconds in the timestamp format of the FR24 data
+ * @param {number} seconds - Epoch seconds
+ * @returns {string} Timestamp like "2025-02-21T01:07:12Z"
+ */
+function formatTimestamp(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(".000Z", "Z");
+}
+
+/**
+ * Encodes flights into the packed flight format
+ * @param {Object[]} flights - Flights with fr24_id, chronologically ordered tracks and an optional direction, as in the JSON data files
+ * @returns {Uint8Array} The packed file contents
+ */
+export function encodeFlightPack(flights) {
+  const points = [];
+  const metadata = flights.map((flight) => {
+    const times = flight.tracks.map((point) =>
+      Math.round(new Date(point.timestamp).getTime() / 1000),
+    );
+
+    flight.tracks.forEach((point, i) => {
+      const timeDelta = i === 0 ? 0 : times[i] - times[i - 1];
+      if (timeDelta < 0 || timeDelta > MAX_TIME_DELTA_SECONDS) {
+        throw new Error(
+          `Flight ${flight.fr24_id} has a time step of ${timeDelta} seconds at point ${i}, ` +
+            `tracks must be in chronological order with gaps under ${MAX_TIME_DELTA_SECONDS} seconds`,
+        );
+      }
+
+      points.push({
+        fr24Id: flight.fr24_id,
+        lat: Math.round(point.lat * COORDINATE_SCALE),
+        lon: Math.round(point.lon * COORDINATE_SCALE),
+        timeDelta,
+        alt: Math.round(point.alt / ALTITUDE_QUANTUM_FEET),
+        gspeed: Math.round(point.gspeed),
+        vspeed: Math.round(point.vspeed),
+        track: Math.round(point.track),
+      });
+    });
+
+    return {
+      fr24_id: flight.fr24_id,
+      pointCount: flight.tracks.length,
+      startTime: times[0],
+      callsign: toRuns(flight.tracks.map((point) => point.callsign)),
+      squawk: toRuns(flight.tracks.map((point) => point.squawk)),
+      source: toRuns(flight.tracks.map((point) => point.source)),
+      ...(flight.direction && { direction: flight.direction }),
+    };
+  });
+
+  const metadataBytes = new TextEncoder().encode(JSON.stringify(metadata));
+  const metadataLength = Math.ceil(metadataBytes.length / 4) * 4;
+  const columnBytes = COLUMNS.reduce(
+    (total, { type }) => total + points.length * COLUMN_TYPES[type].bytes,
+    0,
+  );
+  const bytes = new Uint8Array(HEADER_BYTES + metadataLength + columnBytes);
+  const view = new DataView(bytes.buffer);
+
+  bytes.set(new TextEncoder().encode(MAGIC), 0);
+  view.setUint32(4, VERSION, true);
+  view.setUint32(8, flights.length, true);
+  view.setUint32(12, points.length, true);
+  view.setUint32(16, metadataLength, true);
+  // Pad the metadata with spaces so the columns start at an aligned offset
+  bytes.fill(0x20, HEADER_BYTES, HEADER_BYTES + metadataLength);
+  bytes.set(metadataBytes, HEADER_BYTES);
+
+  let columnOffset = HEADER_BYTES + metadataLength;
+  COLUMNS.forEach(({ key, type }) => {
+    const { bytes: size, min, max } = COLUMN_TYPES[type];
+    points.forEach((point, i) => {
+      if (!(point[key] >= min && point[key] <= max)) {
+        throw new Error(
+          `Flight ${point.fr24Id} has ${key} ${point[key]} which does not fit the packed format`,
+        );
+      }
+      view[`set${type}`](columnOffset + i * size, point[key], true);
+    });
+    columnOffset += points.length * size;
+  });
+
+  return bytes;
+}
+
+/**
+ * Decodes a packed flight file into flights in the same shape as the JSON data files
+ * @param {ArrayBuffer|Uint8Array} buffer - The packed file contents
+ * @returns {Object[]} Flights with fr24_id, tracks and direction if stored
+ */
+export function decodeFlightPack(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const magic = new TextDecoder().decode(bytes.subarray(0, 4));
+  if (magic !== MAGIC) {
+    throw new Error("Not a packed flight file");
+  }
+  const version = view.getUint32(4, true);
+  if (version !== VERSION) {
+    throw new Error(`Unsupported packed flight file version: ${version}`);
+  }
+
+  const pointCount = view.getUint32(12, true);
+  const metadataLength = view.getUint32(16, true);
+  const metadata = JSON.parse(
+    new TextDecoder().decode(
+      bytes.subarray(HEADER_BYTES, HEADER_BYTES + metadataLength),
+    ),
+  );
+
+  // Read the columns through a DataView so they are little-endian on any platform
+  const columns = {};
+  let columnOffset = HEADER_BYTES + metadataLength;
+  COLUMNS.forEach(({ key, type }) => {
+    const { bytes: size } = COLUMN_TYPES[type];
+    const column = new Array(pointCount);
+    for (let i = 0; i < pointCount; i++) {
+      column[i] = view[`get${type}`](columnOffset + i * size, true);
+    }
+    columns[key] = column;
+    columnOffset += pointCount * size;
+  });
+
+  let offset = 0;
+  return metadata.map((flight) => {
+    const tracks = [];
+    let time = flight.startTime;
+    for (let i = 0; i < flight.pointCount; i++) {
+      const index = offset + i;
+      time += columns.timeDelta[index];
+      tracks.push({
+        timestamp: formatTimestamp(time),
+        lat: columns.lat[index] / COORDINATE_SCALE,
+        lon: columns.lon[index] / COORDINATE_SCALE,
+        alt: columns.alt[index] * ALTITUDE_QUANTUM_FEET,
+        gspeed: columns.gspeed[index],
+        vspeed: columns.vspeed[index],
+        track: columns.track[index],
+        squawk: valueFromRuns(flight.squawk, i),
+        callsign: valueFromRuns(flight.callsign, i),
+        source: valueFromRuns(flight.source, i),
+      });
+    }
+    offset += flight.pointCount;
+    return {
+      fr24_id: flight.fr24_id,
+      tracks,
+      ...(flight.direction && { direction: flight.direction }),
+    };
+  });
+}
@@ -0,0 +1,171 @@
+/**
+ * Statistics of the loaded flights.
+ *
+ * Summarises a dataset for the statistics dashboard: departures per hour of the
+ * airport's local time, the busiest airlines by callsign prefix, and how the
+ * flight durations and cruise altitudes are distributed. The cruise altitude of
+ * a flight is the highest altitude of its track, the level of its last step
+ * climb.
+ */
+import { DIRECTIONS, getFlightDirection } from "./directions.js";
+import { getMinutesOfDay } from "./flightFilters.js";
+import { getAirline, interpolateTrack } from "./trackUtils.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Number of airlines listed, the rest are counted as "Other"
+export const TOP_AIRLINE_COUNT = 5;
+
+// Upper bounds of the flight duration classes in hours, labelled without the unit
+const DURATION_CLASSES = [2, 4, 6, 8, 10, 12, Infinity];
+// Upper bounds of the cruise altitude classes in feet, labelled in thousands of feet
+const CRUISE_ALTITUDE_CLASSES = [
+  30_000,
+  32_000,
+  34_000,
+  36_000,
+  38_000,
+  40_000,
+  Infinity,
+];
+
+/**
+ * Gets the start of the local hour of a time
+ * @param {Date} date - The time
+ * @param {string} timezone - IANA timezone, e.g. "Asia/Hong_Kong"
+ * @returns {number} The start of the hour as a timestamp in milliseconds
+ */
+function getLocalHourStart(date, timezone) {
+  const minutes = getMinutesOfDay(date, timezone) % 60;
+  return date.getTime() - minutes * 60_000 - (date.getTime() % 60_000);
+}
+
+/**
+ * Counts values into classes
+ * @param {number[]} values - The values
+ * @param {number[]} upperBounds - Upper bounds of the classes, ascending, the last one Infinity
+ * @param {Function} formatBound - Formats a bound for the class labels
+ * @returns {Object[]} The classes with their label and count
+ */
+function countClasses(values, upperBounds, formatBound) {
+  const classes = upperBounds.map((upperBound, i) => ({
+    label:
+      upperBound === Infinity
+        ? `${formatBound(upperBounds[i - 1])}+`
+        : i === 0
+          ? `< ${formatBound(upperBound)}`
+          : `${formatBound(upperBounds[i - 1])}–${formatBound(upperBound)}`,
+    count: 0,
+  }));
+  values.forEach((value) => {
+    classes[upperBounds.findIndex((upperBound) => value < upperBound)].count++;
+  });
+  return classes;
+}
+
+/**
+ * Counts the departures in each local hour between the first and the last departure
+ * @param {Object[]} flights - Flights with tracks and an optional direction
+ * @param {string} timezone - IANA timezone of the airport
+ * @returns {Object[]} The hours with their start and end time and departure count
+ */
+export function countDeparturesPerHour(flights, timezone) {
+  const hourStarts = flights
+    .filter(
+      (flight) =>
+        flight.tracks.length > 0 &&
+        getFlightDirection(flight) === DIRECTIONS.outbound.id,
+    )
+    .map((flight) =>
+      getLocalHourStart(new Date(flight.tracks[0].timestamp), timezone),
+    );
+  if (hourStarts.length === 0) {
+    return [];
+  }
+
+  const first = Math.min(...hourStarts);
+  const last = Math.max(...hourStarts);
+  const hours = Array.from(
+    { length: Math.round((last - first) / HOUR_MS) + 1 },
+    (_, i) => ({
+      start: new Date(first + i * HOUR_MS),
+      end: new Date(first + (i + 1) * HOUR_MS),
+      count: 0,
+    }),
+  );
+  hourStarts.forEach((hourStart) => {
+    hours[Math.round((hourStart - first) / HOUR_MS)].count++;
+  });
+  return hours;
+}
+
+/**
+ * Counts the flights of the busiest airlines
+ * @param {Object[]} flights - Flights with a callsign
+ * @param {number} count - Number of airlines to list
+ * @returns {Object[]} The busiest airlines with their flight count, followed by the
+ * other flights if there are any
+ */
+export function countTopAirlines(flights, count = TOP_AIRLINE_COUNT) {
+  const counts = new Map();
+  flights.forEach((flight) => {
+    const airline = getAirline(flight.callsign);
+    counts.set(airline, (counts.get(airline) || 0) + 1);
+  });
+
+  const airlines = Array.from(counts, ([label, flightCount]) => ({
+    label,
+    count: flightCount,
+  })).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  const top = airlines.slice(0, count);
+  const otherCount = airlines
+    .slice(count)
+    .reduce((total, airline) => total + airline.count, 0);
+  return otherCount > 0 ? [...top, { label: "Other", count: otherCount }] : top;
+}
+
+/**
+ * Computes the statistics of the dashboard
+ * @param {Object[]} flights - Flights with callsign, tracks and an optional direction
+ * @param {string} timezone - IANA timezone of the airport
+ * @returns {Object} Flight count, departures per hour, top airlines, and duration and
+ * cruise altitude classes
+ */
+export function computeFlightStatistics(flights, timezone) {
+  const withTracks = flights.filter((flight) => flight.tracks.length >= 2);
+  return {
+    flightCount: flights.length,
+    departuresPerHour: countDeparturesPerHour(withTracks, timezone),
+    airlines: countTopAirlines(flights),
+    durations: countClasses(
+      withTracks.map(
+        (flight) =>
+          (new Date(flight.tracks[flight.tracks.length - 1].timestamp) -
+            new Date(flight.tracks[0].timestamp)) /
+          HOUR_MS,
+      ),
+      DURATION_CLASSES,
+      (hours) => String(hours),
+    ),
+    cruiseAltitudes: countClasses(
+      withTracks.map((flight) =>
+        flight.tracks.reduce((max, track) => Math.max(max, track.alt), 0),
+      ),
+      CRUISE_ALTITUDE_CLASSES,
+      (feet) => `${feet / 1000}k`,
+    ),
+  };
+}
+
+/**
+ * Counts the flights in the air at a time, i.e. not yet departed, landed or on the ground
+ * @param {Object[]} flights - Flights with tracks
+ * @param {Date} time - The real-world time
+ * @returns {number} The number of airborne flights
+ */
+export function countAirborne(flights, time) {
+  return flights.filter((flight) => {
+    const sample = interpolateTrack(flight.tracks, time);
+    return sample !== null && sample.alt > 0;
+  }).length;
+}
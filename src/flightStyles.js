@@ -0,0 +1,236 @@
+/**
+ * Colouring modes for the flight paths.
+ *
+ * Gradient modes colour each part of a path by a per-sample value (altitude,
+ * ground speed). Categorical modes colour the whole path by a category of the
+ * flight (airline, destination region, day of departure).
+ */
+import { getRegion, REGIONS, UNKNOWN_REGION } from "./regions.js";
+import {
+  DIRECTIONS,
+  getFlightDirection,
+  getRemotePoint,
+} from "./directions.js";
+import { getAirline } from "./trackUtils.js";
+
+export const DEFAULT_COLOR = Cesium.Color.CYAN;
+export const OTHER_COLOR = Cesium.Color.fromCssColorString("#9e9e9e");
+
+// Line style of the paths. Departures glow and arrivals are dashed.
+export const PATH_WIDTH = 3;
+export const PATH_GLOW_POWER = 0.2;
+export const PATH_DASH_LENGTH = 12;
+
+// Number of colour steps a gradient is divided into. Each step of a path is drawn separately.
+export const GRADIENT_STEPS = 8;
+
+const GRADIENT_STOPS = [
+  "#2c7bb6",
+  "#00d4ff",
+  "#abd9e9",
+  "#fdae61",
+  "#d7191c",
+].map((color) => Cesium.Color.fromCssColorString(color));
+
+const CATEGORY_PALETTE = [
+  "#4e79a7",
+  "#f28e2b",
+  "#e15759",
+  "#76b7b2",
+  "#59a14f",
+  "#edc948",
+  "#b07aa1",
+  "#ff9da7",
+  "#9c755f",
+  "#00d4ff",
+].map((color) => Cesium.Color.fromCssColorString(color));
+
+export const COLOR_MODES = {
+  single: {
+    id: "single",
+    label: "Single colour",
+    type: "single",
+  },
+  altitude: {
+    id: "altitude",
+    label: "Altitude",
+    type: "gradient",
+    key: "alt",
+    unit: "ft",
+    min: 0,
+    max: 40_000,
+  },
+  speed: {
+    id: "speed",
+    label: "Ground speed",
+    type: "gradient",
+    key: "gspeed",
+    unit: "kt",
+    min: 0,
+    max: 550,
+  },
+  airline: {
+    id: "airline",
+    label: "Airline",
+    type: "categorical",
+    getCategory: (flight) => getAirline(flight.callsign),
+    // Airlines are coloured by how many flights they have, so categories are decided from the loaded flights
+    categories: null,
+  },
+  destination: {
+    id: "destination",
+    label: "Destination / origin region",
+    type: "categorical",
+    // Where departures are heading to and where arrivals are coming from
+    getCategory: (flight) => {
+      const point = getRemotePoint(flight);
+      return getRegion(point.lat, point.lon).name;
+    },
+    categories: [...REGIONS, UNKNOWN_REGION].map((region) => region.name),
+  },
+  day: {
+    id: "day",
+    label: "Day",
+    type: "categorical",
+    // The local day of departure, see dayComparison.js
+    getCategory: (flight) => (flight.day ? flight.day.label : "Unknown"),
+    categories: null,
+    // Day labels start with the date, so they are listed chronologically
+    sortByName: true,
+  },
+  direction: {
+    id: "direction",
+    label: "Arrival / departure",
+    type: "categorical",
+    getCategory: (flight) => DIRECTIONS[getFlightDirection(flight)].label,
+    categories: Object.values(DIRECTIONS).map((direction) => direction.label),
+  },
+};
+
+/**
+ * Gets a colouring mode by its id
+ * @param {string} id - The id of the mode
+ * @returns {Object} The colouring mode
+ */
+export function getColorMode(id) {
+  const mode = COLOR_MODES[id];
+  if (!mode) {
+    throw new Error(`Unknown colour mode: ${id}`);
+  }
+  return mode;
+}
+
+/**
+ * Gets the gradient step of a value
+ * @param {Object} mode - A gradient colouring mode
+ * @param {number} value - The value, e.g. altitude in feet
+ * @returns {number} The step index (0 to GRADIENT_STEPS - 1)
+ */
+export function getGradientStep(mode, value) {
+  const progress = (value - mode.min) / (mode.max - mode.min);
+  return Math.max(
+    0,
+    Math.min(GRADIENT_STEPS - 1, Math.floor(progress * GRADIENT_STEPS)),
+  );
+}
+
+/**
+ * Gets the colour at a position of the gradient
+ * @param {number} progress - Position in the gradient (0-1)
+ * @returns {Cesium.Color} The colour
+ */
+function getGradientColor(progress) {
+  const scaled =
+    Math.max(0, Math.min(1, progress)) * (GRADIENT_STOPS.length - 1);
+  const index = Math.min(Math.floor(scaled), GRADIENT_STOPS.length - 2);
+  return Cesium.Color.lerp(
+    GRADIENT_STOPS[index],
+    GRADIENT_STOPS[index + 1],
+    scaled - index,
+    new Cesium.Color(),
+  );
+}
+
+/**
+ * Gets the colour of a gradient step
+ * @param {number} step - The step index
+ * @returns {Cesium.Color} The colour of the step
+ */
+export function getGradientStepColor(step) {
+  return getGradientColor((step + 0.5) / GRADIENT_STEPS);
+}
+
+/**
+ * Assigns colours to the categories of a categorical mode. Fixed categories get
+ * a colour each, otherwise the most common categories of the flights get a colour
+ * and the rest are grouped as "Other".
+ * @param {Object} mode - A categorical colouring mode
+ * @param {Object[]} flights - The flights drawn on the globe
+ * @returns {Map<string, Cesium.Color>} Colours by category, in legend order
+ */
+export function assignCategoryColors(mode, flights) {
+  const counts = new Map();
+  flights.forEach((flight) => {
+    const category = mode.getCategory(flight);
+    counts.set(category, (counts.get(category) || 0) + 1);
+  });
+
+  const categories = mode.categories
+    ? mode.categories.filter((category) => counts.has(category))
+    : Array.from(counts.keys())
+        .filter((category) => category !== "Unknown")
+        .sort((a, b) =>
+          mode.sortByName
+            ? a.localeCompare(b)
+            : counts.get(b) - counts.get(a) || a.localeCompare(b),
+        )
+        .slice(0, CATEGORY_PALETTE.length);
+
+  // Fixed categories keep their colour regardless of which ones have flights
+  return new Map(
+    categories.map((category, i) => {
+      const index = mode.categories ? mode.categories.indexOf(category) : i;
+      return [
+        category,
+        category === UNKNOWN_REGION.name
+          ? OTHER_COLOR
+          : CATEGORY_PALETTE[index % CATEGORY_PALETTE.length],
+      ];
+    }),
+  );
+}
+
+/**
+ * Gets the legend entries of a colouring mode
+ * @param {Object} mode - The colouring mode
+ * @param {Map<string, Cesium.Color>} categoryColors - Category colours from assignCategoryColors
+ * @returns {Object} Legend with type, and either gradient step colours and labels or category entries
+ */
+export function getLegend(mode, categoryColors) {
+  if (mode.type === "gradient") {
+    return {
+      type: "gradient",
+      colors: Array.from({ length: GRADIENT_STEPS }, (_, step) =>
+        getGradientStepColor(step).toCssColorString(),
+      ),
+      minLabel: `${mode.min.toLocaleString()} ${mode.unit}`,
+      maxLabel: `${mode.max.toLocaleString()}+ ${mode.unit}`,
+    };
+  }
+
+  if (mode.type === "categorical") {
+    const entries = Array.from(categoryColors, ([label, color]) => ({
+      label,
+      color: color.toCssColorString(),
+    }));
+    if (!mode.categories) {
+      entries.push({ label: "Other", color: OTHER_COLOR.toCssColorString() });
+    }
+    return { type: "categorical", entries };
+  }
+
+  return {
+    type: "categorical",
+    entries: [{ label: "Flight", color: DEFAULT_COLOR.toCssColorString() }],
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Camera presets for following a flight.
+ *
+ * The camera looks at the moving aircraft from a fixed offset. The heading of
+ * every preset follows the `track` of the flight, so the camera turns with the
+ * aircraft. Pitch is in degrees below the horizon and range is the distance
+ * from the aircraft in meters.
+ */
+
+export const DEFAULT_FOLLOW_PRESET_ID = "chase";
+
+export const FOLLOW_PRESETS = {
+  chase: {
+    id: "chase",
+    label: "Behind and above",
+    pitch: 20,
+    range: 3_000,
+  },
+  cockpit: {
+    id: "cockpit",
+    label: "Cockpit",
+    pitch: 3,
+    range: 60,
+  },
+  topDown: {
+    id: "topDown",
+    label: "Top-down",
+    // Just short of straight down, so the camera still turns with the heading
+    pitch: 89,
+    range: 25_000,
+  },
+};
+
+/**
+ * Gets a follow camera preset by its id
+ * @param {string} id - The id of the preset
+ * @returns {Object} The follow camera preset
+ */
+export function getFollowPreset(id) {
+  const preset = FOLLOW_PRESETS[id];
+  if (!preset) {
+    throw new Error(`Unknown follow camera preset: ${id}`);
+  }
+  return preset;
+}
+
+/**
+ * Gets the camera offset of a preset for an aircraft heading
+ * @param {Object} preset - The follow camera preset
+ * @param {number} track - The heading of the aircraft in degrees
+ * @returns {Cesium.HeadingPitchRange} The offset of the camera from the aircraft
+ */
+export function getFollowOffset(preset, track) {
+  return new Cesium.HeadingPitchRange(
+    Cesium.Math.toRadians(track),
+    Cesium.Math.toRadians(-preset.pitch),
+    preset.range,
+  );
+}
@@ -0,0 +1,52 @@
+/**
+ * Geographic calculations on track points.
+ *
+ * Distances use a spherical Earth, which is accurate enough for flight tracks.
+ * The scripts reach it through trackCleaning.js, so it cannot use Cesium.
+ */
+import { feetToMeters } from "./conversionUtils.js";
+
+export const EARTH_RADIUS_METERS = 6_371_000;
+export const METERS_PER_NAUTICAL_MILE = 1852;
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Gets the great-circle distance between two points
+ * @param {{lat: number, lon: number}} from - The first point in degrees
+ * @param {{lat: number, lon: number}} to - The second point in degrees
+ * @returns {number} Distance in meters
+ */
+export function getDistanceMeters(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Gets the Earth-centred position of a track point
+ * @param {{lat: number, lon: number, alt: number}} point - The point in degrees, with the altitude in feet
+ * @returns {{x: number, y: number, z: number}} Position in meters
+ */
+export function getCartesianMeters(point) {
+  const radius = EARTH_RADIUS_METERS + feetToMeters(point.alt ?? 0);
+  const lat = toRadians(point.lat);
+  const lon = toRadians(point.lon);
+  return {
+    x: radius * Math.cos(lat) * Math.cos(lon),
+    y: radius * Math.cos(lat) * Math.sin(lon),
+    z: radius * Math.sin(lat),
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Imagery and terrain of the globe.
+ *
+ * The providers are described in the runtime configuration (see config.js) by a
+ * type and, for local data, a URL relative to the page:
+ *
+ * - imagery `ion`: Bing aerial imagery from Cesium Ion, needs an access token
+ * - imagery `naturalEarth`: the Natural Earth II tiles bundled with Cesium, works offline
+ * - imagery `tms`: a local tile directory in the TMS layout of gdal2tiles, e.g. `{ "type": "tms", "url": "tiles/earth" }`
+ * - imagery `tiles`: a local tile directory by URL template, e.g. `{ "type": "tiles", "url": "tiles/{z}/{x}/{y}.png", "maximumLevel": 8 }`
+ * - imagery `image`: a single image covering the whole globe, e.g. a Natural Earth raster
+ * - terrain `world`: Cesium World Terrain from Cesium Ion, needs an access token
+ * - terrain `local`: a local quantized-mesh tile directory
+ * - terrain `ellipsoid`: no terrain, works offline
+ *
+ * When a provider can't be created, e.g. the Ion token is missing or revoked or
+ * the tiles are not there, the globe falls back to the offline providers.
+ */
+
+export const FALLBACK_IMAGERY = { type: "naturalEarth" };
+export const FALLBACK_TERRAIN = { type: "ellipsoid" };
+
+/**
+ * Gets the imagery and terrain to use for a configuration
+ * @param {Object} config - The runtime configuration, see config.js
+ * @returns {Object} The imagery and terrain descriptions
+ */
+export function getGlobeProviders(config) {
+  const hasToken = Boolean(config.cesiumAccessToken);
+  return {
+    imagery: config.imagery || (hasToken ? { type: "ion" } : FALLBACK_IMAGERY),
+    terrain:
+      config.terrain || (hasToken ? { type: "world" } : FALLBACK_TERRAIN),
+  };
+}
+
+/**
+ * Creates an imagery provider
+ * @param {Object} imagery - The imagery description, see the list above
+ * @param {string} accessToken - The Cesium Ion access token, or an empty string
+ * @returns {Promise<Cesium.ImageryProvider>} The imagery provider
+ */
+export async function createImageryProvider(imagery, accessToken) {
+  switch (imagery.type) {
+    case "ion":
+      requireAccessToken(accessToken, "Ion imagery");
+      return Cesium.createWorldImageryAsync();
+    case "naturalEarth":
+      return Cesium.TileMapServiceImageryProvider.fromUrl(
+        Cesium.buildModuleUrl("Assets/Textures/NaturalEarthII"),
+      );
+    case "tms":
+      return Cesium.TileMapServiceImageryProvider.fromUrl(requireUrl(imagery), {
+        maximumLevel: imagery.maximumLevel,
+      });
+    case "tiles":
+      return new Cesium.UrlTemplateImageryProvider({
+        url: requireUrl(imagery),
+        maximumLevel: imagery.maximumLevel,
+      });
+    case "image":
+      return Cesium.SingleTileImageryProvider.fromUrl(requireUrl(imagery));
+    default:
+      throw new Error(`Unknown imagery type: ${imagery.type}`);
+  }
+}
+
+/**
+ * Creates a terrain provider
+ * @param {Object} terrain - The terrain description, see the list above
+ * @param {string} accessToken - The Cesium Ion access token, or an empty string
+ * @returns {Promise<Cesium.TerrainProvider>} The terrain provider
+ */
+export async function createTerrainProvider(terrain, accessToken) {
+  switch (terrain.type) {
+    case "world":
+      requireAccessToken(accessToken, "world terrain");
+      return Cesium.createWorldTerrainAsync();
+    case "local":
+      return Cesium.CesiumTerrainProvider.fromUrl(requireUrl(terrain));
+    case "ellipsoid":
+      return new Cesium.EllipsoidTerrainProvider();
+    default:
+      throw new Error(`Unknown terrain type: ${terrain.type}`);
+  }
+}
+
+/**
+ * Throws if there is no Cesium Ion access token
+ * @param {string} accessToken - The access token
+ * @param {string} name - Name of the data needing the token, for the error message
+ */
+function requireAccessToken(accessToken, name) {
+  if (!accessToken) {
+    throw new Error(`A Cesium Ion access token is needed for the ${name}`);
+  }
+}
+
+/**
+ * Gets the URL of a local provider, throwing if it is missing
+ * @param {Object} description - The imagery or terrain description
+ * @returns {string} The URL
+ */
+function requireUrl(description) {
+  if (!description.url) {
+    throw new Error(`No url given for the ${description.type} provider`);
+  }
+  return description.url;
+}
@@ -1,24 +1,18 @@
-// Constants for locations
-export const LOCATION_HONG_KONG = {
-  longitude: 114.1095,
-  latitude: 22.3964,
-  altitude: 150_000,
-  orientation: {
-    heading: 0.0,
-    pitch: -Cesium.Math.PI_OVER_TWO,
-    roll: 0.0,
-  },
-};
-
-export async function waitForGlobe(viewer) {
+/**
+ * Sets the camera to a location and waits for the globe tiles to load
+ * @param {Cesium.Viewer} viewer - The Cesium viewer
+ * @param {Object} location - The camera location, e.g. the camera preset of an airport
+ * @returns {Promise<void>} A promise that resolves when the globe is ready or loading timed out
+ */
+export async function waitForGlobe(viewer, location) {
   // Ensure camera is set first
   viewer.camera.setView({
     destination: Cesium.Cartesian3.fromDegrees(
-      LOCATION_HONG_KONG.longitude,
-      LOCATION_HONG_KONG.latitude,
-      LOCATION_HONG_KONG.altitude,
+      location.longitude,
+      location.latitude,
+      location.altitude,
     ),
-    orientation: LOCATION_HONG_KONG.orientation,
+    orientation: location.orientation,
   });
   console.log("Starting globe readiness check...");
 
@@ -38,22 +32,37 @@ export async function waitForGlobe(viewer) {
     // Wait for camera to finish moving first
     await Promise.race([cameraMovePromise, timeoutPromise]);
 
-    const tilesLoadedPromise = new Promise((resolve) => {
-      function checkTiles() {
-        if (viewer.scene.globe.tilesLoaded) {
-          console.log("Globe tiles loaded");
-          resolve();
-        } else {
-          setTimeout(checkTiles, 100);
-        }
-      }
-      checkTiles();
-    });
     // Now wait for tiles to load (or timeout)
-    await Promise.race([tilesLoadedPromise, timeoutPromise]);
+    if (await Promise.race([waitForTiles(viewer), timeoutPromise])) {
+      console.log("Globe tiles loaded");
+    }
 
     console.log("Globe is ready");
   } catch (error) {
     console.log("Error during readiness check, proceeding anyway:", error);
   }
 }
+
+/**
+ * Waits until the globe tiles of the current view have loaded
+ * @param {Cesium.Viewer} viewer - The Cesium viewer
+ * @param {Function} render - Called while waiting, e.g. to render frames when the render loop is stopped
+ * @param {number} timeout - Time to wait at most in milliseconds
+ * @returns {Promise<boolean>} A promise that resolves to true when the tiles have loaded, or false if loading timed out
+ */
+export function waitForTiles(viewer, render = () => {}, timeout = 10_000) {
+  const deadline = Date.now() + timeout;
+  return new Promise((resolve) => {
+    function checkTiles() {
+      if (viewer.scene.globe.tilesLoaded) {
+        resolve(true);
+      } else if (Date.now() >= deadline) {
+        resolve(false);
+      } else {
+        render();
+        setTimeout(checkTiles, 100);
+      }
+    }
+    checkTiles();
+  });
+}
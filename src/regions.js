@@ -0,0 +1,111 @@
+/**
+ * Coarse world regions used for grouping flights by where they are heading.
+ *
+ * Regions are bounding boxes in degrees, checked in order, so the smaller regions
+ * come before the larger ones that overlap them. A region can leave out parts of
+ * its box that belong to the regions after it.
+ */
+
+export const UNKNOWN_REGION = { id: "other", name: "Other" };
+
+export const REGIONS = [
+  {
+    id: "taiwan",
+    name: "Taiwan",
+    bounds: { west: 119, south: 21.5, east: 122.5, north: 25.5 },
+  },
+  {
+    id: "hong-kong",
+    name: "Hong Kong & Macau",
+    bounds: { west: 113.4, south: 21.9, east: 114.5, north: 22.6 },
+  },
+  {
+    id: "japan-korea",
+    name: "Japan & Korea",
+    bounds: { west: 124.5, south: 24, east: 150, north: 46 },
+    // Left to Mainland China: the north-east around Harbin, Changchun and Yanji, and Vladivostok next to it
+    excludedBounds: [
+      { west: 124.5, south: 38.5, east: 129.5, north: 46 },
+      { west: 129.5, south: 42.5, east: 138, north: 46 },
+    ],
+  },
+  {
+    id: "china",
+    name: "Mainland China",
+    bounds: { west: 73, south: 18, east: 135, north: 54 },
+  },
+  {
+    id: "southeast-asia",
+    name: "Southeast Asia",
+    bounds: { west: 92, south: -11, east: 141, north: 28.5 },
+  },
+  {
+    id: "south-asia",
+    name: "South Asia",
+    bounds: { west: 60, south: 5, east: 92, north: 37 },
+  },
+  {
+    id: "middle-east",
+    name: "Middle East",
+    bounds: { west: 34, south: 12, east: 60, north: 42 },
+  },
+  {
+    id: "europe",
+    name: "Europe",
+    bounds: { west: -25, south: 35, east: 60, north: 72 },
+  },
+  {
+    id: "oceania",
+    name: "Oceania",
+    bounds: { west: 110, south: -50, east: 180, north: -11 },
+  },
+  {
+    id: "north-america",
+    name: "North America",
+    bounds: { west: -170, south: 14, east: -50, north: 72 },
+  },
+];
+
+/**
+ * Checks if a point is inside a bounding box
+ * @param {{west: number, south: number, east: number, north: number}} bounds - Bounding box in degrees
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {boolean} True if the point is inside the bounding box
+ */
+export function isInBounds(bounds, lat, lon) {
+  return (
+    lat >= bounds.south &&
+    lat <= bounds.north &&
+    lon >= bounds.west &&
+    lon <= bounds.east
+  );
+}
+
+/**
+ * Gets the region of a point
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {Object} The region, or UNKNOWN_REGION if the point is in none of them
+ */
+export function getRegion(lat, lon) {
+  return (
+    REGIONS.find(
+      (region) =>
+        isInBounds(region.bounds, lat, lon) &&
+        !(region.excludedBounds ?? []).some((bounds) =>
+          isInBounds(bounds, lat, lon),
+        ),
+    ) || UNKNOWN_REGION
+  );
+}
+
+/**
+ * Gets the region of the last track point of a flight
+ * @param {Object[]} tracks - The track points of the flight
+ * @returns {Object} The region the flight was heading to
+ */
+export function getDestinationRegion(tracks) {
+  const lastPoint = tracks[tracks.length - 1];
+  return getRegion(lastPoint.lat, lastPoint.lon);
+}
@@ -0,0 +1,157 @@
+/**
+ * Route corridors of the flights.
+ *
+ * Flights are clustered by where they are heading to (departures) or coming
+ * from (arrivals): a flight joins the first corridor whose far end is within a
+ * radius of its own. The centreline of a corridor is the average of its flights,
+ * each resampled at the same fractions of its distance flown.
+ */
+import { getFlightDirection, getRemotePoint } from "./directions.js";
+import { getDistanceMeters } from "./geoUtils.js";
+import { getRegion } from "./regions.js";
+
+export const DEFAULT_CORRIDOR_OPTIONS = {
+  // Flights whose far ends are closer than this share a corridor
+  clusterRadiusMeters: 150_000,
+  // Corridors with fewer flights are left out
+  minFlights: 2,
+  // Number of points on the centreline of a corridor
+  pathPoints: 48,
+};
+
+/**
+ * Clusters flights into route corridors
+ * @param {Object[]} flights - Flights with `tracks` and an optional `direction`
+ * @param {Object} options - Clustering options, see DEFAULT_CORRIDOR_OPTIONS
+ * @returns {Object[]} The corridors with the most flights first, each with its direction,
+ * far end, region, flight count and centreline of lat, lon and alt points
+ */
+export function findRouteCorridors(flights, options = {}) {
+  const { clusterRadiusMeters, minFlights, pathPoints } = {
+    ...DEFAULT_CORRIDOR_OPTIONS,
+    ...options,
+  };
+
+  // Flights going furthest first, so a corridor is anchored at a far end
+  // rather than at a flight that left the coverage early
+  const sorted = flights
+    .filter((flight) => flight.tracks.length >= 2)
+    .map((flight) => ({
+      flight,
+      direction: getFlightDirection(flight),
+      remotePoint: getRemotePoint(flight),
+      distance: getDistanceMeters(
+        flight.tracks[0],
+        flight.tracks[flight.tracks.length - 1],
+      ),
+    }))
+    .sort((a, b) => b.distance - a.distance);
+
+  const clusters = [];
+  sorted.forEach((entry) => {
+    const cluster = clusters.find(
+      (candidate) =>
+        candidate.direction === entry.direction &&
+        getDistanceMeters(candidate.remotePoint, entry.remotePoint) <=
+          clusterRadiusMeters,
+    );
+    if (cluster) {
+      cluster.flights.push(entry.flight);
+    } else {
+      clusters.push({
+        direction: entry.direction,
+        remotePoint: entry.remotePoint,
+        flights: [entry.flight],
+      });
+    }
+  });
+
+  return clusters
+    .filter((cluster) => cluster.flights.length >= minFlights)
+    .sort((a, b) => b.flights.length - a.flights.length)
+    .map((cluster) => ({
+      direction: cluster.direction,
+      remotePoint: {
+        lat: cluster.remotePoint.lat,
+        lon: cluster.remotePoint.lon,
+      },
+      region: getRegion(cluster.remotePoint.lat, cluster.remotePoint.lon),
+      flightCount: cluster.flights.length,
+      path: averagePaths(
+        cluster.flights.map((flight) =>
+          resampleTrack(flight.tracks, pathPoints),
+        ),
+      ),
+    }));
+}
+
+/**
+ * Resamples a track at evenly spaced fractions of its distance flown
+ * @param {Object[]} tracks - The track points
+ * @param {number} count - Number of points to take
+ * @returns {Object[]} Points with lat, lon and alt
+ */
+export function resampleTrack(tracks, count) {
+  const distances = [0];
+  for (let i = 1; i < tracks.length; i++) {
+    distances.push(
+      distances[i - 1] + getDistanceMeters(tracks[i - 1], tracks[i]),
+    );
+  }
+  const total = distances[distances.length - 1];
+
+  const points = [];
+  let segment = 0;
+  for (let i = 0; i < count; i++) {
+    const target = (total * i) / (count - 1);
+    while (segment < tracks.length - 2 && distances[segment + 1] < target) {
+      segment++;
+    }
+    const length = distances[segment + 1] - distances[segment];
+    const fraction =
+      length > 0 ? Math.min(1, (target - distances[segment]) / length) : 0;
+    const from = tracks[segment];
+    const to = tracks[segment + 1];
+    points.push({
+      lat: from.lat + (to.lat - from.lat) * fraction,
+      lon: wrapLongitude(
+        from.lon + wrapLongitude(to.lon - from.lon) * fraction,
+      ),
+      alt: from.alt + (to.alt - from.alt) * fraction,
+    });
+  }
+  return points;
+}
+
+/**
+ * Averages paths of the same number of points, point by point
+ * @param {Object[][]} paths - The paths, each with lat, lon and alt points
+ * @returns {Object[]} The average path
+ */
+function averagePaths(paths) {
+  return paths[0].map((_, i) => {
+    const sum = paths.reduce(
+      (total, path) => ({
+        lat: total.lat + path[i].lat,
+        // Relative to the first path, so paths across the antimeridian average correctly
+        lon: total.lon + wrapLongitude(path[i].lon - paths[0][i].lon),
+        alt: total.alt + path[i].alt,
+      }),
+      { lat: 0, lon: 0, alt: 0 },
+    );
+    return {
+      lat: sum.lat / paths.length,
+      lon: wrapLongitude(paths[0][i].lon + sum.lon / paths.length),
+      alt: sum.alt / paths.length,
+    };
+  });
+}
+
+/**
+ * Wraps a longitude into -180..180 degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} The wrapped longitude
+ */
+function wrapLongitude(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
@@ -0,0 +1,199 @@
+/**
+ * Cleaning of raw flight tracks before they are drawn.
+ *
+ * The FR24 tracks contain GPS glitches, duplicate and out-of-order timestamps,
+ * and taxiing on the ground. cleanTracks runs these steps in order:
+ * 1. Drop points with an invalid timestamp or position
+ * 2. Sort the points by timestamp and drop points with a duplicate timestamp
+ * 3. Drop single points that imply an impossible speed, i.e. jumps away from the track and back
+ * 4. Optionally trim the taxiing at the beginning and the end of the flight
+ *
+ * and reports what was fixed. cleanTracks.ts runs the same steps in Deno.
+ */
+import { getDistanceMeters, METERS_PER_NAUTICAL_MILE } from "./geoUtils.js";
+
+export const DEFAULT_CLEANING_OPTIONS = {
+  // Fastest believable ground speed, airliners reach about 700 kt in strong tailwinds
+  maxSpeedKnots: 1000,
+  // Position noise in meters that is not counted towards the implied speed
+  positionToleranceMeters: 2000,
+  trimGround: false,
+  // Points at or below this altitude and speed count as taxiing
+  groundAltitudeFeet: 0,
+  taxiSpeedKnots: 40,
+};
+
+/**
+ * Creates an empty cleaning report
+ * @returns {Object} Counts of the fixes, all zero
+ */
+export function createCleaningReport() {
+  return {
+    inputPoints: 0,
+    outputPoints: 0,
+    invalidPoints: 0,
+    outOfOrderPoints: 0,
+    duplicatePoints: 0,
+    jumpPoints: 0,
+    groundPoints: 0,
+    // Flights without a valid point left, which cannot be drawn
+    emptyFlights: 0,
+  };
+}
+
+/**
+ * Adds the counts of a cleaning report to a total report
+ * @param {Object} total - The total report, modified in place
+ * @param {Object} report - The report to add
+ * @returns {Object} The total report
+ */
+export function addCleaningReport(total, report) {
+  Object.keys(total).forEach((key) => {
+    total[key] += report[key];
+  });
+  return total;
+}
+
+/**
+ * Checks if a cleaning report contains any fixes
+ * @param {Object} report - The cleaning report
+ * @returns {boolean} True if some points were dropped or reordered
+ */
+export function hasCleaningFixes(report) {
+  return (
+    report.inputPoints !== report.outputPoints || report.outOfOrderPoints > 0
+  );
+}
+
+/**
+ * Checks if a track point has a valid timestamp and position
+ * @param {Object} point - The track point
+ * @returns {boolean} True if the point is valid
+ */
+function isValidPoint(point) {
+  return (
+    !isNaN(Date.parse(point.timestamp)) &&
+    Number.isFinite(point.lat) &&
+    Number.isFinite(point.lon) &&
+    Number.isFinite(point.alt) &&
+    Math.abs(point.lat) <= 90 &&
+    Math.abs(point.lon) <= 180
+  );
+}
+
+/**
+ * Gets the speed needed to fly between two track points
+ * @param {Object} from - The earlier track point, with a parsed time
+ * @param {Object} to - The later track point, with a parsed time
+ * @param {Object} options - Cleaning options
+ * @returns {number} Implied ground speed in knots
+ */
+function getImpliedSpeedKnots(from, to, options) {
+  const distance = Math.max(
+    0,
+    getDistanceMeters(from.point, to.point) - options.positionToleranceMeters,
+  );
+  const hours = (to.time - from.time) / 3_600_000;
+  return distance / METERS_PER_NAUTICAL_MILE / hours;
+}
+
+/**
+ * Checks if a track point is taxiing on the ground
+ * @param {Object} point - The track point
+ * @param {Object} options - Cleaning options
+ * @returns {boolean} True if the point is on the ground and slow
+ */
+function isTaxiing(point, options) {
+  return (
+    point.alt <= options.groundAltitudeFeet &&
+    point.gspeed <= options.taxiSpeedKnots
+  );
+}
+
+/**
+ * Cleans the track points of a flight
+ * @param {Object[]} tracks - The track points, as in the data files
+ * @param {Object} options - Cleaning options, see DEFAULT_CLEANING_OPTIONS
+ * @returns {{tracks: Object[], report: Object}} The cleaned track points and a report of the fixes
+ */
+export function cleanTracks(tracks, options = {}) {
+  const settings = { ...DEFAULT_CLEANING_OPTIONS, ...options };
+  const report = createCleaningReport();
+  report.inputPoints = tracks.length;
+
+  // 1. Invalid points
+  let points = tracks
+    .filter(isValidPoint)
+    .map((point) => ({ point, time: Date.parse(point.timestamp) }));
+  report.invalidPoints = tracks.length - points.length;
+
+  // 2. Order and duplicates. The sort is stable, so the first of duplicates is kept.
+  points.forEach((entry, i) => {
+    if (i > 0 && entry.time < points[i - 1].time) {
+      report.outOfOrderPoints++;
+    }
+  });
+  points.sort((a, b) => a.time - b.time);
+  const uniquePoints = points.filter(
+    (entry, i) => i === 0 || entry.time !== points[i - 1].time,
+  );
+  report.duplicatePoints = points.length - uniquePoints.length;
+  points = uniquePoints;
+
+  // 3. Jumps. A point is a glitch if reaching it and leaving it are both impossible.
+  const maxSpeed = settings.maxSpeedKnots;
+  const isTooFast = (from, to) =>
+    from && to && getImpliedSpeedKnots(from, to, settings) > maxSpeed;
+  const keptPoints = [];
+  points.forEach((entry, i) => {
+    const previous = keptPoints[keptPoints.length - 1];
+    const next = points[i + 1];
+    const isJump =
+      previous && next
+        ? isTooFast(previous, entry) &&
+          isTooFast(entry, next) &&
+          !isTooFast(previous, next)
+        : // The first and last points only have one neighbour to compare with
+          isTooFast(previous, entry) ||
+          (isTooFast(entry, next) && !isTooFast(next, points[i + 2]));
+    if (!isJump) {
+      keptPoints.push(entry);
+    }
+  });
+  report.jumpPoints = points.length - keptPoints.length;
+  points = keptPoints;
+
+  // 4. Taxiing at the beginning and end, keeping at least two points
+  if (settings.trimGround) {
+    let start = 0;
+    let end = points.length;
+    while (start < end && isTaxiing(points[start].point, settings)) {
+      start++;
+    }
+    while (end > start && isTaxiing(points[end - 1].point, settings)) {
+      end--;
+    }
+    if (end - start >= 2) {
+      report.groundPoints = points.length - (end - start);
+      points = points.slice(start, end);
+    }
+  }
+
+  report.outputPoints = points.length;
+  report.emptyFlights = points.length === 0 ? 1 : 0;
+  return { tracks: points.map((entry) => entry.point), report };
+}
+
+/**
+ * Formats a cleaning report for logging
+ * @param {Object} report - The cleaning report
+ * @returns {string} Summary of the fixes
+ */
+export function formatCleaningReport(report) {
+  return (
+    `${report.inputPoints} points, ${report.outputPoints} kept: ` +
+    `${report.invalidPoints} invalid, ${report.outOfOrderPoints} out of order, ` +
+    `${report.duplicatePoints} duplicate, ${report.jumpPoints} jumps, ` +
+    `${report.groundPoints} taxiing, ${report.emptyFlights} flights left empty`
+  );
+}
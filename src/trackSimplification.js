@@ -0,0 +1,116 @@
+/**
+ * Simplification of flight tracks, and the level of detail of the drawn paths.
+ *
+ * Every track point becomes a sample of the path entity, so a day of flights
+ * makes Cesium draw hundreds of thousands of path vertices each frame. When the
+ * camera is far away most of them are closer together than a pixel.
+ * simplifyTrack drops points with the Douglas-Peucker algorithm. The error of a
+ * point is its distance from where the simplified track places the aircraft at
+ * the time of the point, so the animation timing stays within the tolerance too.
+ */
+import { getCartesianMeters } from "./geoUtils.js";
+
+// Error tolerance by camera altitude, roughly half a pixel at the highest camera of each level
+export const LEVELS_OF_DETAIL = [
+  { id: "full", maxCameraAltitude: 10_000, toleranceMeters: 0 },
+  { id: "high", maxCameraAltitude: 50_000, toleranceMeters: 25 },
+  { id: "medium", maxCameraAltitude: 250_000, toleranceMeters: 100 },
+  { id: "low", maxCameraAltitude: 1_000_000, toleranceMeters: 500 },
+  { id: "lowest", maxCameraAltitude: Infinity, toleranceMeters: 2000 },
+];
+
+/**
+ * Gets the level of detail for a camera altitude
+ * @param {number} cameraAltitude - Camera altitude in meters
+ * @returns {Object} The level of detail of LEVELS_OF_DETAIL
+ */
+export function getLevelOfDetail(cameraAltitude) {
+  return LEVELS_OF_DETAIL.find(
+    (level) => cameraAltitude <= level.maxCameraAltitude,
+  );
+}
+
+/**
+ * Gets the distance between a point and where the aircraft would be at the
+ * time of the point when flying straight from the start to the end of a segment
+ * @param {Object} point - Position and time of the point
+ * @param {Object} start - Position and time of the start of the segment
+ * @param {Object} end - Position and time of the end of the segment
+ * @returns {number} Distance in meters
+ */
+function getSynchronizedDistance(point, start, end) {
+  const duration = end.time - start.time;
+  const fraction = duration > 0 ? (point.time - start.time) / duration : 0;
+  return Math.hypot(
+    start.x + (end.x - start.x) * fraction - point.x,
+    start.y + (end.y - start.y) * fraction - point.y,
+    start.z + (end.z - start.z) * fraction - point.z,
+  );
+}
+
+/**
+ * Ranks the points of a flight track by how much they matter for its shape.
+ * Runs the Douglas-Peucker algorithm down to every point, and gives each point
+ * the largest tolerance at which the algorithm would still keep it, so the track
+ * can be simplified to any tolerance without running the algorithm again.
+ * @param {Object[]} tracks - The chronologically ordered track points
+ * @returns {Float64Array} The tolerance in meters up to which each point is kept, Infinity for the first and last point
+ */
+export function rankTrackPoints(tracks) {
+  const ranks = new Float64Array(tracks.length);
+  if (tracks.length === 0) {
+    return ranks;
+  }
+
+  const points = tracks.map((track) => ({
+    ...getCartesianMeters(track),
+    time: Date.parse(track.timestamp),
+  }));
+  ranks[0] = Infinity;
+  ranks[points.length - 1] = Infinity;
+
+  // Iterative instead of recursive, long tracks would exceed the call stack.
+  // Each segment carries the rank of the point that split it off, as a point
+  // is only reached when the points splitting its segment are kept.
+  const segments = [[0, points.length - 1, Infinity]];
+  while (segments.length > 0) {
+    const [first, last, parentRank] = segments.pop();
+    let maxDistance = -1;
+    let maxIndex = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = getSynchronizedDistance(
+        points[i],
+        points[first],
+        points[last],
+      );
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1) {
+      const rank = Math.min(maxDistance, parentRank);
+      ranks[maxIndex] = rank;
+      segments.push([first, maxIndex, rank], [maxIndex, last, rank]);
+    }
+  }
+
+  return ranks;
+}
+
+/**
+ * Simplifies a flight track
+ * @param {Float64Array} ranks - The ranks of the track points, see rankTrackPoints
+ * @param {number} toleranceMeters - Largest allowed distance of a dropped point from the simplified track
+ * @returns {number[]} Indices of the kept track points, always including the first and last point
+ */
+export function simplifyTrack(ranks, toleranceMeters) {
+  const indices = [];
+  ranks.forEach((rank, i) => {
+    if (rank > toleranceMeters || toleranceMeters <= 0) {
+      indices.push(i);
+    }
+  });
+  return indices;
+}
@@ -0,0 +1,82 @@
+/**
+ * Gets the callsign of a flight from its track points. Callsign is often empty
+ * for the first few points, so the first non-empty one is used.
+ * @param {Object[]} tracks - The track points of the flight
+ * @returns {string} The callsign, or an empty string if none is found
+ */
+export function getCallsign(tracks) {
+  const point = tracks.find((track) => track.callsign);
+  return point ? point.callsign : "";
+}
+
+/**
+ * Gets the airline code of a flight from its callsign, e.g. "CPA" from "CPA139"
+ * @param {string} callsign - The callsign of the flight
+ * @returns {string} The three letter ICAO airline code, or "Unknown"
+ */
+export function getAirline(callsign) {
+  const match = /^[A-Z]{3}(?=\d)/.exec(callsign || "");
+  return match ? match[0] : "Unknown";
+}
+
+/**
+ * Interpolates a compass heading, taking the shortest way around the circle
+ * @param {number} from - Heading in degrees
+ * @param {number} to - Heading in degrees
+ * @param {number} fraction - Interpolation fraction (0-1)
+ * @returns {number} Interpolated heading in degrees (0-360)
+ */
+function interpolateHeading(from, to, fraction) {
+  const delta = ((to - from + 540) % 360) - 180;
+  return (from + delta * fraction + 360) % 360;
+}
+
+/**
+ * Linearly interpolates the track values of a flight at the given time
+ * @param {Object[]} tracks - The track points of the flight, in chronological order
+ * @param {Date} time - The real-world time to interpolate at
+ * @returns {Object|null} Interpolated alt, gspeed, vspeed, track, lat and lon, or null if the time is outside the flight
+ */
+export function interpolateTrack(tracks, time) {
+  if (!tracks || tracks.length === 0) {
+    return null;
+  }
+
+  const target = time.getTime();
+  const first = new Date(tracks[0].timestamp).getTime();
+  const last = new Date(tracks[tracks.length - 1].timestamp).getTime();
+  if (target < first || target > last) {
+    return null;
+  }
+
+  // Binary search for the last point at or before the target time
+  let low = 0;
+  let high = tracks.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (new Date(tracks[mid].timestamp).getTime() <= target) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const before = tracks[low];
+  const after = tracks[Math.min(low + 1, tracks.length - 1)];
+  const beforeTime = new Date(before.timestamp).getTime();
+  const afterTime = new Date(after.timestamp).getTime();
+  const fraction =
+    afterTime > beforeTime
+      ? (target - beforeTime) / (afterTime - beforeTime)
+      : 0;
+  const lerp = (key) => before[key] + (after[key] - before[key]) * fraction;
+
+  return {
+    lat: lerp("lat"),
+    lon: lerp("lon"),
+    alt: lerp("alt"),
+    gspeed: lerp("gspeed"),
+    vspeed: lerp("vspeed"),
+    track: interpolateHeading(before.track, after.track, fraction),
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Trail modes of the flight paths.
+ *
+ * By default every path stays on the globe until the end of the animation, so
+ * late in the day the globe is covered in old paths. The trail can instead be
+ * limited to a window of real-world time behind each aircraft, or faded out
+ * after the flight has ended. Durations are given in real-world minutes and
+ * converted to animation time with the linear mapping of the global timeline
+ * (see Timeline.js), so they stay the same at every playback speed.
+ */
+
+export const TRAIL_MODES = {
+  full: { id: "full", label: "Full history" },
+  window: { id: "window", label: "Last 30 minutes", windowMinutes: 30 },
+  fade: { id: "fade", label: "Fade out after landing", fadeMinutes: 60 },
+};
+
+export const DEFAULT_TRAIL_MODE_ID = "full";
+
+// Number of opacity steps of a fading path. Paths are restyled on every step,
+// so fewer steps keep the cost of fading down.
+export const FADE_STEPS = 5;
+
+/**
+ * Gets a trail mode by id
+ * @param {string} id - Id of the trail mode
+ * @returns {Object} The trail mode
+ */
+export function getTrailMode(id) {
+  const mode = TRAIL_MODES[id];
+  if (!mode) {
+    throw new Error(`Unknown trail mode: ${id}`);
+  }
+  return mode;
+}
+
+/**
+ * Converts a real-world duration to animation time on the global timeline
+ * @param {number} minutes - Real-world duration in minutes
+ * @param {Object} timelineParams - The global timeline, with earliestStart, latestEnd and animationDuration
+ * @returns {number} Duration in animation seconds
+ */
+export function realMinutesToAnimationSeconds(minutes, timelineParams) {
+  const globalRealDuration =
+    timelineParams.latestEnd - timelineParams.earliestStart;
+  return globalRealDuration > 0
+    ? ((minutes * 60_000) / globalRealDuration) *
+        timelineParams.animationDuration
+    : 0;
+}
+
+/**
+ * Gets how long the trail behind an aircraft is
+ * @param {Object} mode - The trail mode
+ * @param {Object} timelineParams - The global timeline
+ * @returns {number} Trail length in animation seconds, Infinity for the full history
+ */
+export function getTrailSeconds(mode, timelineParams) {
+  return mode.windowMinutes
+    ? realMinutesToAnimationSeconds(mode.windowMinutes, timelineParams)
+    : Infinity;
+}
+
+/**
+ * Gets the opacity of a path. Fading paths lose opacity in steps after the
+ * flight has ended, and are hidden when fully faded.
+ * @param {Object} mode - The trail mode
+ * @param {number} secondsSinceEnd - Animation seconds since the end of the flight, negative before it
+ * @param {Object} timelineParams - The global timeline
+ * @returns {number} Opacity from 0 to 1
+ */
+export function getTrailAlpha(mode, secondsSinceEnd, timelineParams) {
+  if (!mode.fadeMinutes || secondsSinceEnd <= 0) {
+    return 1;
+  }
+
+  const fadeSeconds = realMinutesToAnimationSeconds(
+    mode.fadeMinutes,
+    timelineParams,
+  );
+  const alpha = 1 - secondsSinceEnd / fadeSeconds;
+  return alpha > 0 ? Math.ceil(alpha * FADE_STEPS) / FADE_STEPS : 0;
+}
@@ -0,0 +1,192 @@
+/**
+ * Shareable view state.
+ *
+ * The view is kept in the hash of the page URL, so a link opens the same moment
+ * seen from the same place. The state is a plain object, see encodeViewState.
+ * Hash parameters that are missing or invalid are left out when decoding, so
+ * those parts of the view keep their defaults.
+ */
+
+// Decimals kept of the camera values, about a metre and a tenth of a degree
+const DEGREE_DECIMALS = 5;
+const ANGLE_DECIMALS = 1;
+
+/**
+ * Encodes a view state into the hash of a URL
+ * @param {Object} state - The view state
+ * @param {Object} state.camera - Camera position (longitude, latitude in degrees, height in meters) and orientation (heading, pitch, roll in degrees)
+ * @param {Date} state.realTime - The real-world time the animation is showing
+ * @param {number} state.realMinutesPerSecond - The playback speed in real-world minutes per second
+ * @param {boolean} state.altitudeSpeed - Whether the playback speeds up as the camera zooms out
+ * @param {boolean} state.paused - Whether the animation is paused
+ * @param {string|null} state.flightId - FR24 id of the selected flight
+ * @param {string|null} state.followPresetId - Id of the follow camera preset, when following the selected flight
+ * @param {Object} state.options - Ids of the colour mode, trail mode, marker style and heading source
+ * @param {Object} state.filters - Values of the filter inputs, see FlightFilterControls.getState
+ * @returns {string} The hash, without the leading "#"
+ */
+export function encodeViewState(state) {
+  const params = new URLSearchParams();
+  const { camera, options, filters } = state;
+
+  params.set(
+    "camera",
+    [
+      camera.longitude.toFixed(DEGREE_DECIMALS),
+      camera.latitude.toFixed(DEGREE_DECIMALS),
+      camera.height.toFixed(0),
+      camera.heading.toFixed(ANGLE_DECIMALS),
+      camera.pitch.toFixed(ANGLE_DECIMALS),
+      camera.roll.toFixed(ANGLE_DECIMALS),
+    ].join(","),
+  );
+  if (state.realTime) {
+    // Whole seconds are enough for a moment of the day
+    params.set("time", state.realTime.toISOString().replace(/\.\d+Z$/, "Z"));
+  }
+  params.set("speed", String(state.realMinutesPerSecond));
+  if (!state.altitudeSpeed) {
+    params.set("zoomSpeed", "0");
+  }
+  if (state.paused) {
+    params.set("paused", "1");
+  }
+  if (state.flightId) {
+    params.set("flight", state.flightId);
+  }
+  if (state.followPresetId) {
+    params.set("follow", state.followPresetId);
+  }
+
+  params.set("color", options.colorMode);
+  params.set("trail", options.trailMode);
+  params.set("marker", options.markerStyle);
+  params.set("heading", options.headingSource);
+
+  if (filters.directions) {
+    params.set("directions", filters.directions.join(","));
+  }
+  setIfNotEmpty(params, "callsign", filters.callsign);
+  setIfNotEmpty(params, "maxAlt", filters.maxAltitude);
+  setIfNotEmpty(params, "depFrom", filters.departureFrom);
+  setIfNotEmpty(params, "depTo", filters.departureTo);
+  setIfNotEmpty(params, "region", filters.region);
+  const bounds = [
+    filters.bounds.west,
+    filters.bounds.south,
+    filters.bounds.east,
+    filters.bounds.north,
+  ];
+  if (bounds.some((value) => value !== "")) {
+    params.set("bounds", bounds.join(","));
+  }
+  if (filters.fitTimeline) {
+    params.set("fit", "1");
+  }
+
+  // Commas are allowed in the hash, and keep the lists readable
+  return params.toString().replace(/%2C/g, ",");
+}
+
+/**
+ * Decodes the view state from the hash of a URL
+ * @param {string} hash - The hash, with or without the leading "#"
+ * @returns {Object} The parts of the view state found in the hash, see encodeViewState.
+ * options and filters are always present, with only the decoded fields set.
+ */
+export function decodeViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const state = { options: {}, filters: {} };
+
+  const camera = parseNumbers(params.get("camera"), 6);
+  if (camera) {
+    const [longitude, latitude, height, heading, pitch, roll] = camera;
+    state.camera = { longitude, latitude, height, heading, pitch, roll };
+  }
+
+  const realTime = new Date(params.get("time"));
+  if (params.has("time") && !isNaN(realTime.getTime())) {
+    state.realTime = realTime;
+  }
+  const speed = Number(params.get("speed"));
+  if (speed > 0) {
+    state.realMinutesPerSecond = speed;
+  }
+  state.altitudeSpeed = params.get("zoomSpeed") !== "0";
+  state.paused = params.get("paused") === "1";
+  if (params.get("flight")) {
+    state.flightId = params.get("flight");
+  }
+  if (params.get("follow")) {
+    state.followPresetId = params.get("follow");
+  }
+
+  [
+    ["color", "colorMode"],
+    ["trail", "trailMode"],
+    ["marker", "markerStyle"],
+    ["heading", "headingSource"],
+  ].forEach(([param, key]) => {
+    if (params.get(param)) {
+      state.options[key] = params.get(param);
+    }
+  });
+
+  if (params.has("directions")) {
+    state.filters.directions = params
+      .get("directions")
+      .split(",")
+      .filter((direction) => direction.length > 0);
+  }
+  [
+    ["callsign", "callsign"],
+    ["maxAlt", "maxAltitude"],
+    ["depFrom", "departureFrom"],
+    ["depTo", "departureTo"],
+    ["region", "region"],
+  ].forEach(([param, key]) => {
+    if (params.has(param)) {
+      state.filters[key] = params.get(param);
+    }
+  });
+  // The bounds are input values, and may be partly filled in
+  const bounds = (params.get("bounds") || "").split(",");
+  if (bounds.length === 4) {
+    const [west, south, east, north] = bounds;
+    state.filters.bounds = { west, south, east, north };
+  }
+  if (params.has("fit")) {
+    state.filters.fitTimeline = params.get("fit") === "1";
+  }
+
+  return state;
+}
+
+/**
+ * Sets a parameter unless the value is empty
+ * @param {URLSearchParams} params - The parameters
+ * @param {string} name - Name of the parameter
+ * @param {string} value - Value of the parameter
+ */
+function setIfNotEmpty(params, name, value) {
+  if (value !== "") {
+    params.set(name, value);
+  }
+}
+
+/**
+ * Parses a comma separated list of numbers
+ * @param {string|null} value - The list, e.g. "114.1,22.3"
+ * @param {number} count - The number of numbers expected
+ * @returns {number[]|null} The numbers, or null if the list is missing or invalid
+ */
+function parseNumbers(value, count) {
+  if (!value) {
+    return null;
+  }
+  const numbers = value.split(",").map(Number);
+  return numbers.length === count &&
+    numbers.every((number) => Number.isFinite(number))
+    ? numbers
+    : null;
+}
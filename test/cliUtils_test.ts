@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import {
+  CLEANING_REPORT_FILE_NAME,
+  isFlightDataFile,
+  MANIFEST_FILE_NAME,
+  readFlightFile,
+} from "../script/cliUtils.ts";
+
+Deno.test("isFlightDataFile skips the manifest and the cleaning report", () => {
+  assert.equal(isFlightDataFile("3930f673.json"), true);
+  assert.equal(isFlightDataFile("flights-000.fpak"), true);
+  assert.equal(isFlightDataFile(MANIFEST_FILE_NAME), false);
+  assert.equal(isFlightDataFile(CLEANING_REPORT_FILE_NAME), false);
+  assert.equal(isFlightDataFile("notes.txt"), false);
+});
+
+Deno.test(
+  "readFlightFile rejects JSON that is not an array of flights",
+  async () => {
+    const directory = await Deno.makeTempDir();
+    try {
+      const flightPath = join(directory, "flight.json");
+      await Deno.writeTextFile(
+        flightPath,
+        JSON.stringify([{ fr24_id: "1", tracks: [] }])
+      );
+      assert.deepEqual(await readFlightFile(flightPath), [
+        { fr24_id: "1", tracks: [] },
+      ]);
+
+      const reportPath = join(directory, "report.json");
+      await Deno.writeTextFile(reportPath, JSON.stringify({ total: {} }));
+      await assert.rejects(
+        readFlightFile(reportPath),
+        /not a flight data file/
+      );
+    } finally {
+      await Deno.remove(directory, { recursive: true });
+    }
+  }
+);
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { binTrackSamples, getAltitudeBand } from "../src/densityGrid.js";
+import { findRouteCorridors, resampleTrack } from "../src/routeCorridors.js";
+
+/**
+ * Creates a departure from Hong Kong flying straight to a point
+ * @param {number} lat - Latitude of the last point
+ * @param {number} lon - Longitude of the last point
+ * @returns {Object} The flight
+ */
+function createDeparture(lat, lon) {
+  const points = 20;
+  return {
+    direction: "outbound",
+    tracks: Array.from({ length: points + 1 }, (_, i) => ({
+      lat: 22.3 + ((lat - 22.3) * i) / points,
+      lon: 113.9 + ((lon - 113.9) * i) / points,
+      alt: i === 0 || i === points ? 0 : 36_000,
+    })),
+  };
+}
+
+Deno.test("binTrackSamples counts each flight once per cell", () => {
+  const flight = {
+    tracks: [
+      { lat: 22.31, lon: 113.91, alt: 0 },
+      { lat: 22.32, lon: 113.92, alt: 500 },
+      { lat: 22.51, lon: 113.91, alt: 3_000 },
+    ],
+  };
+  const grid = binTrackSamples([flight, flight]);
+  assert.equal(grid.columns, 1);
+  assert.equal(grid.rows, 2);
+  assert.deepEqual(Array.from(grid.counts), [2, 2]);
+  assert.equal(grid.maxCount, 2);
+  assert.ok(grid.west <= 113.91 && grid.east >= 113.91);
+});
+
+Deno.test(
+  "binTrackSamples leaves out samples outside the altitude band",
+  () => {
+    const flight = createDeparture(35.7, 140.4);
+    const grid = binTrackSamples([flight], {
+      altitudeBand: getAltitudeBand("low"),
+    });
+    // Only the first and last points are low
+    assert.equal(
+      Array.from(grid.counts).reduce((total, count) => total + count, 0),
+      2,
+    );
+    assert.equal(
+      binTrackSamples([flight], {
+        altitudeBand: { minFeet: 50_000, maxFeet: Infinity },
+      }),
+      null,
+    );
+    assert.throws(() => getAltitudeBand("space"), /Unknown altitude band/);
+  },
+);
+
+Deno.test("findRouteCorridors clusters flights by their far end", () => {
+  const corridors = findRouteCorridors(
+    [
+      // Tokyo
+      createDeparture(35.7, 140.4),
+      createDeparture(35.5, 139.8),
+      createDeparture(35.6, 140.0),
+      // Singapore
+      createDeparture(1.35, 103.99),
+      createDeparture(1.4, 103.9),
+      // London, a single flight is not a corridor
+      createDeparture(51.47, -0.45),
+    ],
+    { pathPoints: 10 },
+  );
+  assert.deepEqual(
+    corridors.map((corridor) => [corridor.region.id, corridor.flightCount]),
+    [
+      ["japan-korea", 3],
+      ["southeast-asia", 2],
+    ],
+  );
+  assert.equal(corridors[0].path.length, 10);
+  assert.equal(corridors[0].direction, "outbound");
+});
+
+Deno.test("resampleTrack keeps the ends and unwraps the antimeridian", () => {
+  const points = resampleTrack(
+    [
+      { lat: 0, lon: 179, alt: 0 },
+      { lat: 0, lon: -179, alt: 1_000 },
+    ],
+    3,
+  );
+  assert.equal(points[0].lon, 179);
+  assert.equal(Math.abs(points[1].lon), 180);
+  assert.equal(points[2].lon, -179);
+  assert.equal(points[1].alt, 500);
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { inferDestination } from "../src/destinations.js";
+
+const HKG = { lat: 22.3089, lon: 113.9146 };
+
+/**
+ * Creates a flight from Hong Kong ending at a point
+ * @param {Object} end - The last track point with lat, lon and alt
+ * @param {string} direction - Direction of the flight
+ * @returns {Object} The flight
+ */
+function createFlight(end, direction = "outbound") {
+  const tracks = [
+    { timestamp: "2025-02-20T00:00:00Z", ...HKG, alt: 0 },
+    { timestamp: "2025-02-20T04:00:00Z", ...end },
+  ];
+  return {
+    direction,
+    tracks: direction === "inbound" ? tracks.reverse() : tracks,
+  };
+}
+
+Deno.test(
+  "inferDestination is confident about a track landing at an airport",
+  () => {
+    // Narita
+    const destination = inferDestination(
+      createFlight({ lat: 35.77, lon: 140.39, alt: 0 }),
+    );
+    assert.equal(destination.airport.code, "NRT");
+    assert.equal(destination.confident, true);
+  },
+);
+
+Deno.test(
+  "inferDestination is not confident about a track ending in the air",
+  () => {
+    const destination = inferDestination(
+      createFlight({ lat: 35.5, lon: 139.5, alt: 20_000 }),
+    );
+    assert.ok(destination.distanceMeters < 300_000);
+    assert.equal(destination.confident, false);
+  },
+);
+
+Deno.test(
+  "inferDestination has no destination beyond 300 km of any airport",
+  () => {
+    // Over the Pacific
+    assert.equal(
+      inferDestination(createFlight({ lat: 20, lon: -150, alt: 38_000 })),
+      null,
+    );
+  },
+);
+
+Deno.test("inferDestination looks up the origin of an arrival", () => {
+  const origin = inferDestination(
+    createFlight({ lat: 35.77, lon: 140.39, alt: 0 }, "inbound"),
+  );
+  assert.equal(origin.airport.code, "NRT");
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { exportFlights, getFlightExportFormat } from "../src/flightExport.js";
+
+/**
+ * Creates an exported flight from track points given as [ISO time, lat, lon, alt in feet]
+ * @param {string} fr24Id - FR24 id of the flight
+ * @param {Array[]} points - The track points
+ * @param {string} direction - Direction of the flight
+ * @returns {Object} The flight
+ */
+function createFlight(fr24Id, points, direction = "outbound") {
+  return {
+    fr24Id,
+    callsign: `CPA${fr24Id}`,
+    direction,
+    tracks: points.map(([timestamp, lat, lon, alt]) => ({
+      timestamp,
+      lat,
+      lon,
+      alt,
+    })),
+  };
+}
+
+const DEPARTURE = createFlight("1", [
+  ["2025-02-20T00:00:00Z", 22.3, 113.9, 0],
+  ["2025-02-20T00:01:00Z", 22.4, 114.0, 1_000],
+  ["2025-02-20T00:03:30Z", 22.6, 114.2, 10_000],
+]);
+const ARRIVAL = createFlight(
+  "2",
+  [
+    ["2025-02-20T01:00:00Z", 25, 121, 30_000],
+    ["2025-02-20T02:00:00Z", 22.3, 113.9, 0],
+  ],
+  "inbound",
+);
+// Hong Kong to Vancouver, crossing the antimeridian between the second and third points
+const PACIFIC = createFlight("3", [
+  ["2025-02-20T00:00:00Z", 22.3, 113.9, 0],
+  ["2025-02-20T06:00:00Z", 45, 178, 38_000],
+  ["2025-02-20T06:10:00Z", 47, -178, 38_000],
+  ["2025-02-20T12:00:00Z", 49.2, -123.2, 0],
+]);
+
+Deno.test("CZML positions are seconds after the epoch of each flight", () => {
+  const [document, departure, arrival] = JSON.parse(
+    exportFlights([DEPARTURE, ARRIVAL], "czml"),
+  );
+  assert.equal(document.id, "document");
+  assert.equal(
+    document.clock.interval,
+    "2025-02-20T00:00:00.000Z/2025-02-20T02:00:00.000Z",
+  );
+
+  assert.equal(departure.id, "flight-1");
+  assert.equal(departure.position.epoch, "2025-02-20T00:00:00.000Z");
+  assert.deepEqual(
+    departure.position.cartographicDegrees,
+    [0, 113.9, 22.3, 0, 60, 114, 22.4, 304.8, 210, 114.2, 22.6, 3048],
+  );
+  assert.equal(departure.path.trailTime, 210);
+  assert.equal(
+    departure.availability,
+    "2025-02-20T00:00:00.000Z/2025-02-20T00:03:30.000Z",
+  );
+
+  assert.equal(arrival.position.epoch, "2025-02-20T01:00:00.000Z");
+  assert.deepEqual(
+    arrival.position.cartographicDegrees.filter((_, i) => i % 4 === 0),
+    [0, 3600],
+  );
+});
+
+Deno.test("KML colours are in aabbggrr order", () => {
+  const kml = exportFlights([DEPARTURE, ARRIVAL], "kml", { name: "A & B" });
+  // Departures are cyan and arrivals amber (RGB ffb000)
+  assert.match(kml, /<Style id="outbound"><LineStyle><color>ffffff00<\/color>/);
+  assert.match(kml, /<Style id="inbound"><LineStyle><color>ff00b0ff<\/color>/);
+  assert.match(kml, /<name>A &amp; B<\/name>/);
+
+  const placemarks = kml.split("<Placemark>").slice(1);
+  assert.equal(placemarks.length, 2);
+  assert.match(placemarks[1], /<styleUrl>#inbound<\/styleUrl>/);
+  assert.equal(placemarks[0].match(/<when>/g).length, 3);
+  assert.equal(placemarks[0].match(/<gx:coord>/g).length, 3);
+  assert.match(placemarks[0], /<gx:coord>114 22.4 304.8<\/gx:coord>/);
+});
+
+Deno.test("GeoJSON has a timestamp for every vertex", () => {
+  const collection = JSON.parse(
+    exportFlights([DEPARTURE, ARRIVAL], "geojson", { name: "HKG" }),
+  );
+  assert.equal(collection.type, "FeatureCollection");
+  assert.equal(collection.name, "HKG");
+  const [departure, arrival] = collection.features;
+  assert.equal(departure.geometry.type, "LineString");
+  assert.deepEqual(departure.geometry.coordinates[1], [114, 22.4, 304.8]);
+  assert.equal(departure.properties.coordTimes.length, 3);
+  assert.equal(departure.geometry.coordinates.length, 3);
+  assert.equal(arrival.properties.direction, "inbound");
+  assert.equal(arrival.properties.coordTimes.length, 2);
+});
+
+Deno.test("GeoJSON splits a flight crossing the antimeridian", () => {
+  const [feature] = JSON.parse(exportFlights([PACIFIC], "geojson")).features;
+  assert.equal(feature.geometry.type, "MultiLineString");
+  const [west, east] = feature.geometry.coordinates;
+  const [westTimes, eastTimes] = feature.properties.coordTimes;
+  assert.equal(west.length, 3);
+  assert.equal(east.length, 3);
+  assert.equal(westTimes.length, west.length);
+  assert.equal(eastTimes.length, east.length);
+
+  // Both parts meet on the antimeridian halfway between 178 and -178
+  assert.deepEqual(west[2], [180, 46, 11582.4]);
+  assert.deepEqual(east[0], [-180, 46, 11582.4]);
+  assert.equal(westTimes[2], "2025-02-20T06:05:00.000Z");
+  assert.equal(eastTimes[0], "2025-02-20T06:05:00.000Z");
+  assert.ok(
+    feature.geometry.coordinates.every((line) =>
+      line.every(
+        ([lon], i) => i === 0 || Math.abs(lon - line[i - 1][0]) <= 180,
+      ),
+    ),
+  );
+});
+
+Deno.test("exportFlights leaves out flights without a path", () => {
+  const single = createFlight("4", [["2025-02-20T00:00:00Z", 22.3, 113.9, 0]]);
+  assert.equal(
+    JSON.parse(exportFlights([single, DEPARTURE], "geojson")).features.length,
+    1,
+  );
+  assert.throws(
+    () => getFlightExportFormat("shp"),
+    /Unknown flight export format: shp/,
+  );
+});
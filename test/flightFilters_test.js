@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import {
+  createEmptyCriteria,
+  createFlightFilter,
+  getMinutesOfDay,
+  hasActiveCriteria,
+} from "../src/flightFilters.js";
+
+/**
+ * Creates flight details like the ones kept by Viewer
+ * @param {Object} details - Details overriding the defaults
+ * @returns {Object} The flight details
+ */
+function createFlight(details = {}) {
+  return {
+    callsign: "CPA500",
+    direction: "outbound",
+    maxAltitude: 38_000,
+    // 08:30 in Hong Kong
+    realStartTime: new Date("2025-02-20T00:30:00Z"),
+    tracks: [
+      { lat: 22.3, lon: 113.9, alt: 0 },
+      // Tokyo
+      { lat: 35.7, lon: 140.4, alt: 0 },
+    ],
+    ...details,
+  };
+}
+
+Deno.test("getMinutesOfDay uses the local time of the timezone", () => {
+  const date = new Date("2025-02-20T23:30:00Z");
+  assert.equal(getMinutesOfDay(date, "Asia/Hong_Kong"), 7 * 60 + 30);
+  assert.equal(getMinutesOfDay(date, "Europe/London"), 23 * 60 + 30);
+  // The formatters are cached per timezone
+  assert.equal(getMinutesOfDay(date, "Asia/Hong_Kong"), 7 * 60 + 30);
+});
+
+Deno.test("empty criteria match every flight", () => {
+  const criteria = createEmptyCriteria();
+  assert.equal(hasActiveCriteria(criteria), false);
+  assert.equal(createFlightFilter(criteria, "UTC")(createFlight()), true);
+});
+
+Deno.test("createFlightFilter matches callsign prefixes and altitude", () => {
+  const filter = createFlightFilter(
+    {
+      ...createEmptyCriteria(),
+      callsignPrefixes: ["hke"],
+      maxAltitude: 36_000,
+    },
+    "UTC",
+  );
+  assert.equal(
+    filter(createFlight({ callsign: "HKE100", maxAltitude: 35_000 })),
+    true,
+  );
+  assert.equal(
+    filter(createFlight({ callsign: "CPA100", maxAltitude: 35_000 })),
+    false,
+  );
+  assert.equal(filter(createFlight({ callsign: "HKE100" })), false);
+});
+
+Deno.test(
+  "createFlightFilter matches a departure window wrapping midnight",
+  () => {
+    const filter = createFlightFilter(
+      {
+        ...createEmptyCriteria(),
+        departureWindow: { start: 22 * 60, end: 9 * 60 },
+      },
+      "Asia/Hong_Kong",
+    );
+    assert.equal(filter(createFlight()), true);
+    assert.equal(
+      filter(createFlight({ realStartTime: new Date("2025-02-20T06:00:00Z") })),
+      false,
+    );
+  },
+);
+
+Deno.test("createFlightFilter matches the direction and destination", () => {
+  const criteria = {
+    ...createEmptyCriteria(),
+    directions: ["outbound"],
+    destinationRegion: "japan-korea",
+  };
+  const filter = createFlightFilter(criteria, "UTC");
+  assert.equal(filter(createFlight()), true);
+  assert.equal(filter(createFlight({ direction: "inbound" })), false);
+  assert.equal(
+    createFlightFilter(
+      { ...criteria, destinationRegion: "europe" },
+      "UTC",
+    )(createFlight()),
+    false,
+  );
+});
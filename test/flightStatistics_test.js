@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import {
+  computeFlightStatistics,
+  countAirborne,
+  countDeparturesPerHour,
+  countTopAirlines,
+} from "../src/flightStatistics.js";
+
+/**
+ * Creates a flight climbing to a cruise altitude and landing
+ * @param {string} callsign - Callsign of the flight
+ * @param {string} start - ISO time of the first track point
+ * @param {number} hours - Duration of the flight in hours
+ * @param {number} cruiseAltitude - Highest altitude in feet
+ * @param {string} direction - Direction of the flight
+ * @returns {Object} The flight
+ */
+function createFlight(
+  callsign,
+  start,
+  hours = 3,
+  cruiseAltitude = 37_000,
+  direction = "outbound",
+) {
+  const startTime = Date.parse(start);
+  return {
+    callsign,
+    direction,
+    tracks: [0, 0.5, 1].map((fraction, i) => ({
+      timestamp: new Date(
+        startTime + fraction * hours * 3_600_000,
+      ).toISOString(),
+      lat: 22.3 + i,
+      lon: 113.9 + i,
+      alt: i === 1 ? cruiseAltitude : 0,
+    })),
+  };
+}
+
+Deno.test("countDeparturesPerHour counts departures in local hours", () => {
+  const hours = countDeparturesPerHour(
+    [
+      // 08:10 and 08:50 in Hong Kong
+      createFlight("CPA1", "2025-02-20T00:10:00Z"),
+      createFlight("CPA2", "2025-02-20T00:50:00Z"),
+      // 10:05
+      createFlight("CPA3", "2025-02-20T02:05:00Z"),
+      // Arrivals are not departures
+      createFlight("CPA4", "2025-02-20T01:30:00Z", 3, 37_000, "inbound"),
+    ],
+    "Asia/Hong_Kong",
+  );
+  assert.deepEqual(
+    hours.map((hour) => [hour.start.toISOString(), hour.count]),
+    [
+      ["2025-02-20T00:00:00.000Z", 2],
+      ["2025-02-20T01:00:00.000Z", 0],
+      ["2025-02-20T02:00:00.000Z", 1],
+    ],
+  );
+});
+
+Deno.test("countTopAirlines groups the rest as other", () => {
+  const flights = ["CPA1", "CPA2", "CPA3", "HKE1", "HKE2", "UAE1", "QTR1"].map(
+    (callsign) => ({ callsign }),
+  );
+  assert.deepEqual(countTopAirlines(flights, 2), [
+    { label: "CPA", count: 3 },
+    { label: "HKE", count: 2 },
+    { label: "Other", count: 2 },
+  ]);
+});
+
+Deno.test(
+  "computeFlightStatistics classes durations and cruise altitudes",
+  () => {
+    const statistics = computeFlightStatistics(
+      [
+        createFlight("CPA1", "2025-02-20T00:00:00Z", 1.5, 29_000),
+        createFlight("CPA2", "2025-02-20T00:00:00Z", 13, 41_000),
+      ],
+      "Asia/Hong_Kong",
+    );
+    assert.equal(statistics.flightCount, 2);
+    const counted = (classes) =>
+      classes.filter((entry) => entry.count > 0).map((entry) => entry.label);
+    assert.deepEqual(counted(statistics.durations), ["< 2", "12+"]);
+    assert.deepEqual(counted(statistics.cruiseAltitudes), ["< 30k", "40k+"]);
+  },
+);
+
+Deno.test("countAirborne counts the flights in the air at a time", () => {
+  const flights = [
+    createFlight("CPA1", "2025-02-20T00:00:00Z", 2),
+    createFlight("CPA2", "2025-02-20T03:00:00Z", 2),
+  ];
+  assert.equal(countAirborne(flights, new Date("2025-02-20T01:00:00Z")), 1);
+  assert.equal(countAirborne(flights, new Date("2025-02-20T02:30:00Z")), 0);
+});
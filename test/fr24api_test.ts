@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import {
+  configureRequests,
+  fetchFlightTrack,
+  HttpError,
+} from "../script/fr24api.ts";
+import {
+  createMockHandler,
+  type MockOptions,
+} from "../script/mockFr24Server.ts";
+
+// Retries and backoff of the FR24 API client against the mock server
+
+const FLIGHT_ID = "d486000-0";
+
+// Serves the mock on a free port and points the client at it, with short
+// backoffs so the retries do not slow down the tests
+async function withMockServer(
+  mockOptions: MockOptions,
+  test: (getRequestCount: () => number) => Promise<void>,
+  maxRetries = 3
+) {
+  const handler = createMockHandler(mockOptions);
+  let requestCount = 0;
+  const server = Deno.serve({ port: 0, onListen() {} }, (request) => {
+    requestCount++;
+    return handler(request);
+  });
+  configureRequests({
+    apiUrl: `http://localhost:${server.addr.port}`,
+    minIntervalMs: 0,
+    maxRetries,
+    initialBackoffMs: 20,
+    maxBackoffMs: 100,
+  });
+  try {
+    await test(() => requestCount);
+  } finally {
+    await server.shutdown();
+  }
+}
+
+Deno.test("fetchJson returns the flight track", async () => {
+  await withMockServer({}, async (getRequestCount) => {
+    const [flight] = await fetchFlightTrack(FLIGHT_ID);
+    assert.equal(flight.fr24_id, FLIGHT_ID);
+    assert.ok(flight.tracks.length > 0);
+    assert.equal(getRequestCount(), 1);
+  });
+});
+
+Deno.test("fetchJson retries a 5xx response after the backoff", async () => {
+  await withMockServer({ errorEvery: 2 }, async (getRequestCount) => {
+    await fetchFlightTrack(FLIGHT_ID);
+    const start = Date.now();
+    // The second request fails with 503 and the third one succeeds
+    const [flight] = await fetchFlightTrack(FLIGHT_ID);
+    assert.equal(flight.fr24_id, FLIGHT_ID);
+    assert.equal(getRequestCount(), 3);
+    assert.ok(Date.now() - start >= 20);
+  });
+});
+
+Deno.test("fetchJson waits for the Retry-After of a 429 response", async () => {
+  await withMockServer({ failEvery: 2 }, async (getRequestCount) => {
+    await fetchFlightTrack(FLIGHT_ID);
+    const start = Date.now();
+    // Retry-After is a second, longer than the backoff
+    await fetchFlightTrack(FLIGHT_ID);
+    assert.equal(getRequestCount(), 3);
+    assert.ok(Date.now() - start >= 1000);
+  });
+});
+
+Deno.test("fetchJson gives up after the maximum retries", async () => {
+  await withMockServer(
+    { errorEvery: 1 },
+    async (getRequestCount) => {
+      await assert.rejects(
+        fetchFlightTrack(FLIGHT_ID),
+        (error) => error instanceof HttpError && error.status === 503
+      );
+      assert.equal(getRequestCount(), 3);
+    },
+    2
+  );
+});
+
+Deno.test("fetchJson does not retry a 404 response", async () => {
+  await withMockServer({}, async (getRequestCount) => {
+    await assert.rejects(
+      fetchFlightTrack("unknown"),
+      (error) => error instanceof HttpError && error.status === 404
+    );
+    assert.equal(getRequestCount(), 1);
+  });
+});
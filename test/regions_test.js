@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { getRegion } from "../src/regions.js";
+
+Deno.test("getRegion tells north-east China apart from Japan and Korea", () => {
+  const cities = [
+    ["Harbin", 45.75, 126.65, "china"],
+    ["Changchun", 43.88, 125.32, "china"],
+    ["Yanji", 42.88, 129.45, "china"],
+    ["Vladivostok", 43.12, 131.89, "china"],
+    ["Shanghai", 31.23, 121.47, "china"],
+    ["Seoul", 37.57, 126.98, "japan-korea"],
+    ["Busan", 35.18, 129.08, "japan-korea"],
+    ["Tokyo", 35.68, 139.69, "japan-korea"],
+    ["Sapporo", 43.06, 141.35, "japan-korea"],
+    ["Okinawa", 26.21, 127.68, "japan-korea"],
+  ];
+  cities.forEach(([name, lat, lon, regionId]) => {
+    assert.equal(getRegion(lat, lon).id, regionId, name);
+  });
+});
+
+Deno.test("getRegion falls back to the unknown region", () => {
+  assert.equal(getRegion(-75, 0).id, "other");
+});